@@ -84,6 +84,28 @@ describe('E2E MCP Server Tests', () => {
     }
   }, 30000);
 
+  it('should expose run resources', async () => {
+    const templates = await client.listResourceTemplates({});
+    const uriTemplates = templates.resourceTemplates.map(t => t.uriTemplate);
+    expect(uriTemplates).toContain('cursor-agent://runs/{runId}/events');
+    expect(uriTemplates).toContain('cursor-agent://runs/{runId}/transcript');
+
+    const index = await client.readResource({ uri: 'cursor-agent://runs' });
+    expect(Array.isArray(JSON.parse(index.contents[0].text))).toBe(true);
+  });
+
+  it('should expose the prompts catalog', async () => {
+    const { prompts } = await client.listPrompts({});
+    expect(prompts.map(p => p.name)).toEqual(expect.arrayContaining(['review-file', 'plan-refactor', 'find-usages', 'explain-module']));
+    expect(prompts.find(p => p.name === 'review-file').arguments).toEqual(
+      expect.arrayContaining([expect.objectContaining({ name: 'file', required: true })]),
+    );
+
+    const prompt = await client.getPrompt({ name: 'find-usages', arguments: { symbol: 'createServer', include: 'src/**/*.ts' } });
+    expect(prompt.messages[0].content.text).toContain('cursor_agent_search_repo');
+    expect(prompt.messages[0].content.text).toContain('"src/**/*.ts"');
+  });
+
   it('should handle invalid tool name', async () => {
     await expect(
       client.callTool({
@@ -2,7 +2,59 @@ import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { spawn } from 'node:child_process';
 import path from 'node:path';
 import fs from 'node:fs';
-import { invokeCursorAgent, runCursorAgent } from './server.js';
+import os from 'node:os';
+import zlib from 'node:zlib';
+import { z } from 'zod';
+import {
+  invokeCursorAgent,
+  runCursorAgent,
+  recordSession,
+  getSession,
+  closeSession,
+  resolveSessionResume,
+  startJob,
+  getJob,
+  cancelJob,
+  describeJob,
+  getProcessPoolStats,
+  getRun,
+  listRuns,
+  readLogIndex,
+  updateLogIndex,
+  sweepStreamLogs,
+  RESULT_OUTPUT_SHAPE,
+  runWithResponseSchema,
+  runFileEdit,
+  storePatch,
+  getPatch,
+  applyPatch,
+  discardPatch,
+  collectChangeDiff,
+  runChangeReview,
+  loadConfig,
+  resolveSettings,
+  getTransportSettings,
+  startHttpServer,
+  createServer,
+  buildToolPrompt,
+  selectModelRoute,
+  runWithCache,
+  listCacheEntries,
+  clearCache,
+  recordUsage,
+  summarizeUsage,
+  listWorkspaceFiles,
+  presearchFiles,
+  resolveSearchGlobs,
+  expandAnalyzePaths,
+  planAnalyzeChunks,
+  runChunkedAnalysis,
+  inlineFileContents,
+} from './server.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
 import { createMockChildProcess } from './test/utils.js';
 
 // Mock child_process.spawn
@@ -947,3 +999,2221 @@ describe('Cancellation support', () => {
   });
 });
 
+
+describe('Session continuity', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should capture the session id from the init event and register it', async () => {
+    const streamJsonEvents = [
+      JSON.stringify({ type: 'system', subtype: 'init', model: 'gpt-4', session_id: 'chat-abc123' }) + '\n',
+      JSON.stringify({ type: 'assistant', message: { content: [{ text: 'Hi' }] } }) + '\n',
+      JSON.stringify({ type: 'result', duration_ms: 10, session_id: 'chat-abc123' }) + '\n',
+    ];
+    const mockProcess = createMockChildProcess({ stdout: streamJsonEvents.join(''), exitCode: 0 });
+    vi.mocked(spawn).mockReturnValue(mockProcess);
+
+    const result = await invokeCursorAgent({ argv: ['hello'], new_session: true });
+
+    const callArgs = vi.mocked(spawn).mock.calls[0][1];
+    expect(callArgs).toContain('stream-json');
+    expect(result.sessionId).toBe('chat-abc123');
+    expect(result.content[0].text).toMatch(/^Hi\n\nSession: chat-abc123/);
+    expect(getSession('chat-abc123')).toMatchObject({ id: 'chat-abc123', status: 'active', turns: 1 });
+
+    if (result.streamLogFile && fs.existsSync(result.streamLogFile)) {
+      fs.unlinkSync(result.streamLogFile);
+    }
+  });
+
+  it('should translate session_id into the resume flag', async () => {
+    const mockProcess = createMockChildProcess({ stdout: '', exitCode: 0 });
+    vi.mocked(spawn).mockReturnValue(mockProcess);
+
+    const result = await runCursorAgent({ prompt: 'follow up', session_id: 'chat-resume-1' });
+
+    const callArgs = vi.mocked(spawn).mock.calls[0][1];
+    expect(callArgs).toContain('--resume=chat-resume-1');
+    expect(callArgs[callArgs.length - 1]).toBe('follow up');
+    expect(result.sessionId).toBe('chat-resume-1');
+    expect(getSession('chat-resume-1').turns).toBe(1);
+  });
+
+  it('should resume the most recent session when continue is true', async () => {
+    recordSession('chat-older');
+    recordSession('chat-newest');
+    const mockProcess = createMockChildProcess({ stdout: '', exitCode: 0 });
+    vi.mocked(spawn).mockReturnValue(mockProcess);
+
+    await runCursorAgent({ prompt: 'again', continue: true });
+
+    const callArgs = vi.mocked(spawn).mock.calls[0][1];
+    expect(callArgs).toContain('--resume=chat-newest');
+  });
+
+  it('should refuse to resume a closed session', async () => {
+    recordSession('chat-closed');
+    closeSession('chat-closed');
+
+    await expect(runCursorAgent({ prompt: 'again', session_id: 'chat-closed' })).rejects.toThrow('Session "chat-closed" is closed');
+    expect(spawn).not.toHaveBeenCalled();
+  });
+
+  it('should reject malformed session ids', () => {
+    expect(() => resolveSessionResume({ session_id: '--dangerous' })).toThrow('Invalid session_id');
+  });
+
+  it('should not pass resume flags when no session is requested', async () => {
+    const mockProcess = createMockChildProcess({ stdout: 'plain', exitCode: 0 });
+    vi.mocked(spawn).mockReturnValue(mockProcess);
+
+    const result = await invokeCursorAgent({ argv: ['test'] });
+
+    const callArgs = vi.mocked(spawn).mock.calls[0][1];
+    expect(callArgs.some((a) => a.startsWith('--resume'))).toBe(false);
+    expect(result.sessionId).toBeUndefined();
+  });
+});
+
+describe('Background jobs', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should return immediately and accumulate text and tool calls', async () => {
+    const streamJsonEvents = [
+      JSON.stringify({ type: 'system', subtype: 'init', model: 'gpt-4' }) + '\n',
+      JSON.stringify({ type: 'tool_call', subtype: 'started', tool_call: { readToolCall: { args: { path: 'a.js' } } } }) + '\n',
+      JSON.stringify({ type: 'assistant', message: { content: [{ text: 'Done' }] } }) + '\n',
+      JSON.stringify({ type: 'result', duration_ms: 5 }) + '\n',
+    ];
+    const mockProcess = createMockChildProcess({ stdout: streamJsonEvents.join(''), exitCode: 0, delay: 10 });
+    vi.mocked(spawn).mockReturnValue(mockProcess);
+
+    const job = startJob({ prompt: 'long analysis' });
+    expect(describeJob(job).status).toBe('running');
+
+    await job.promise;
+
+    const status = describeJob(getJob(job.id), { includeText: true });
+    expect(status.status).toBe('succeeded');
+    expect(status.toolCalls).toBe(1);
+    expect(status.eventCount).toBe(4);
+    expect(status.text).toBe('Done');
+    expect(status.exitCode).toBe(0);
+    expect(job.result.content[0].text).toContain('Done');
+
+    if (job.result.streamLogFile && fs.existsSync(job.result.streamLogFile)) {
+      fs.unlinkSync(job.result.streamLogFile);
+    }
+  });
+
+  it('should cancel a running job through its abort signal', async () => {
+    const mockProcess = createMockChildProcess({ stdout: '', exitCode: 0, delay: 1000 });
+    const killSpy = vi.spyOn(mockProcess, 'kill');
+    vi.mocked(spawn).mockReturnValue(mockProcess);
+
+    const job = startJob({ prompt: 'slow' });
+    await Promise.resolve();
+    cancelJob(job.id);
+    await job.promise;
+
+    expect(job.status).toBe('cancelled');
+    expect(killSpy).toHaveBeenCalledWith('SIGKILL');
+    expect(job.result.content[0].text).toContain('Job cancelled');
+  });
+
+  it('should use the job timeout instead of the request timeout', async () => {
+    const mockProcess = createMockChildProcess({ stdout: '', exitCode: 0, delay: 1000 });
+    vi.mocked(spawn).mockReturnValue(mockProcess);
+
+    const job = startJob({ prompt: 'slow', timeout_ms: 20 });
+    await job.promise;
+
+    expect(job.status).toBe('timed_out');
+    expect(job.result.content[0].text).toContain('timed out after 20ms');
+  });
+
+  it('should mark jobs with invalid params as failed', async () => {
+    const job = startJob({ prompt: 'x', cwd: '/definitely/outside' });
+    await job.promise;
+
+    expect(job.status).toBe('failed');
+    expect(job.result.content[0].text).toContain('Invalid params');
+  });
+});
+
+describe('Process pool', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    process.env.CURSOR_AGENT_MAX_CONCURRENCY = '1';
+  });
+
+  afterEach(() => {
+    delete process.env.CURSOR_AGENT_MAX_CONCURRENCY;
+    delete process.env.CURSOR_AGENT_QUEUE_TIMEOUT_MS;
+  });
+
+  it('should queue runs beyond the concurrency limit and report the position', async () => {
+    vi.mocked(spawn).mockImplementation(() => createMockChildProcess({ stdout: 'ok', exitCode: 0, delay: 20 }));
+    const onProgress = vi.fn();
+
+    const first = invokeCursorAgent({ argv: ['first'] });
+    const second = invokeCursorAgent({ argv: ['second'], onProgress });
+    await Promise.resolve();
+
+    expect(spawn).toHaveBeenCalledTimes(1);
+    expect(getProcessPoolStats()).toMatchObject({ active: 1, queued: 1, max: 1 });
+    expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ message: expect.stringContaining('Queued, position 1') }));
+
+    await first;
+    await second;
+    expect(spawn).toHaveBeenCalledTimes(2);
+    expect(getProcessPoolStats()).toMatchObject({ active: 0, queued: 0 });
+  });
+
+  it('should cancel queued runs without spawning', async () => {
+    vi.mocked(spawn).mockImplementation(() => createMockChildProcess({ stdout: 'ok', exitCode: 0, delay: 20 }));
+    const controller = new AbortController();
+
+    const first = invokeCursorAgent({ argv: ['first'] });
+    const queued = invokeCursorAgent({ argv: ['second'], signal: controller.signal });
+    await Promise.resolve();
+    controller.abort('Stop waiting');
+
+    const result = await queued;
+    expect(result.isError).toBe(true);
+    expect(result.cancelled).toBe(true);
+    expect(result.content[0].text).toContain('cancelled while queued: Stop waiting');
+    await first;
+    expect(spawn).toHaveBeenCalledTimes(1);
+  });
+
+  it('should give up after the queue timeout', async () => {
+    process.env.CURSOR_AGENT_QUEUE_TIMEOUT_MS = '5';
+    vi.mocked(spawn).mockImplementation(() => createMockChildProcess({ stdout: 'ok', exitCode: 0, delay: 50 }));
+
+    const first = invokeCursorAgent({ argv: ['first'] });
+    const result = await invokeCursorAgent({ argv: ['second'] });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('waited 5ms in queue');
+    await first;
+    expect(spawn).toHaveBeenCalledTimes(1);
+  });
+
+  it('should release the slot when a run fails', async () => {
+    vi.mocked(spawn).mockImplementation(() => createMockChildProcess({ shouldError: true }));
+
+    await invokeCursorAgent({ argv: ['boom'] });
+
+    expect(getProcessPoolStats().active).toBe(0);
+  });
+});
+
+describe('Run store', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should record streamed runs and reference their resources', async () => {
+    const streamJsonEvents = [
+      JSON.stringify({ type: 'system', subtype: 'init', model: 'gpt-4' }) + '\n',
+      JSON.stringify({ type: 'tool_call', subtype: 'started', tool_call: { readToolCall: { args: { path: 'src/a.js' } } } }) + '\n',
+      JSON.stringify({ type: 'tool_call', subtype: 'completed', tool_call: { readToolCall: { result: { success: { totalLines: 3 } } } } }) + '\n',
+      JSON.stringify({ type: 'assistant', message: { content: [{ text: 'Looks fine' }] } }) + '\n',
+    ];
+    const mockProcess = createMockChildProcess({ stdout: streamJsonEvents.join(''), exitCode: 0 });
+    vi.mocked(spawn).mockReturnValue(mockProcess);
+
+    const result = await invokeCursorAgent({ argv: ['test'], onProgress: vi.fn() });
+
+    expect(result.runId).toBeDefined();
+    expect(result.streamLogFile).toContain(result.runId);
+    expect(result.content[0].text).toContain(`cursor-agent://runs/${result.runId}/events`);
+
+    const run = getRun(result.runId);
+    expect(run.status).toBe('succeeded');
+    expect(run.exitCode).toBe(0);
+    expect(run.events).toHaveLength(4);
+    expect(listRuns()[0].id).toBe(result.runId);
+
+    if (fs.existsSync(result.streamLogFile)) {
+      fs.unlinkSync(result.streamLogFile);
+    }
+  });
+
+  it('should not record runs without stream events', async () => {
+    const mockProcess = createMockChildProcess({ stdout: 'plain', exitCode: 0 });
+    vi.mocked(spawn).mockReturnValue(mockProcess);
+
+    const result = await invokeCursorAgent({ argv: ['test'] });
+
+    expect(result.runId).toBeUndefined();
+  });
+});
+
+describe('Stream log retention', () => {
+  let logDir;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursor-agent-logs-test-'));
+    process.env.CURSOR_AGENT_LOG_DIR = logDir;
+  });
+
+  afterEach(() => {
+    delete process.env.CURSOR_AGENT_LOG_DIR;
+    delete process.env.CURSOR_AGENT_LOG_COMPRESS;
+    delete process.env.CURSOR_AGENT_LOG_MAX_FILES;
+    delete process.env.CURSOR_AGENT_LOG_MAX_BYTES;
+    delete process.env.CURSOR_AGENT_LOG_MAX_AGE_MS;
+    fs.rmSync(logDir, { recursive: true, force: true });
+  });
+
+  const streamOutput = [
+    JSON.stringify({ type: 'system', subtype: 'init', model: 'gpt-4' }) + '\n',
+    JSON.stringify({ type: 'assistant', message: { content: [{ text: 'done' }] } }) + '\n',
+  ].join('');
+
+  const writeLog = (name, ageMs, size = 10) => {
+    const file = path.join(logDir, name);
+    fs.writeFileSync(file, 'x'.repeat(size));
+    const time = new Date(Date.now() - ageMs);
+    fs.utimesSync(file, time, time);
+    return file;
+  };
+
+  it('should write logs to the managed directory and index their metadata', async () => {
+    vi.mocked(spawn).mockReturnValue(createMockChildProcess({ stdout: streamOutput, exitCode: 0 }));
+
+    const result = await runCursorAgent({ prompt: 'hi', model: 'gpt-4' }, vi.fn(), undefined, { tool: 'cursor_agent_chat' });
+
+    expect(path.dirname(result.streamLogFile)).toBe(logDir);
+    const entry = readLogIndex(logDir).runs[result.runId];
+    expect(entry).toMatchObject({
+      tool: 'cursor_agent_chat',
+      model: 'gpt-4',
+      exitCode: 0,
+      status: 'succeeded',
+      file: path.basename(result.streamLogFile),
+      eventCount: 2,
+    });
+    expect(typeof entry.durationMs).toBe('number');
+  });
+
+  it('should gzip logs when compression is enabled', async () => {
+    process.env.CURSOR_AGENT_LOG_COMPRESS = '1';
+    vi.mocked(spawn).mockReturnValue(createMockChildProcess({ stdout: streamOutput, exitCode: 0 }));
+
+    const result = await invokeCursorAgent({ argv: ['hi'], onProgress: vi.fn() });
+
+    expect(result.streamLogFile).toMatch(/\.json\.gz$/);
+    expect(result.content[0].text).toContain('gzip');
+    const content = zlib.gunzipSync(fs.readFileSync(result.streamLogFile)).toString('utf8');
+    expect(content.trim().split('\n')).toHaveLength(2);
+  });
+
+  it('should delete logs older than the maximum age', () => {
+    process.env.CURSOR_AGENT_LOG_MAX_AGE_MS = '60000';
+    const oldLog = writeLog('cursor-agent-stream-old.json', 120000);
+    const freshLog = writeLog('cursor-agent-stream-fresh.json', 0);
+    const unrelated = writeLog('notes.txt', 120000);
+
+    const summary = sweepStreamLogs();
+
+    expect(summary.deleted).toBe(1);
+    expect(fs.existsSync(oldLog)).toBe(false);
+    expect(fs.existsSync(freshLog)).toBe(true);
+    expect(fs.existsSync(unrelated)).toBe(true);
+  });
+
+  it('should keep only the newest logs within count and size limits', () => {
+    process.env.CURSOR_AGENT_LOG_MAX_FILES = '2';
+    writeLog('cursor-agent-stream-a.json', 3000);
+    writeLog('cursor-agent-stream-b.json.gz', 2000);
+    writeLog('cursor-agent-stream-c.json', 1000);
+    updateLogIndex('a', { tool: 'x' });
+    updateLogIndex('c', { tool: 'y' });
+
+    const summary = sweepStreamLogs();
+
+    expect(summary).toMatchObject({ deleted: 1, kept: 2 });
+    expect(fs.readdirSync(logDir).sort()).toEqual(['cursor-agent-stream-b.json.gz', 'cursor-agent-stream-c.json', 'index.json']);
+    expect(Object.keys(readLogIndex(logDir).runs)).toEqual(['c']);
+
+    process.env.CURSOR_AGENT_LOG_MAX_BYTES = '15';
+    expect(sweepStreamLogs()).toMatchObject({ deleted: 1, kept: 1, totalBytes: 10 });
+  });
+});
+
+describe('Structured results', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  afterEach(() => {
+    delete process.env.CURSOR_AGENT_STRUCTURED_OUTPUT;
+  });
+
+  it('should not include structuredContent unless enabled', async () => {
+    vi.mocked(spawn).mockReturnValue(createMockChildProcess({ stdout: 'plain', exitCode: 0 }));
+
+    const result = await invokeCursorAgent({ argv: ['test'] });
+
+    expect(result.structuredContent).toBeUndefined();
+  });
+
+  it('should return a result envelope matching the output schema', async () => {
+    process.env.CURSOR_AGENT_STRUCTURED_OUTPUT = '1';
+    const streamJsonEvents = [
+      JSON.stringify({ type: 'system', subtype: 'init', model: 'sonnet-4' }) + '\n',
+      JSON.stringify({ type: 'tool_call', subtype: 'started', tool_call: { readToolCall: { args: { path: 'src/a.js' } } } }) + '\n',
+      JSON.stringify({ type: 'tool_call', subtype: 'completed', tool_call: { readToolCall: { result: { success: { totalLines: 1 } } } } }) + '\n',
+      JSON.stringify({ type: 'tool_call', subtype: 'started', tool_call: { writeToolCall: { args: { path: 'src/b.js' } } } }) + '\n',
+      JSON.stringify({ type: 'assistant', message: { content: [{ text: 'Updated b.js' }] } }) + '\n',
+    ];
+    vi.mocked(spawn).mockReturnValue(createMockChildProcess({ stdout: streamJsonEvents.join(''), exitCode: 0 }));
+
+    const result = await invokeCursorAgent({ argv: ['test'], onProgress: vi.fn() });
+
+    expect(z.object(RESULT_OUTPUT_SHAPE).safeParse(result.structuredContent).success).toBe(true);
+    expect(result.structuredContent).toMatchObject({
+      text: 'Updated b.js',
+      isError: false,
+      exitCode: 0,
+      model: 'sonnet-4',
+      toolCalls: 2,
+      filesRead: ['src/a.js'],
+      filesWritten: ['src/b.js'],
+      timedOut: false,
+      cancelled: false,
+      runId: result.runId,
+    });
+    expect(result.structuredContent.streamLog.path).toBe(result.streamLogFile);
+  });
+
+  it('should flag timeouts in the envelope', async () => {
+    process.env.CURSOR_AGENT_STRUCTURED_OUTPUT = '1';
+    vi.mocked(spawn).mockReturnValue(createMockChildProcess({ stdout: '', exitCode: 0, delay: 1000 }));
+
+    const result = await invokeCursorAgent({ argv: ['test'], timeout_ms: 10 });
+
+    expect(result.structuredContent).toMatchObject({ isError: true, timedOut: true, exitCode: null, streamLog: null });
+  });
+});
+
+describe('Response schema validation', () => {
+  const schema = {
+    type: 'object',
+    properties: { steps: { type: 'array', items: { type: 'string' }, minItems: 1 } },
+    required: ['steps'],
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should inject the schema into the prompt and return the parsed answer', async () => {
+    vi.mocked(spawn).mockReturnValue(createMockChildProcess({ stdout: 'Sure!\n```json\n{"steps": ["one", "two"]}\n```', exitCode: 0 }));
+
+    const result = await runWithResponseSchema({ prompt: 'Plan it', output_format: 'json' }, schema);
+
+    const callArgs = vi.mocked(spawn).mock.calls[0][1];
+    expect(callArgs).toContain('text');
+    expect(callArgs[callArgs.length - 1]).toContain('conforms to this JSON Schema');
+    expect(callArgs[callArgs.length - 1]).toContain('"steps"');
+    expect(result.isError).toBeUndefined();
+    expect(JSON.parse(result.content[0].text)).toEqual({ steps: ['one', 'two'] });
+    expect(result.schemaAttempts).toBe(1);
+  });
+
+  it('should re-ask with validation errors until the answer matches', async () => {
+    vi.mocked(spawn)
+      .mockReturnValueOnce(createMockChildProcess({ stdout: '{"steps": []}', exitCode: 0 }))
+      .mockReturnValueOnce(createMockChildProcess({ stdout: '{"steps": ["fixed"]}', exitCode: 0 }));
+    const onProgress = vi.fn();
+
+    const result = await runWithResponseSchema({ prompt: 'Plan it' }, schema, { onProgress });
+
+    expect(spawn).toHaveBeenCalledTimes(2);
+    const retryPrompt = vi.mocked(spawn).mock.calls[1][1].at(-1);
+    expect(retryPrompt).toContain('previous answer was rejected');
+    expect(retryPrompt).toContain('steps:');
+    expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ message: expect.stringContaining('attempt 1/3') }));
+    expect(result.content.at(-1).text).toMatch(/^\{\n  "steps": \[\n    "fixed"\n  \]\n\}\n\n---\nFull stream log/);
+    expect(result.response).toEqual({ steps: ['fixed'] });
+    expect(result.schemaAttempts).toBe(2);
+  });
+
+  it('should re-ask in the first attempt\'s session and keep its footer', async () => {
+    const answer = (text) => [
+      JSON.stringify({ type: 'system', subtype: 'init', session_id: 'chat-schema-1' }),
+      JSON.stringify({ type: 'assistant', message: { content: [{ text }] } }),
+      JSON.stringify({ type: 'result', duration_ms: 10, session_id: 'chat-schema-1' }),
+    ].join('\n') + '\n';
+    vi.mocked(spawn)
+      .mockReturnValueOnce(createMockChildProcess({ stdout: answer('{"steps": []}'), exitCode: 0 }))
+      .mockReturnValueOnce(createMockChildProcess({ stdout: answer('{"steps": ["fixed"]}'), exitCode: 0 }));
+
+    const result = await runWithResponseSchema({ prompt: 'Plan it', new_session: true }, schema);
+
+    expect(spawn).toHaveBeenCalledTimes(2);
+    const retryArgs = vi.mocked(spawn).mock.calls[1][1];
+    expect(retryArgs).toContain('--resume=chat-schema-1');
+    expect(retryArgs.at(-1)).toContain('previous answer was rejected');
+    expect(retryArgs.at(-1)).not.toContain('Plan it');
+    const text = result.content.at(-1).text;
+    expect(text).toContain('Session: chat-schema-1 (pass as session_id');
+    expect(JSON.parse(text.split('\n\nSession:')[0])).toEqual({ steps: ['fixed'] });
+    expect(result.sessionId).toBe('chat-schema-1');
+    expect(getSession('chat-schema-1').turns).toBe(2);
+  });
+
+  it('should return a validation failure after exhausting retries', async () => {
+    vi.mocked(spawn).mockImplementation(() => createMockChildProcess({ stdout: 'not json at all', exitCode: 0 }));
+
+    const result = await runWithResponseSchema({ prompt: 'Plan it' }, schema, { maxRetries: 1 });
+
+    expect(spawn).toHaveBeenCalledTimes(2);
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('did not match response_schema after 2 attempt(s)');
+    expect(result.content[0].text).toContain('No JSON value found');
+  });
+
+  it('should pass run errors through without retrying', async () => {
+    vi.mocked(spawn).mockReturnValue(createMockChildProcess({ stderr: 'boom', exitCode: 2 }));
+
+    const result = await runWithResponseSchema({ prompt: 'Plan it' }, schema);
+
+    expect(spawn).toHaveBeenCalledTimes(1);
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('exited with code 2');
+  });
+});
+
+describe('File edits', () => {
+  let workDir;
+  let file;
+
+  // Simulates cursor-agent writing `content` to `target` and reporting a writeToolCall
+  const agentWrites = (target, content) => () => {
+    if (content !== undefined) fs.writeFileSync(target, content);
+    const write = { writeToolCall: { args: { path: target } } };
+    return createMockChildProcess({
+      stdout: [
+        { type: 'tool_call', subtype: 'started', call_id: 'w1', tool_call: write },
+        { type: 'tool_call', subtype: 'completed', call_id: 'w1', tool_call: { writeToolCall: { args: { path: target }, result: { success: {} } } } },
+        { type: 'assistant', message: { content: [{ text: 'Updated the file.' }] } },
+      ].map((e) => JSON.stringify(e)).join('\n') + '\n',
+      exitCode: 0,
+    });
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    workDir = fs.mkdtempSync(path.join(process.cwd(), '.edit-test-'));
+    file = path.join(workDir, 'greet.js');
+    fs.writeFileSync(file, 'const a = 1;\nconsole.log("hello");\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('should return a unified diff and keep applied changes', async () => {
+    vi.mocked(spawn).mockImplementation(agentWrites(file, 'const a = 1;\nconsole.log("hi");\n'));
+
+    const result = await runFileEdit({ prompt: 'edit' }, { file });
+
+    const label = path.relative(process.cwd(), file);
+    expect(result.isError).toBeUndefined();
+    expect(result.content[0].text).toContain('Updated the file.');
+    expect(result.content.at(-1).text).toContain(`Diff for ${label} (applied)`);
+    expect(result.edit.diff).toBe(
+      `--- a/${label}\n+++ b/${label}\n@@ -1,2 +1,2 @@\n const a = 1;\n-console.log("hello");\n+console.log("hi");\n`,
+    );
+    expect(result.edit).toMatchObject({ changed: true, applied: true, restored: false, additions: 1, deletions: 1 });
+    expect(fs.readFileSync(file, 'utf8')).toContain('"hi"');
+  });
+
+  it('should restore the original file on dry run', async () => {
+    vi.mocked(spawn).mockImplementation(agentWrites(file, 'rewritten\n'));
+
+    const result = await runFileEdit({ prompt: 'edit' }, { file, dryRun: true });
+
+    expect(result.edit).toMatchObject({ changed: true, applied: false, restored: true });
+    expect(result.content.at(-1).text).toContain('dry run; original restored');
+    expect(fs.readFileSync(file, 'utf8')).toBe('const a = 1;\nconsole.log("hello");\n');
+  });
+
+  it('should delete a file created during a dry run', async () => {
+    const created = path.join(workDir, 'new.js');
+    vi.mocked(spawn).mockImplementation(agentWrites(created, 'export {};\n'));
+
+    const result = await runFileEdit({ prompt: 'edit' }, { file: created, dryRun: true });
+
+    expect(result.edit.diff).toContain('--- /dev/null');
+    expect(result.edit.diff).toContain('+export {};');
+    expect(fs.existsSync(created)).toBe(false);
+  });
+
+  it('should report when nothing changed and flag writes to other files', async () => {
+    const other = path.join(workDir, 'other.js');
+    vi.mocked(spawn).mockImplementation(agentWrites(other, undefined));
+
+    const result = await runFileEdit({ prompt: 'edit' }, { file });
+
+    expect(result.edit.changed).toBe(false);
+    expect(result.edit.diff).toBe('');
+    expect(result.edit.otherFilesWritten).toEqual([path.relative(process.cwd(), other)]);
+    expect(result.content.at(-1).text).toContain('No changes were made');
+    expect(result.content.at(-1).text).toContain('outside the edit target');
+  });
+
+  it('should stream events so writes can be observed', async () => {
+    vi.mocked(spawn).mockImplementation(agentWrites(file, undefined));
+
+    await runFileEdit({ prompt: 'edit' }, { file });
+
+    expect(vi.mocked(spawn).mock.calls[0][1]).toContain('stream-json');
+  });
+});
+
+describe('Proposed patches', () => {
+  let workDir;
+  let file;
+
+  beforeEach(() => {
+    workDir = fs.mkdtempSync(path.join(process.cwd(), '.patch-test-'));
+    file = path.join(workDir, 'config.json');
+    fs.writeFileSync(file, '{"debug": false}\n');
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  const propose = (after) => storePatch({
+    file,
+    label: path.relative(process.cwd(), file),
+    instruction: 'enable debug',
+    before: { exists: true, content: fs.readFileSync(file) },
+    after: after === null ? { exists: false, content: null } : { exists: true, content: Buffer.from(after) },
+    diff: '--- a/config.json\n+++ b/config.json\n@@ -1,1 +1,1 @@\n-{"debug": false}\n+{"debug": true}\n',
+  });
+
+  it('should apply a stored patch and forget it', () => {
+    const patch = propose('{"debug": true}\n');
+    expect(patch.id).toMatch(/^patch-/);
+    expect(patch).toMatchObject({ additions: 1, deletions: 1 });
+
+    applyPatch(patch.id);
+
+    expect(fs.readFileSync(file, 'utf8')).toBe('{"debug": true}\n');
+    expect(getPatch(patch.id)).toBeUndefined();
+  });
+
+  it('should detect conflicts when the file changed since the proposal', () => {
+    const patch = propose('{"debug": true}\n');
+    fs.writeFileSync(file, '{"debug": false, "port": 1}\n');
+
+    expect(() => applyPatch(patch.id)).toThrow(/Conflict: .* changed since patch/);
+    expect(fs.readFileSync(file, 'utf8')).toBe('{"debug": false, "port": 1}\n');
+    expect(getPatch(patch.id)).toBeDefined();
+  });
+
+  it('should apply deletions and refuse files outside the workspace', () => {
+    const patch = propose(null);
+    applyPatch(patch.id);
+    expect(fs.existsSync(file)).toBe(false);
+
+    const outside = storePatch({
+      file: path.join(os.tmpdir(), 'outside.txt'),
+      label: 'outside.txt',
+      before: { exists: false, content: null },
+      after: { exists: true, content: Buffer.from('x') },
+      diff: '',
+    });
+    expect(() => applyPatch(outside.id)).toThrow('outside allowed directory');
+  });
+
+  it('should discard patches and reject unknown ids', () => {
+    const patch = propose('{"debug": true}\n');
+    discardPatch(patch.id);
+
+    expect(getPatch(patch.id)).toBeUndefined();
+    expect(() => applyPatch(patch.id)).toThrow(`Unknown patch: ${patch.id}`);
+    expect(fs.readFileSync(file, 'utf8')).toBe('{"debug": false}\n');
+  });
+
+  it('should hand edit snapshots to onCapture without keeping the change', async () => {
+    vi.mocked(spawn).mockImplementation(() => {
+      fs.writeFileSync(file, '{"debug": true}\n');
+      return createMockChildProcess({ stdout: '', exitCode: 0 });
+    });
+    const onCapture = vi.fn();
+
+    await runFileEdit({ prompt: 'edit' }, { file, dryRun: true, onCapture });
+
+    expect(onCapture).toHaveBeenCalledTimes(1);
+    const { before, after, diff } = onCapture.mock.calls[0][0];
+    expect(before.content.toString()).toBe('{"debug": false}\n');
+    expect(after.content.toString()).toBe('{"debug": true}\n');
+    expect(diff).toContain('+{"debug": true}');
+    expect(fs.readFileSync(file, 'utf8')).toBe('{"debug": false}\n');
+  });
+});
+
+describe('Change review', () => {
+  const fileDiff = (name) => `diff --git a/${name} b/${name}\n--- a/${name}\n+++ b/${name}\n@@ -1 +1 @@\n-a\n+b\n`;
+  const answer = (file) => JSON.stringify({ summary: `Checked ${file}`, issues: [{ file, line: 1, severity: 'warning', message: 'looks odd' }] });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should run git with the requested mode', async () => {
+    vi.mocked(spawn).mockImplementation(() => createMockChildProcess({ stdout: fileDiff('x.js'), exitCode: 0 }));
+
+    await collectChangeDiff({ staged: true, cwd: process.cwd() });
+    await collectChangeDiff({ range: 'main..feature', cwd: process.cwd() });
+    await collectChangeDiff({ commits: ['abc123'], cwd: process.cwd() });
+
+    const calls = vi.mocked(spawn).mock.calls;
+    expect(calls.every(([cmd, , opts]) => cmd === 'git' && opts.shell === false)).toBe(true);
+    expect(calls[0][1]).toEqual(expect.arrayContaining(['diff', '--cached']));
+    expect(calls[1][1]).toContain('main..feature');
+    expect(calls[2][1]).toEqual(expect.arrayContaining(['show', '--format=', 'abc123']));
+  });
+
+  it('should reject unsafe refs and conflicting modes', async () => {
+    await expect(collectChangeDiff({ range: '--output=/tmp/x..HEAD', cwd: process.cwd() })).rejects.toThrow('Invalid git ref');
+    await expect(collectChangeDiff({ commits: ['abc; rm -rf /'], cwd: process.cwd() })).rejects.toThrow('Invalid git ref');
+    await expect(collectChangeDiff({ staged: true, range: 'a..b', cwd: process.cwd() })).rejects.toThrow('Pass only one of');
+    await expect(collectChangeDiff({ range: 'main', cwd: process.cwd() })).rejects.toThrow('expected base..head');
+    expect(spawn).not.toHaveBeenCalled();
+  });
+
+  it('should surface git failures', async () => {
+    vi.mocked(spawn).mockImplementation(() => createMockChildProcess({ stderr: 'fatal: not a git repository', exitCode: 128 }));
+
+    await expect(collectChangeDiff({ staged: true, cwd: process.cwd() })).rejects.toThrow('not a git repository');
+  });
+
+  it('should review each chunk and merge the issues', async () => {
+    vi.mocked(spawn).mockImplementation((cmd, args) => {
+      if (cmd === 'git') return createMockChildProcess({ stdout: fileDiff('a.js') + fileDiff('b.js'), exitCode: 0 });
+      const prompt = args.at(-1);
+      return createMockChildProcess({ stdout: answer(prompt.includes('files: a.js') ? 'a.js' : 'b.js'), exitCode: 0 });
+    });
+    const onProgress = vi.fn();
+
+    const result = await runChangeReview({}, { staged: true, maxChunkBytes: 60, onProgress });
+
+    const agentCalls = vi.mocked(spawn).mock.calls.filter(([cmd]) => cmd !== 'git');
+    expect(agentCalls).toHaveLength(2);
+    expect(agentCalls[0][1].at(-1)).toContain('Review the following staged changes (part 1 of 2');
+    expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ message: 'Reviewing part 2/2 (1 file(s))' }));
+    expect(result.isError).toBeUndefined();
+    expect(result.review.issues.map((i) => i.file)).toEqual(['a.js', 'b.js']);
+    expect(result.content[0].text).toContain('Reviewed staged changes: 2 file(s) in 2 parts, 2 issue(s).');
+    expect(result.content[0].text).toContain('a.js:1 [warning] looks odd');
+  });
+
+  it('should short-circuit when there is nothing to review', async () => {
+    vi.mocked(spawn).mockImplementation(() => createMockChildProcess({ stdout: '', exitCode: 0 }));
+
+    const result = await runChangeReview({}, {});
+
+    expect(spawn).toHaveBeenCalledTimes(1);
+    expect(vi.mocked(spawn).mock.calls[0][1]).toEqual(expect.arrayContaining(['diff', 'HEAD']));
+    expect(result.content[0].text).toBe('No changes to review (uncommitted changes against HEAD).');
+  });
+});
+
+describe('Configuration file', () => {
+  const originalEnv = { ...process.env };
+  let homeDir;
+  let workspaceDir;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursor-agent-home-'));
+    workspaceDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursor-agent-ws-'));
+    // resolveSettings() reads the real home directory; point it at the test's home config
+    vi.spyOn(os, 'homedir').mockReturnValue(homeDir);
+    delete process.env.CURSOR_AGENT_MODEL;
+    delete process.env.CURSOR_AGENT_TIMEOUT_MS;
+  });
+
+  afterEach(() => {
+    vi.mocked(os.homedir).mockRestore();
+    process.env = { ...originalEnv };
+    fs.rmSync(homeDir, { recursive: true, force: true });
+    fs.rmSync(workspaceDir, { recursive: true, force: true });
+  });
+
+  const writeHomeConfig = (config) => {
+    fs.writeFileSync(path.join(homeDir, 'cursor-agent-mcp.config.json'), JSON.stringify(config));
+  };
+
+  it('should merge home and workspace files with workspace precedence', () => {
+    fs.writeFileSync(
+      path.join(homeDir, 'cursor-agent-mcp.config.yaml'),
+      'defaults:\n  model: home-model\n  timeout_ms: 60000\nprofiles:\n  fast:\n    model: fast-home\n    force: true\n',
+    );
+    fs.writeFileSync(
+      path.join(workspaceDir, 'cursor-agent-mcp.config.json'),
+      JSON.stringify({ defaults: { model: 'ws-model' }, default_profile: 'fast', profiles: { fast: { model: 'fast-ws' } } }),
+    );
+
+    const config = loadConfig({ cwd: workspaceDir, home: homeDir });
+
+    expect(config.files.map((f) => f.scope)).toEqual(['home', 'workspace']);
+    expect(config.defaults).toEqual({ model: 'ws-model', timeout_ms: 60000 });
+    expect(config.profiles.fast).toEqual({ model: 'fast-ws', force: true });
+    expect(config.default_profile).toBe('fast');
+  });
+
+  it('should reject invalid config files with the offending keys', () => {
+    fs.writeFileSync(path.join(workspaceDir, 'cursor-agent-mcp.config.json'), JSON.stringify({ defaults: { timeout_ms: -5, colour: 'red' } }));
+
+    expect(() => loadConfig({ cwd: workspaceDir, home: homeDir })).toThrow(/Invalid config file .*\n {2}- defaults.timeout_ms/);
+    expect(() => loadConfig({ cwd: workspaceDir, home: homeDir })).toThrow(/colour/);
+  });
+
+  it('should resolve profiles with env vars taking precedence', () => {
+    writeHomeConfig({ defaults: { model: 'base', timeout_ms: 1000 }, profiles: { deep: { model: 'deep-model', extra_args: ['--x'] } } });
+
+    expect(resolveSettings()).toEqual({ profile: null, settings: { model: 'base', timeout_ms: 1000 }, sources: { model: 'defaults', timeout_ms: 'defaults' } });
+    expect(resolveSettings({ profile: 'deep' }).settings).toEqual({ model: 'deep-model', timeout_ms: 1000, extra_args: ['--x'] });
+
+    process.env.CURSOR_AGENT_MODEL = 'env-model';
+    const resolved = resolveSettings({ profile: 'deep' });
+    expect(resolved.settings.model).toBe('env-model');
+    expect(resolved.sources.model).toBe('env CURSOR_AGENT_MODEL');
+    expect(() => resolveSettings({ profile: 'nope' })).toThrow('Unknown profile "nope" (available: deep)');
+  });
+
+  it('should apply the selected profile to runs', async () => {
+    writeHomeConfig({ profiles: { review: { model: 'slow-model', force: true, output_format: 'markdown', extra_args: ['--foo'] } } });
+    vi.mocked(spawn).mockReturnValue(createMockChildProcess({ stdout: 'ok', exitCode: 0 }));
+
+    await runCursorAgent({ prompt: 'hi', profile: 'review', extra_args: ['--bar'] });
+
+    const args = vi.mocked(spawn).mock.calls[0][1];
+    expect(args).toEqual(['--print', '--output-format', 'markdown', '--foo', '--bar', '-f', '--model', 'slow-model', 'hi']);
+  });
+
+  it('should refuse tools outside a profile allow-list', async () => {
+    writeHomeConfig({ default_profile: 'readonly', profiles: { readonly: { allowed_tools: ['cursor_agent_analyze_files'] } } });
+
+    await expect(runCursorAgent({ prompt: 'hi' }, undefined, undefined, { tool: 'cursor_agent_edit_file' }))
+      .rejects.toThrow('Tool "cursor_agent_edit_file" is not allowed by profile "readonly" (allowed: cursor_agent_analyze_files)');
+    expect(spawn).not.toHaveBeenCalled();
+  });
+});
+
+describe('HTTP transport', () => {
+  const originalEnv = { ...process.env };
+  let handle;
+  let workDir;
+
+  afterEach(async () => {
+    process.env = { ...originalEnv };
+    await handle?.close();
+    handle = undefined;
+    if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+    workDir = undefined;
+  });
+
+  it('should resolve transport settings from flags over env', () => {
+    process.env.CURSOR_AGENT_TRANSPORT = 'http';
+    process.env.CURSOR_AGENT_HTTP_PORT = '4000';
+    process.env.CURSOR_AGENT_HTTP_TOKEN = 'secret';
+
+    expect(getTransportSettings([])).toEqual({ transport: 'http', host: '127.0.0.1', port: 4000, token: 'secret' });
+    expect(getTransportSettings(['--host', '0.0.0.0', '--port=5000'])).toMatchObject({ host: '0.0.0.0', port: 5000 });
+    delete process.env.CURSOR_AGENT_TRANSPORT;
+    expect(getTransportSettings([]).transport).toBe('stdio');
+    expect(getTransportSettings(['--http']).transport).toBe('http');
+    expect(() => getTransportSettings(['--port', '70000'])).toThrow('Invalid port');
+    expect(() => getTransportSettings(['--transport=ws'])).toThrow('Invalid transport');
+  });
+
+  it('should refuse non-loopback binds without a token', async () => {
+    await expect(startHttpServer({ host: '0.0.0.0', port: 0 })).rejects.toThrow('without CURSOR_AGENT_HTTP_TOKEN');
+  });
+
+  it('should require the bearer token', async () => {
+    handle = await startHttpServer({ host: '127.0.0.1', port: 0, token: 'secret' });
+
+    const res = await fetch(handle.url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' });
+
+    expect(res.status).toBe(401);
+    expect(res.headers.get('www-authenticate')).toBe('Bearer');
+  });
+
+  it('should serve independent Streamable HTTP sessions', async () => {
+    handle = await startHttpServer({ host: '127.0.0.1', port: 0, token: 'secret' });
+    const connect = async () => {
+      const client = new Client({ name: 'http-test', version: '0.0.1' });
+      await client.connect(new StreamableHTTPClientTransport(new URL(handle.url), {
+        requestInit: { headers: { Authorization: 'Bearer secret' } },
+      }));
+      return client;
+    };
+
+    const first = await connect();
+    const second = await connect();
+    const tools = await first.listTools({});
+
+    expect(tools.tools.map((t) => t.name)).toContain('cursor_agent_chat');
+    expect(handle.sessions.size).toBe(2);
+    await first.close();
+    await second.close();
+  });
+
+  it('should keep sessions, jobs, runs and patches private to each HTTP session', async () => {
+    const events = [
+      { type: 'system', subtype: 'init', model: 'gpt-5', session_id: 'chat-private-1' },
+      { type: 'assistant', message: { content: [{ text: 'mine' }] } },
+      { type: 'result', duration_ms: 5, session_id: 'chat-private-1' },
+    ];
+    workDir = fs.mkdtempSync(path.join(process.cwd(), '.http-test-'));
+    const target = path.join(workDir, 'config.json');
+    fs.writeFileSync(target, '{"debug": false}\n');
+    vi.mocked(spawn).mockImplementation((command, args) => {
+      if (args.at(-1).startsWith('Edit the repository file')) fs.writeFileSync(target, '{"debug": true}\n');
+      return createMockChildProcess({ stdout: events.map((e) => JSON.stringify(e) + '\n').join(''), exitCode: 0 });
+    });
+    handle = await startHttpServer({ host: '127.0.0.1', port: 0 });
+    const connect = async () => {
+      const client = new Client({ name: 'http-test', version: '0.0.1' });
+      await client.connect(new StreamableHTTPClientTransport(new URL(handle.url)));
+      return client;
+    };
+    const owner = await connect();
+    const other = await connect();
+
+    const started = await owner.callTool({ name: 'cursor_agent_job_start', arguments: { prompt: 'hello' } });
+    const jobId = started.content[0].text.match(/Job (\S+) started/)[1];
+    let result;
+    for (let i = 0; i < 50; i++) {
+      result = await owner.callTool({ name: 'cursor_agent_job_result', arguments: { job_id: jobId } });
+      if (result.runId) break;
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    const { runId } = result;
+    const ownerSessions = await owner.callTool({ name: 'cursor_agent_session_list', arguments: {} });
+    expect(ownerSessions.content[0].text).toContain('chat-private-1');
+
+    const foreignJob = await other.callTool({ name: 'cursor_agent_job_result', arguments: { job_id: jobId } });
+    expect(foreignJob.isError).toBe(true);
+    expect(foreignJob.content[0].text).toBe(`Unknown job: ${jobId}`);
+    const otherSessions = await other.callTool({ name: 'cursor_agent_session_list', arguments: {} });
+    expect(otherSessions.content[0].text).not.toContain('chat-private-1');
+    const resumed = await other.callTool({ name: 'cursor_agent_chat', arguments: { prompt: 'again', continue: true } });
+    expect(resumed.isError).toBe(true);
+    expect(resumed.content[0].text).toContain('No active session to continue');
+    await expect(other.readResource({ uri: `cursor-agent://runs/${runId}/transcript` })).rejects.toThrow();
+    const ownerRuns = await owner.listResources({});
+    const otherRuns = await other.listResources({});
+    expect(ownerRuns.resources.map((r) => r.uri)).toContain(`cursor-agent://runs/${runId}/events`);
+    expect(otherRuns.resources.map((r) => r.uri)).not.toContain(`cursor-agent://runs/${runId}/events`);
+
+    const proposed = await owner.callTool({ name: 'cursor_agent_propose_edit', arguments: { file: path.relative(process.cwd(), target), instruction: 'enable debug' } });
+    const patchId = proposed.content.map((c) => c.text).join('\n').match(/Patch id: (\S+)/)[1];
+    const foreignApply = await other.callTool({ name: 'cursor_agent_apply_patch', arguments: { patch_id: patchId } });
+    expect(foreignApply.isError).toBe(true);
+    expect(foreignApply.content[0].text).toContain(`Unknown patch: ${patchId}`);
+    expect(fs.readFileSync(target, 'utf8')).toBe('{"debug": false}\n');
+    const applied = await owner.callTool({ name: 'cursor_agent_apply_patch', arguments: { patch_id: patchId } });
+    expect(applied.isError).toBeUndefined();
+    expect(fs.readFileSync(target, 'utf8')).toBe('{"debug": true}\n');
+    await owner.close();
+    await other.close();
+  });
+
+  it('should serve the SSE fallback', async () => {
+    handle = await startHttpServer({ host: '127.0.0.1', port: 0 });
+    const client = new Client({ name: 'sse-test', version: '0.0.1' });
+    await client.connect(new SSEClientTransport(new URL(handle.url.replace(/\/mcp$/, '/sse'))));
+
+    const result = await client.callTool({ name: 'cursor_agent_session_list', arguments: {} });
+
+    expect(result.content[0].text).toBeDefined();
+    await client.close();
+  });
+
+  it('should reject unknown sessions and foreign Host headers', async () => {
+    handle = await startHttpServer({ host: '127.0.0.1', port: 0 });
+
+    const unknown = await fetch(handle.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', 'mcp-session-id': 'nope' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }),
+    });
+    expect(unknown.status).toBe(404);
+
+    const { port } = handle.httpServer.address();
+    const http = await import('node:http');
+    const status = await new Promise((resolve, reject) => {
+      http.get({ host: '127.0.0.1', port, path: '/mcp', headers: { Host: `evil.example:${port}` } }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      }).on('error', reject);
+    });
+    expect(status).toBe(403);
+  });
+});
+
+describe('Custom tools', () => {
+  let homeDir;
+  let client;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursor-agent-home-'));
+    vi.spyOn(os, 'homedir').mockReturnValue(homeDir);
+    fs.writeFileSync(path.join(homeDir, 'cursor-agent-mcp.config.yaml'), [
+      'tools:',
+      '  changelog:',
+      '    description: Summarize a release',
+      '    arguments:',
+      '      version: { type: string }',
+      '      paths: { type: array, items: { type: string } }',
+      '    required: [version]',
+      '    prompt: "Summarize release {{version}} for {{paths}}"',
+      '    model: tool-model',
+      '    output_format: markdown',
+      '',
+    ].join('\n'));
+
+    const server = createServer();
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await server.connect(serverTransport);
+    client = new Client({ name: 'custom-tools-test', version: '0.0.1' });
+    await client.connect(clientTransport);
+  });
+
+  afterEach(async () => {
+    await client.close();
+    vi.mocked(os.homedir).mockRestore();
+    fs.rmSync(homeDir, { recursive: true, force: true });
+  });
+
+  it('should register config tools with their arguments plus COMMON', async () => {
+    const { tools } = await client.listTools({});
+    const tool = tools.find((t) => t.name === 'changelog');
+
+    expect(tool.description).toBe('Summarize a release');
+    expect(tool.inputSchema.required).toEqual(['version']);
+    expect(Object.keys(tool.inputSchema.properties)).toEqual(expect.arrayContaining(['version', 'paths', 'cwd', 'echo_prompt']));
+  });
+
+  it('should run the rendered template with the tool defaults', async () => {
+    vi.mocked(spawn).mockReturnValue(createMockChildProcess({ stdout: 'notes', exitCode: 0 }));
+
+    const result = await client.callTool({ name: 'changelog', arguments: { version: '2.0', paths: ['src', 'lib'], echo_prompt: true } });
+
+    const args = vi.mocked(spawn).mock.calls[0][1];
+    expect(args).toEqual(['--print', '--output-format', 'markdown', '--model', 'tool-model', 'Summarize release 2.0 for src, lib']);
+    expect(result.content[0].text).toBe('Prompt used:\nSummarize release 2.0 for src, lib');
+    expect(result.content[1].text).toBe('notes');
+  });
+
+  it('should validate arguments before running', async () => {
+    await expect(client.callTool({ name: 'changelog', arguments: { paths: ['src'] } })).rejects.toThrow('Invalid arguments for tool changelog');
+    expect(spawn).not.toHaveBeenCalled();
+  });
+});
+
+describe('Prompt overrides', () => {
+  let homeDir;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursor-agent-home-'));
+    vi.spyOn(os, 'homedir').mockReturnValue(homeDir);
+  });
+
+  afterEach(() => {
+    vi.mocked(os.homedir).mockRestore();
+    fs.rmSync(homeDir, { recursive: true, force: true });
+  });
+
+  const writePrompts = (prompts) => {
+    fs.writeFileSync(path.join(homeDir, 'cursor-agent-mcp.config.json'), JSON.stringify({ prompts }));
+  };
+
+  it('should use the built-in prompts without overrides', () => {
+    const { prompt, override, vars } = buildToolPrompt('cursor_agent_search_repo', { query: 'auth', include: 'test/**' });
+
+    expect(override).toBe(false);
+    expect(vars.include).toEqual(['test/**']);
+    expect(prompt).toContain('- Query: auth');
+    expect(prompt).toContain('Return concise findings with file paths and line references.');
+  });
+
+  it('should render overrides with tool variables and the default prompt', () => {
+    writePrompts({
+      search: '{{default}}\nAnswer in German. Globs: {{include}} minus {{exclude}}',
+      plan: 'Plan for {{goal}} under {{constraints}}.',
+      edit: 'Edit {{file}}: {{instruction}} (dry run: {{dry_run}})',
+    });
+
+    const search = buildToolPrompt('cursor_agent_search_repo', { query: 'auth', include: ['test/**', '*.md'], exclude: 'dist/**' });
+    expect(search.override).toBe(true);
+    expect(search.prompt).toMatch(/^Search the repository for occurrences relevant to:\n- Query: auth\n/);
+    expect(search.prompt).toContain('\nAnswer in German. Globs: test/**, *.md minus dist/**');
+
+    expect(buildToolPrompt('cursor_agent_plan_task', { goal: 'ship', constraints: ['no downtime', 'tests'] }).prompt)
+      .toBe('Plan for ship under no downtime, tests.');
+
+    const edit = buildToolPrompt('cursor_agent_propose_edit', { file: 'server.js', instruction: 'tidy' });
+    expect(edit.prompt).toBe(`Edit ${path.resolve('server.js')}: tidy (dry run: true)`);
+    expect(edit.vars.dry_run).toBe(true);
+  });
+
+  it('should reject placeholders the template does not provide', () => {
+    writePrompts({ analyze: 'Look at {{file}}' });
+
+    expect(() => buildToolPrompt('cursor_agent_analyze_files', { paths: ['server.js'] }))
+      .toThrow('prompts.analyze uses unknown placeholder "{{file}}" (available: paths, prompt, contents, default)');
+  });
+
+  it('should send the overridden prompt and render it without running', async () => {
+    writePrompts({ analyze: 'Review {{paths}}. {{prompt}} Use bullet points.' });
+    const server = createServer();
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await server.connect(serverTransport);
+    const client = new Client({ name: 'prompt-overrides-test', version: '0.0.1' });
+    await client.connect(clientTransport);
+    const expected = `Review ${path.resolve('server.js')}. Be brief. Use bullet points.`;
+
+    try {
+      const rendered = await client.callTool({
+        name: 'cursor_agent_render_prompt',
+        arguments: { tool: 'cursor_agent_analyze_files', arguments: { paths: 'server.js', prompt: 'Be brief.' } },
+      });
+      expect(rendered.content[0].text).toBe('Prompt for cursor_agent_analyze_files (config override prompts.analyze):');
+      expect(rendered.content[1].text).toBe(expected);
+      expect(spawn).not.toHaveBeenCalled();
+
+      const invalid = await client.callTool({ name: 'cursor_agent_render_prompt', arguments: { tool: 'cursor_agent_plan_task', arguments: {} } });
+      expect(invalid.isError).toBe(true);
+      expect(invalid.content[0].text).toContain('invalid arguments for cursor_agent_plan_task: goal: Required');
+
+      vi.mocked(spawn).mockReturnValue(createMockChildProcess({ stdout: 'ok', exitCode: 0 }));
+      await client.callTool({ name: 'cursor_agent_analyze_files', arguments: { paths: 'server.js', prompt: 'Be brief.' } });
+      expect(vi.mocked(spawn).mock.calls[0][1].at(-1)).toBe(expected);
+    } finally {
+      await client.close();
+    }
+  });
+});
+
+describe('Model routing', () => {
+  let homeDir;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursor-agent-home-'));
+    vi.spyOn(os, 'homedir').mockReturnValue(homeDir);
+    fs.writeFileSync(path.join(homeDir, 'cursor-agent-mcp.config.json'), JSON.stringify({
+      defaults: { model: 'default-model' },
+      routing: {
+        rules: [
+          { tools: ['cursor_agent_analyze_files'], min_paths: 3, models: ['long-context'] },
+          { quality: 'fast', max_prompt_tokens: 50, models: ['small'] },
+          { quality: 'best', models: ['big', 'big-backup'] },
+        ],
+      },
+    }));
+  });
+
+  afterEach(() => {
+    vi.mocked(os.homedir).mockRestore();
+    fs.rmSync(homeDir, { recursive: true, force: true });
+  });
+
+  const spawnedModel = (call = 0) => {
+    const args = vi.mocked(spawn).mock.calls[call][1];
+    return args[args.indexOf('--model') + 1];
+  };
+
+  it('should match rules by tool, path count, quality and prompt size', () => {
+    expect(selectModelRoute({ tool: 'cursor_agent_analyze_files', prompt: 'x', pathCount: 3 }))
+      .toEqual({ rule: 1, models: ['long-context'], quality: 'balanced' });
+    expect(selectModelRoute({ tool: 'cursor_agent_analyze_files', prompt: 'x', pathCount: 2 })).toBeNull();
+    expect(selectModelRoute({ tool: 'cursor_agent_chat', prompt: 'x'.repeat(200), quality: 'fast' })).toEqual({ rule: 2, models: ['small'], quality: 'fast' });
+    expect(selectModelRoute({ tool: 'cursor_agent_chat', prompt: 'x'.repeat(201), quality: 'fast' })).toBeNull();
+    expect(selectModelRoute({ tool: 'cursor_agent_chat', prompt: 'x', quality: 'best' })?.rule).toBe(3);
+  });
+
+  it('should run the routed model and report it', async () => {
+    vi.mocked(spawn).mockReturnValue(createMockChildProcess({ stdout: 'answer', exitCode: 0 }));
+
+    const result = await runCursorAgent({ prompt: 'hi', quality: 'fast' }, undefined, undefined, { tool: 'cursor_agent_chat' });
+
+    expect(spawnedModel()).toBe('small');
+    expect(result.content[0].text).toBe('answer\n\nModel: small (routing rule 2, quality fast)');
+    expect(result.routing).toEqual({
+      model: 'small',
+      rule: 2,
+      quality: 'fast',
+      chain: ['small'],
+      attempts: [{ model: 'small', isError: false, exitCode: 0 }],
+    });
+  });
+
+  it('should fall back to the next model when a run fails', async () => {
+    vi.mocked(spawn)
+      .mockReturnValueOnce(createMockChildProcess({ stderr: 'model big is not available', exitCode: 1 }))
+      .mockReturnValueOnce(createMockChildProcess({ stdout: 'answer', exitCode: 0 }));
+    const onProgress = vi.fn();
+
+    const result = await runCursorAgent({ prompt: 'hi', quality: 'best' }, onProgress, undefined, { tool: 'cursor_agent_chat' });
+
+    expect(spawn).toHaveBeenCalledTimes(2);
+    expect(spawnedModel(0)).toBe('big');
+    expect(spawnedModel(1)).toBe('big-backup');
+    expect(result.isError).toBeUndefined();
+    expect(result.routing.attempts.map((a) => [a.model, a.isError])).toEqual([['big', true], ['big-backup', false]]);
+    expect(result.content[0].text).toContain('Model: big-backup (routing rule 3, quality best; fell back after big failed)');
+    expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ message: 'Model big failed (exit code 1); trying big-backup' }));
+  });
+
+  it('should not fall back after a timeout', async () => {
+    vi.useFakeTimers();
+    try {
+      vi.mocked(spawn).mockReturnValue(createMockChildProcess({ stdout: '', exitCode: 0, delay: 60000 }));
+      const promise = runCursorAgent({ prompt: 'hi', quality: 'best' }, undefined, undefined, { tool: 'cursor_agent_chat', timeout_ms: 1000 });
+      await vi.advanceTimersByTimeAsync(1000);
+      const result = await promise;
+
+      expect(result.timedOut).toBe(true);
+      expect(spawn).toHaveBeenCalledTimes(1);
+      expect(result.routing.attempts).toEqual([{ model: 'big', isError: true, exitCode: null }]);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('should use explicit models and unmatched calls as before', async () => {
+    vi.mocked(spawn).mockImplementation(() => createMockChildProcess({ stdout: 'answer', exitCode: 0 }));
+
+    const explicit = await runCursorAgent({ prompt: 'hi', quality: 'best', model: 'mine' }, undefined, undefined, { tool: 'cursor_agent_chat' });
+    const unmatched = await runCursorAgent({ prompt: 'hi' }, undefined, undefined, { tool: 'cursor_agent_chat' });
+
+    expect(spawnedModel(0)).toBe('mine');
+    expect(spawnedModel(1)).toBe('default-model');
+    expect(explicit.routing).toBeUndefined();
+    expect(unmatched.content[0].text).toBe('answer');
+  });
+});
+
+describe('Retries', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    vi.spyOn(Math, 'random').mockReturnValue(0.5);
+    delete process.env.CURSOR_AGENT_MAX_RETRIES;
+    delete process.env.CURSOR_AGENT_RETRY_BASE_DELAY_MS;
+  });
+
+  afterEach(() => {
+    vi.mocked(Math.random).mockRestore();
+    vi.useRealTimers();
+    process.env = { ...originalEnv };
+  });
+
+  it('should retry rate limits with backoff and report the attempts', async () => {
+    vi.mocked(spawn)
+      .mockImplementationOnce(() => createMockChildProcess({ stderr: 'Error: 429 Too Many Requests', exitCode: 1 }))
+      .mockImplementationOnce(() => createMockChildProcess({ stderr: 'socket hang up', exitCode: 1 }))
+      .mockImplementationOnce(() => createMockChildProcess({ stdout: 'answer', exitCode: 0 }));
+    const onProgress = vi.fn();
+
+    const promise = invokeCursorAgent({ argv: ['hi'], onProgress });
+    await vi.advanceTimersByTimeAsync(0);
+    await vi.advanceTimersByTimeAsync(749);
+    expect(spawn).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(spawn).toHaveBeenCalledTimes(2);
+    await vi.runAllTimersAsync();
+    const result = await promise;
+
+    expect(spawn).toHaveBeenCalledTimes(3);
+    expect(result.isError).toBeUndefined();
+    expect(result.content[0].text).toBe('answer');
+    expect(result.attempts.map(({ attempt, failure, exitCode, delayMs }) => ({ attempt, failure, exitCode, delayMs }))).toEqual([
+      { attempt: 1, failure: 'rate_limit', exitCode: 1, delayMs: 750 },
+      { attempt: 2, failure: 'network', exitCode: 1, delayMs: 1500 },
+      { attempt: 3, failure: null, exitCode: 0, delayMs: undefined },
+    ]);
+    expect(onProgress).toHaveBeenCalledWith({ progress: 0, message: 'Attempt 1/3 failed (rate_limit); retrying in 750ms' });
+    expect(onProgress).toHaveBeenCalledWith({ progress: 0, message: 'Attempt 2/3 failed (network); retrying in 1500ms' });
+  });
+
+  it('should give up after max retries', async () => {
+    process.env.CURSOR_AGENT_MAX_RETRIES = '1';
+    process.env.CURSOR_AGENT_RETRY_BASE_DELAY_MS = '100';
+    vi.mocked(spawn).mockImplementation(() => createMockChildProcess({ stderr: 'rate limit exceeded', exitCode: 1 }));
+
+    const promise = invokeCursorAgent({ argv: ['hi'] });
+    await vi.runAllTimersAsync();
+    const result = await promise;
+
+    expect(spawn).toHaveBeenCalledTimes(2);
+    expect(result.isError).toBe(true);
+    expect(result.failure).toBe('rate_limit');
+    expect(result.attempts).toHaveLength(2);
+    expect(result.content[0].text).toContain('Gave up after 2 attempts (rate_limit, rate_limit).');
+  });
+
+  it('should not retry auth, unknown or spawn failures', async () => {
+    const run = async (options) => {
+      vi.mocked(spawn).mockImplementationOnce(() => createMockChildProcess(options));
+      const promise = invokeCursorAgent({ argv: ['hi'] });
+      await vi.advanceTimersByTimeAsync(0);
+      return promise;
+    };
+    const auth = await run({ stderr: 'Error: not logged in', exitCode: 1 });
+    const unknown = await run({ stderr: 'bad flag', exitCode: 2 });
+    const spawnFailure = await run({ shouldError: true });
+
+    expect(spawn).toHaveBeenCalledTimes(3);
+    expect([auth.failure, unknown.failure, spawnFailure.failure]).toEqual(['auth', 'unknown', 'spawn']);
+    expect(auth.attempts).toBeUndefined();
+  });
+
+  it('should not retry timeouts of runs that can write', async () => {
+    const homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursor-agent-home-'));
+    vi.spyOn(os, 'homedir').mockReturnValue(homeDir);
+    try {
+      fs.writeFileSync(path.join(homeDir, 'cursor-agent-mcp.config.json'), JSON.stringify({ defaults: { max_retries: 1, retry_on: ['timeout'] } }));
+      vi.mocked(spawn).mockImplementation(() => createMockChildProcess({ stdout: '', exitCode: 0, delay: 60000 }));
+      const run = async (options) => {
+        const promise = invokeCursorAgent({ argv: ['hi'], timeout_ms: 1000, ...options });
+        await vi.advanceTimersByTimeAsync(5000);
+        return promise;
+      };
+
+      const readOnly = await run({});
+      expect(spawn).toHaveBeenCalledTimes(2);
+      expect(readOnly.attempts.map((a) => a.failure)).toEqual(['timeout', 'timeout']);
+
+      const edit = await run({ writes: true });
+      const forced = await run({ force: true });
+      expect(spawn).toHaveBeenCalledTimes(4);
+      expect([edit.failure, forced.failure]).toEqual(['timeout', 'timeout']);
+      expect(edit.attempts).toBeUndefined();
+      expect(forced.attempts).toBeUndefined();
+    } finally {
+      vi.mocked(os.homedir).mockRestore();
+      fs.rmSync(homeDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should stop waiting when cancelled during backoff', async () => {
+    vi.mocked(spawn).mockImplementation(() => createMockChildProcess({ stderr: 'ECONNRESET', exitCode: 1 }));
+    const controller = new AbortController();
+
+    const promise = invokeCursorAgent({ argv: ['hi'], signal: controller.signal });
+    await vi.advanceTimersByTimeAsync(100);
+    controller.abort('user cancelled');
+    const result = await promise;
+
+    expect(spawn).toHaveBeenCalledTimes(1);
+    expect(result.cancelled).toBe(true);
+    expect(result.content[0].text).toBe('cursor-agent cancelled: user cancelled (while waiting to retry)');
+    expect(result.attempts).toEqual([expect.objectContaining({ attempt: 1, failure: 'network', delayMs: 750 })]);
+  });
+});
+
+describe('Response cache', () => {
+  const originalEnv = { ...process.env };
+  let cacheDir;
+  let workDir;
+  let file;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursor-agent-cache-'));
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursor-agent-work-'));
+    file = path.join(workDir, 'a.js');
+    fs.writeFileSync(file, 'export const a = 1;\n');
+    process.env.CURSOR_AGENT_CACHE = '1';
+    process.env.CURSOR_AGENT_CACHE_DIR = cacheDir;
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  const answer = (text) => vi.fn(async () => ({ content: [{ type: 'text', text }], exitCode: 0, streamLogFile: '/tmp/x.json' }));
+  const options = (overrides = {}) => ({ tool: 'cursor_agent_analyze_files', input: { prompt: 'Analyze a.js' }, paths: [file], ...overrides });
+
+  it('should serve repeated calls from the cache until the files change', async () => {
+    const run = answer('first');
+
+    const miss = await runWithCache(options(), run);
+    const hit = await runWithCache(options(), run);
+
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(miss.cache.status).toBe('miss');
+    expect(hit.cache).toEqual({ status: 'hit', key: miss.cache.key, createdAt: expect.any(String) });
+    expect(hit.content[0].text).toMatch(/^first\n\n\(cached response from .+; pass cache: "refresh" to re-run\)$/);
+    expect(hit.streamLogFile).toBeUndefined();
+
+    fs.writeFileSync(file, 'export const a = 2;\n');
+    const changed = await runWithCache(options(), answer('second'));
+    expect(changed.cache.status).toBe('miss');
+    expect(changed.cache.key).not.toBe(miss.cache.key);
+  });
+
+  it('should not serve the stream log, run, session or usage of the cached run', async () => {
+    const usage = { inputTokens: 10, outputTokens: 5, totalTokens: 15, costUsd: null, source: 'estimated' };
+    const run = vi.fn(async () => ({
+      content: [{
+        type: 'text',
+        text: 'answer\n\nSession: chat-1 (pass as session_id to continue this conversation)\n\n---\n' +
+          'Full stream log: /tmp/x.json (3 events, 0.2KB)\nResources: cursor-agent://runs/run-1/events (paged), /transcript, /tool-calls',
+      }],
+      structuredContent: { text: 'answer', streamLog: { path: '/tmp/x.json' }, sessionId: 'chat-1', runId: 'run-1', usage },
+      streamLogFile: '/tmp/x.json',
+      sessionId: 'chat-1',
+      runId: 'run-1',
+      usage,
+    }));
+
+    const miss = await runWithCache(options(), run);
+    const hit = await runWithCache(options(), run);
+
+    expect(miss.runId).toBe('run-1');
+    expect(hit.content).toEqual([{ type: 'text', text: expect.stringMatching(/^answer\n\n\(cached response from [^)]+\)$/) }]);
+    expect(hit.structuredContent).toEqual({ text: 'answer', streamLog: null, sessionId: null, runId: null, cache: hit.cache });
+    expect(hit).not.toHaveProperty('usage');
+    expect(hit).not.toHaveProperty('sessionId');
+    expect(hit).not.toHaveProperty('runId');
+  });
+
+  it('should key on prompt and model and honor bypass and refresh', async () => {
+    await runWithCache(options(), answer('first'));
+
+    expect((await runWithCache(options({ input: { prompt: 'Other' } }), answer('x'))).cache.status).toBe('miss');
+    expect((await runWithCache(options({ input: { prompt: 'Analyze a.js', model: 'm' } }), answer('x'))).cache.status).toBe('miss');
+
+    const bypass = answer('bypassed');
+    expect((await runWithCache(options({ mode: 'bypass' }), bypass)).cache).toEqual({ status: 'bypass' });
+    expect(bypass).toHaveBeenCalledTimes(1);
+
+    const refreshed = await runWithCache(options({ mode: 'refresh' }), answer('fresh'));
+    expect(refreshed.cache.status).toBe('refreshed');
+    expect((await runWithCache(options(), answer('unused'))).content[0].text).toMatch(/^fresh\n/);
+  });
+
+  it('should not cache errors, sessions or disabled calls', async () => {
+    const failing = vi.fn(async () => ({ content: [{ type: 'text', text: 'boom' }], isError: true }));
+    await runWithCache(options(), failing);
+    const failed = await runWithCache(options(), failing);
+    expect(failing).toHaveBeenCalledTimes(2);
+    expect(failed.cache).toEqual({ status: 'miss', key: expect.any(String) });
+    const refreshFailed = await runWithCache(options({ mode: 'refresh' }), failing);
+    expect(refreshFailed.cache.status).toBe('miss');
+
+    const session = await runWithCache(options({ input: { prompt: 'p', session_id: 's1' } }), answer('x'));
+    expect(session.cache).toEqual({ status: 'uncacheable' });
+
+    delete process.env.CURSOR_AGENT_CACHE;
+    const disabled = await runWithCache(options(), answer('x'));
+    expect(disabled.cache).toBeUndefined();
+    expect(listCacheEntries({ dir: cacheDir })).toHaveLength(0);
+  });
+
+  it('should expire entries after the TTL and list and clear them', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    try {
+      process.env.CURSOR_AGENT_CACHE_TTL_MS = '1000';
+      await runWithCache(options(), answer('first'));
+      await runWithCache(options({ tool: 'cursor_agent_search_repo', paths: [workDir] }), answer('search'));
+
+      const entries = listCacheEntries({ dir: cacheDir });
+      expect(entries.map((e) => e.tool).sort()).toEqual(['cursor_agent_analyze_files', 'cursor_agent_search_repo']);
+      expect(entries[0]).toEqual(expect.objectContaining({ promptPreview: 'Analyze a.js', sizeBytes: expect.any(Number) }));
+      expect(entries[0].result).toBeUndefined();
+
+      vi.advanceTimersByTime(1001);
+      expect(clearCache({ tool: 'cursor_agent_search_repo', expiredOnly: true, dir: cacheDir }).removed).toBe(1);
+      expect((await runWithCache(options(), answer('again'))).cache.status).toBe('miss');
+      expect(clearCache({ dir: cacheDir }).removed).toBe(1);
+      expect(listCacheEntries({ dir: cacheDir })).toEqual([]);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('should evict the oldest entries beyond the size limit', async () => {
+    // Each entry is a little under 500 bytes
+    process.env.CURSOR_AGENT_CACHE_MAX_BYTES = '1000';
+    vi.useFakeTimers({ toFake: ['Date'] });
+    try {
+      for (const prompt of ['one', 'two', 'three']) {
+        await runWithCache(options({ input: { prompt } }), answer('x'.repeat(200)));
+        vi.advanceTimersByTime(10);
+      }
+    } finally {
+      vi.useRealTimers();
+    }
+
+    expect(listCacheEntries({ dir: cacheDir }).map((e) => e.promptPreview)).toEqual(['three', 'two']);
+  });
+
+  it('should fingerprint the git tree for searches', async () => {
+    let tree = 'tree-1';
+    vi.mocked(spawn).mockImplementation((cmd, args) => {
+      if (args.includes('rev-parse')) return createMockChildProcess({ stdout: `${tree}\n` });
+      return createMockChildProcess({ stdout: '' });
+    });
+    const search = { tool: 'cursor_agent_search_repo', input: { prompt: 'Search auth' } };
+
+    expect((await runWithCache(search, answer('x'))).cache.status).toBe('miss');
+    expect((await runWithCache(search, answer('x'))).cache.status).toBe('hit');
+    tree = 'tree-2';
+    expect((await runWithCache(search, answer('x'))).cache.status).toBe('miss');
+    expect(vi.mocked(spawn).mock.calls[0][1]).toEqual(['--no-pager', 'rev-parse', 'HEAD^{tree}']);
+
+    vi.mocked(spawn).mockImplementation(() => createMockChildProcess({ stderr: 'fatal: not a git repository', exitCode: 128 }));
+    expect((await runWithCache(search, answer('x'))).cache).toEqual({ status: 'uncacheable' });
+  });
+});
+
+describe('Usage accounting', () => {
+  const originalEnv = { ...process.env };
+  let dir;
+  let ledger;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursor-agent-usage-'));
+    ledger = path.join(dir, 'ledger.json');
+    process.env.CURSOR_AGENT_USAGE_LEDGER = ledger;
+    vi.spyOn(os, 'homedir').mockReturnValue(dir);
+  });
+
+  afterEach(() => {
+    vi.mocked(os.homedir).mockRestore();
+    process.env = { ...originalEnv };
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const readLedger = () => JSON.parse(fs.readFileSync(ledger, 'utf8')).entries;
+
+  it('should report usage from the result event and record it', async () => {
+    const events = [
+      { type: 'system', subtype: 'init', model: 'gpt-5', session_id: 'usage-session' },
+      { type: 'assistant', message: { content: [{ text: 'Hi' }] } },
+      { type: 'result', duration_ms: 10, usage: { input_tokens: 1000, output_tokens: 200 }, total_cost_usd: 0.01 },
+    ];
+    vi.mocked(spawn).mockImplementation(() => createMockChildProcess({ stdout: events.map((e) => JSON.stringify(e)).join('\n') + '\n' }));
+
+    const result = await invokeCursorAgent({ argv: ['hello'], onProgress: vi.fn(), tool: 'cursor_agent_chat' });
+    await invokeCursorAgent({ argv: ['again'], onProgress: vi.fn(), tool: 'cursor_agent_chat' });
+
+    expect(result.usage).toEqual({ inputTokens: 1000, outputTokens: 200, totalTokens: 1200, costUsd: 0.01, source: 'reported' });
+    expect(readLedger()).toEqual([expect.objectContaining({
+      day: new Date().toISOString().slice(0, 10),
+      tool: 'cursor_agent_chat',
+      model: 'gpt-5',
+      calls: 2,
+      estimatedCalls: 0,
+      totalTokens: 2400,
+      costUsd: 0.02,
+    })]);
+    expect(getSession('usage-session').usage).toEqual({ inputTokens: 2000, outputTokens: 400, totalTokens: 2400, costUsd: 0.02 });
+  });
+
+  it('should estimate usage and price it from the config', async () => {
+    fs.writeFileSync(path.join(dir, 'cursor-agent-mcp.config.json'), JSON.stringify({
+      pricing: { 'gpt-5': { input_per_mtok: 2, output_per_mtok: 10 } },
+    }));
+    vi.mocked(spawn).mockImplementation(() => createMockChildProcess({ stdout: 'x'.repeat(400), exitCode: 1 }));
+
+    const result = await invokeCursorAgent({ argv: ['p'.repeat(4000)], model: 'gpt-5', tool: 'cursor_agent_search_repo' });
+
+    expect(result.usage).toEqual({ inputTokens: 1000, outputTokens: 100, totalTokens: 1100, costUsd: 0.003, source: 'estimated' });
+    expect(readLedger()[0]).toEqual(expect.objectContaining({ calls: 1, failedCalls: 1, estimatedCalls: 1 }));
+  });
+
+  it('should not record runs that never started or when disabled', async () => {
+    vi.mocked(spawn).mockImplementationOnce(() => createMockChildProcess({ shouldError: true }));
+    const failed = await invokeCursorAgent({ argv: ['hi'] });
+    expect(failed.usage).toBeUndefined();
+    expect(fs.existsSync(ledger)).toBe(false);
+
+    process.env.CURSOR_AGENT_USAGE_LEDGER = 'off';
+    vi.mocked(spawn).mockImplementationOnce(() => createMockChildProcess({ stdout: 'ok' }));
+    const result = await invokeCursorAgent({ argv: ['hi'] });
+    expect(result.usage.source).toBe('estimated');
+    expect(fs.existsSync(ledger)).toBe(false);
+  });
+
+  it('should summarize by day, tool and model within the window', () => {
+    const usage = (tokens, costUsd = null) => ({ inputTokens: tokens, outputTokens: 0, totalTokens: tokens, costUsd, source: 'reported' });
+    recordUsage({ tool: 'cursor_agent_chat', model: 'a', usage: usage(100, 0.5), now: new Date('2026-03-01T10:00:00Z') });
+    recordUsage({ tool: 'cursor_agent_chat', model: 'b', usage: usage(50), now: new Date('2026-03-07T10:00:00Z') });
+    recordUsage({ tool: 'cursor_agent_plan_task', model: 'a', usage: usage(10, 0.25), now: new Date('2026-03-07T11:00:00Z') });
+
+    const week = summarizeUsage({ days: 7, now: new Date('2026-03-07T12:00:00Z') });
+    expect(week.since).toBe('2026-03-01');
+    expect(week.totals).toEqual(expect.objectContaining({ calls: 3, totalTokens: 160, costUsd: 0.75 }));
+    expect(Object.keys(week.byDay)).toEqual(['2026-03-01', '2026-03-07']);
+    expect(week.byTool.cursor_agent_chat.totalTokens).toBe(150);
+    expect(week.byModel.a.calls).toBe(2);
+
+    const today = summarizeUsage({ days: 1, model: 'a', now: new Date('2026-03-07T12:00:00Z') });
+    expect(today.totals).toEqual(expect.objectContaining({ calls: 1, totalTokens: 10 }));
+  });
+
+  it('should serve the usage report tool', async () => {
+    const usage = { inputTokens: 900, outputTokens: 100, totalTokens: 1000, costUsd: 0.125, source: 'reported' };
+    recordUsage({ tool: 'cursor_agent_chat', model: 'a', usage });
+    recordUsage({ tool: 'cursor_agent_chat', model: 'a', usage: { ...usage, costUsd: null, source: 'estimated' } });
+    const server = createServer();
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await server.connect(serverTransport);
+    const client = new Client({ name: 'usage-test', version: '0.0.1' });
+    await client.connect(clientTransport);
+
+    try {
+      const result = await client.callTool({ name: 'cursor_agent_usage_report', arguments: { days: 1 } });
+      const [summary, json] = result.content[0].text.split('\n\n');
+      expect(summary).toMatch(/^Usage (\d{4}-\d{2}-\d{2})\.\.\1: 2 calls, 2000 tokens, ~\$0\.1250 \(1 of 2 calls estimated\)\.$/);
+      expect(JSON.parse(json).byModel.a.calls).toBe(2);
+    } finally {
+      await client.close();
+    }
+  });
+});
+
+describe('Budget guardrails', () => {
+  const originalEnv = { ...process.env };
+  let dir;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cursor-agent-budget-'));
+    process.env.CURSOR_AGENT_USAGE_LEDGER = path.join(dir, 'ledger.json');
+    delete process.env.CURSOR_AGENT_MAX_TOKENS_PER_CALL;
+    delete process.env.CURSOR_AGENT_MAX_CALLS_PER_HOUR;
+    delete process.env.CURSOR_AGENT_DAILY_TOKEN_BUDGET;
+    vi.spyOn(os, 'homedir').mockReturnValue(dir);
+    vi.mocked(spawn).mockImplementation(() => createMockChildProcess({ stdout: 'ok' }));
+  });
+
+  afterEach(() => {
+    vi.mocked(os.homedir).mockRestore();
+    process.env = { ...originalEnv };
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeBudgets = (budgets) => {
+    fs.writeFileSync(path.join(dir, 'cursor-agent-mcp.config.json'), JSON.stringify({ budgets }));
+  };
+  const usage = (totalTokens, costUsd = null) => ({ inputTokens: totalTokens, outputTokens: 0, totalTokens, costUsd, source: 'reported' });
+
+  it('should refuse prompts over the per-call limit without spawning', async () => {
+    process.env.CURSOR_AGENT_MAX_TOKENS_PER_CALL = '10';
+
+    const result = await invokeCursorAgent({ argv: ['x'.repeat(80)] });
+
+    expect(spawn).not.toHaveBeenCalled();
+    expect(result).toEqual(expect.objectContaining({ isError: true, failure: 'budget' }));
+    expect(result.budget).toEqual(expect.objectContaining({ limit: 'max_tokens_per_call', max: 10 }));
+    expect(result.content[0].text).toBe(
+      'Refused: the prompt is ~20 tokens (estimated), over the per-call limit of 10 (max_tokens_per_call). Narrow the paths or shorten the prompt.',
+    );
+    expect(result.attempts).toBeUndefined();
+  });
+
+  it('should limit calls per hour and warn near the limit', async () => {
+    writeBudgets({ max_calls_per_hour: 2, warn_at: 0.5 });
+    vi.useFakeTimers({ toFake: ['Date'] });
+    try {
+      vi.setSystemTime(new Date('2026-03-07T10:00:00Z'));
+      const first = vi.fn();
+      await invokeCursorAgent({ argv: ['a'], onProgress: first });
+      vi.setSystemTime(new Date('2026-03-07T10:20:00Z'));
+      const second = vi.fn();
+      await invokeCursorAgent({ argv: ['b'], onProgress: second });
+
+      expect(first).toHaveBeenCalledWith({ progress: 0, message: 'Budget warning: 1 of 2 calls used in the last hour (max_calls_per_hour)' });
+      expect(second).toHaveBeenCalledWith({ progress: 0, message: 'Budget warning: 2 of 2 calls used in the last hour (max_calls_per_hour)' });
+
+      const refused = await invokeCursorAgent({ argv: ['c'] });
+      expect(refused.content[0].text).toBe(
+        'Refused: 2 calls in the last hour reached the limit of 2 (max_calls_per_hour). Try again after 2026-03-07T11:00:00.000Z.',
+      );
+      expect(spawn).toHaveBeenCalledTimes(2);
+
+      vi.setSystemTime(new Date('2026-03-07T11:00:01Z'));
+      expect((await invokeCursorAgent({ argv: ['d'] })).isError).toBeUndefined();
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('should count calls still running against the limits', async () => {
+    writeBudgets({ max_calls_per_hour: 2, daily: { 'gpt-5': { tokens: 150 } } });
+    vi.mocked(spawn).mockImplementation(() => createMockChildProcess({ stdout: 'ok', delay: 20 }));
+
+    const tokens = await Promise.all([
+      invokeCursorAgent({ argv: ['x'.repeat(400)], model: 'gpt-5' }),
+      invokeCursorAgent({ argv: ['x'.repeat(400)], model: 'gpt-5' }),
+    ]);
+    expect(tokens.map((c) => c.budget?.limit ?? null)).toEqual([null, 'daily_tokens']);
+    expect(tokens[1].content[0].text).toContain('model gpt-5 used 100 of its 150 daily tokens today (UTC) (~100 reserved by running calls)');
+
+    const calls = await Promise.all([invokeCursorAgent({ argv: ['a'] }), invokeCursorAgent({ argv: ['b'] })]);
+    expect(calls.map((c) => c.budget?.limit ?? null)).toEqual([null, 'max_calls_per_hour']);
+    expect(calls[1].content[0].text).toMatch(
+      /^Refused: 2 calls in the last hour \(1 still running\) reached the limit of 2 \(max_calls_per_hour\)\. Try again after \S+Z\.$/,
+    );
+    expect(spawn).toHaveBeenCalledTimes(2);
+  });
+
+  it('should enforce daily token and cost budgets per model', async () => {
+    writeBudgets({ daily: { 'gpt-5': { tokens: 1000 }, cheap: { cost_usd: 1 } } });
+    recordUsage({ tool: 'cursor_agent_chat', model: 'gpt-5', usage: usage(950) });
+    recordUsage({ tool: 'cursor_agent_chat', model: 'cheap', usage: usage(10, 1.2) });
+
+    const tokens = await invokeCursorAgent({ argv: ['x'.repeat(400)], model: 'gpt-5' });
+    expect(tokens.budget.limit).toBe('daily_tokens');
+    expect(tokens.content[0].text).toContain('model gpt-5 used 950 of its 1000 daily tokens today (UTC) and this call needs ~100 more');
+
+    const cost = await invokeCursorAgent({ argv: ['hi'], model: 'cheap' });
+    expect(cost.content[0].text).toContain('Refused: model cheap spent $1.2000 of its $1 daily budget today (UTC)');
+
+    expect((await invokeCursorAgent({ argv: ['hi'], model: 'other' })).isError).toBeUndefined();
+    expect((await invokeCursorAgent({ argv: ['hi'], model: 'gpt-5' })).isError).toBeUndefined();
+    expect(spawn).toHaveBeenCalledTimes(2);
+  });
+
+  it('should apply the env daily token budget to all models', async () => {
+    process.env.CURSOR_AGENT_DAILY_TOKEN_BUDGET = '100';
+    recordUsage({ tool: 'cursor_agent_chat', model: 'default', usage: usage(100) });
+
+    const result = await invokeCursorAgent({ argv: ['hi'] });
+
+    expect(result.failure).toBe('budget');
+    expect(result.content[0].text).toContain('models under "*" used 100 of their shared 100 daily tokens');
+  });
+
+  it('should count every model without its own entry against the shared "*" budget', async () => {
+    writeBudgets({ daily: { 'gpt-5': { tokens: 1000 }, '*': { tokens: 150 } } });
+    recordUsage({ tool: 'cursor_agent_chat', model: 'a', usage: usage(60) });
+    recordUsage({ tool: 'cursor_agent_chat', model: 'b', usage: usage(60) });
+    recordUsage({ tool: 'cursor_agent_chat', model: 'gpt-5', usage: usage(500) });
+
+    const refused = await invokeCursorAgent({ argv: ['x'.repeat(200)], model: 'c' });
+    expect(refused.budget).toEqual(expect.objectContaining({ limit: 'daily_tokens', used: 120, max: 150 }));
+    expect(refused.content[0].text).toContain('Refused: models under "*" used 120 of their shared 150 daily tokens today (UTC) and this call needs ~50 more');
+
+    expect((await invokeCursorAgent({ argv: ['x'.repeat(200)], model: 'gpt-5' })).isError).toBeUndefined();
+    expect(spawn).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Search pre-filtering', () => {
+  let workDir;
+  let relDir;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    workDir = fs.mkdtempSync(path.join(process.cwd(), '.search-test-'));
+    relDir = path.basename(workDir);
+    const write = (file, content) => {
+      fs.mkdirSync(path.dirname(path.join(workDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(workDir, file), content);
+    };
+    write('.gitignore', 'dist/\n*.log\n!keep.log\n');
+    write('src/auth.js', 'const token = 1;\nexport function verifyToken(jwt) {\n  return jwt === token;\n}\n');
+    write('src/lib/jwt.ts', 'export const decodeJwt = () => null;\n');
+    write('src/lib/util.ts', 'export const noop = () => {};\n');
+    write('docs/auth.md', 'Tokens are verified by verifyToken.\n');
+    write('dist/bundle.js', 'verifyToken(jwt)\n');
+    write('debug.log', 'verifyToken failed\n');
+    write('keep.log', 'kept\n');
+    write('image.bin', Buffer.from([0x6a, 0x77, 0x74, 0x00, 0x01]));
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('should expand globs while respecting .gitignore', () => {
+    expect(listWorkspaceFiles(workDir).files).toEqual([
+      '.gitignore', 'docs/auth.md', 'image.bin', 'keep.log', 'src/auth.js', 'src/lib/jwt.ts', 'src/lib/util.ts',
+    ]);
+    expect(listWorkspaceFiles(workDir, { include: ['*.ts', 'docs'], exclude: ['util.*'] }).files).toEqual(['docs/auth.md', 'src/lib/jwt.ts']);
+    expect(listWorkspaceFiles(workDir, { include: ['src/**/*.{js,md}'] }).files).toEqual(['src/auth.js']);
+  });
+
+  it('should rank files by matched terms and lines', () => {
+    const result = presearchFiles({ root: workDir, query: 'verifytoken jwt' });
+
+    expect(result).toEqual(expect.objectContaining({ mode: 'literal', scanned: 6, matched: 3, truncated: false }));
+    expect(result.candidates.map((c) => c.path)).toEqual(['src/auth.js', 'src/lib/jwt.ts', 'docs/auth.md']);
+    expect(result.candidates[0]).toEqual({
+      path: 'src/auth.js',
+      score: 202,
+      matches: 2,
+      snippets: [
+        { line: 2, text: 'export function verifyToken(jwt) {' },
+        { line: 3, text: 'return jwt === token;' },
+      ],
+    });
+    expect(presearchFiles({ root: workDir, query: 'verifytoken jwt', maxCandidates: 1 }).candidates).toHaveLength(1);
+  });
+
+  it('should search the identifiers of a natural-language query and skip broad matches', () => {
+    for (let i = 0; i < 9; i++) {
+      fs.writeFileSync(path.join(workDir, `src/note${i}.md`), `# Note ${i}\nEach file lists one line of context per reference.\n`);
+    }
+    fs.writeFileSync(path.join(workDir, 'src/args.js'), '// Parses list arguments\nexport function splitListArg(value) {\n  return value.split(",");\n}\n');
+    fs.writeFileSync(path.join(workDir, 'src/cli.js'), 'import { splitListArg } from "./args.js";\nconst files = splitListArg(argv.file);\n');
+    const query = 'Usages of splitListArg: list at most 20 references with file:line and a one-line context; group by file; note definitions separately.';
+
+    const result = presearchFiles({ root: workDir, query });
+    expect(result).toEqual(expect.objectContaining({ terms: ['splitlistarg'], scanned: 17, matched: 2, broad: false }));
+    expect(result.candidates.map((c) => [c.path, c.snippets.map((s) => s.line)])).toEqual([
+      ['src/cli.js', [1, 2]],
+      ['src/args.js', [2]],
+    ]);
+
+    const broad = buildToolPrompt('cursor_agent_search_repo', { query: 'context of each reference', cwd: relDir });
+    expect(broad.vars.presearch).toEqual(expect.objectContaining({ terms: ['context', 'reference'], matched: 9, broad: true }));
+    expect(broad.prompt).toContain('Local pre-search (literal) matched 9 of 17 files, too many to narrow the search; search the files matching the globs.\n');
+    expect(broad.prompt).not.toContain('src/note0.md');
+  });
+
+  it('should search regular expressions and reject invalid ones', () => {
+    const result = presearchFiles({ root: workDir, query: 'export (const|function) \\w+Jwt', mode: 'regex' });
+
+    expect(result.candidates.map((c) => c.path)).toEqual(['src/lib/jwt.ts']);
+    expect(() => presearchFiles({ root: workDir, query: '(', mode: 'regex' })).toThrow('Invalid regex query:');
+  });
+
+  it('should pass the ranked candidates to the model', () => {
+    const { prompt, vars } = buildToolPrompt('cursor_agent_search_repo', {
+      query: 'verifyToken', include: 'src', cwd: relDir, max_candidates: 5,
+    });
+
+    expect(vars.presearch.candidates).toHaveLength(1);
+    expect(prompt).toBe(
+      'Search the repository for occurrences relevant to:\n' +
+      '- Query: verifyToken\n' +
+      '- Include globs:\n  - src (3 files)\n' +
+      'Local pre-search (literal) of 3 files found 1 matching file, best first:\n' +
+      '1. src/auth.js (1 matching line)\n' +
+      '   2: export function verifyToken(jwt) {\n' +
+      'Start with these candidates and only look at other files if they do not answer the query.\n' +
+      'Return concise findings with file paths and line references.',
+    );
+  });
+
+  it('should count the files each glob matches', () => {
+    const globs = resolveSearchGlobs(workDir, { include: ['src/**', path.join(workDir, 'docs')], exclude: ['*.ts', 'vendor/**'] });
+
+    expect(globs.include).toEqual([{ pattern: 'src/**', matches: 3 }, { pattern: 'docs', matches: 1 }]);
+    expect(globs.exclude).toEqual([{ pattern: '*.ts', matches: 2 }, { pattern: 'vendor/**', matches: 0 }]);
+    expect(globs.files).toEqual(['docs/auth.md', 'src/auth.js']);
+  });
+
+  it('should reject globs outside the workspace or matching nothing', () => {
+    const search = (args) => () => buildToolPrompt('cursor_agent_search_repo', { query: 'x', cwd: relDir, mode: 'semantic', ...args });
+
+    expect(search({ include: '../**' })).toThrow('Invalid glob "../**": ".." must not leave the workspace');
+    expect(search({ exclude: '/etc/**' })).toThrow('Invalid glob "/etc/**": absolute paths must be inside the workspace');
+    expect(search({ include: ['src/**', 'dist/**'] })).toThrow(`Include glob "dist/**" matches no files in ${workDir}`);
+    expect(buildToolPrompt('cursor_agent_search_repo', { query: 'x', cwd: relDir, mode: 'semantic', include: 'src/lib/../*.js' }).prompt)
+      .toContain('- Include globs:\n  - src/*.js (1 file)\n');
+  });
+
+  it('should say when nothing matched and skip the pre-search in semantic mode', () => {
+    const none = buildToolPrompt('cursor_agent_search_repo', { query: 'nothing-here', cwd: relDir });
+    expect(none.prompt).toContain('Local pre-search (literal) found no matches in 6 files; search the files matching the globs.\n');
+
+    const semantic = buildToolPrompt('cursor_agent_search_repo', { query: 'verifyToken', cwd: relDir, mode: 'semantic' });
+    expect(semantic.vars.presearch).toBeNull();
+    expect(semantic.prompt).not.toContain('pre-search');
+  });
+});
+
+describe('Local grep', () => {
+  let workDir;
+  let client;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    workDir = fs.mkdtempSync(path.join(process.cwd(), '.grep-test-'));
+    fs.mkdirSync(path.join(workDir, 'src'));
+    fs.writeFileSync(path.join(workDir, '.gitignore'), 'build/\n');
+    fs.writeFileSync(path.join(workDir, 'src', 'auth.js'), 'import x from "y";\n\nexport function verifyToken(jwt) {\n  return verifyToken.cache(jwt);\n}\n');
+    fs.writeFileSync(path.join(workDir, 'src', 'auth.test.js'), 'verifyToken();\n');
+    fs.mkdirSync(path.join(workDir, 'build'));
+    fs.writeFileSync(path.join(workDir, 'build', 'auth.js'), 'verifyToken();\n');
+
+    const server = createServer();
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await server.connect(serverTransport);
+    client = new Client({ name: 'grep-test', version: '0.0.1' });
+    await client.connect(clientTransport);
+  });
+
+  afterEach(async () => {
+    await client.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  const grep = async (args) => {
+    const result = await client.callTool({ name: 'cursor_agent_grep', arguments: { cwd: path.basename(workDir), ...args } });
+    return { result, report: result.isError ? null : JSON.parse(result.content[0].text.split('\n\n').slice(1).join('\n\n')) };
+  };
+
+  it('should return matches with line, column and context without spawning', async () => {
+    const { result, report } = await grep({ pattern: 'verifyToken', exclude: '*.test.js', context_lines: 1 });
+
+    expect(spawn).not.toHaveBeenCalled();
+    expect(result.content[0].text).toMatch(/^2 matches in 1 of 2 files \(page 1\/1\)\.\n\n/);
+    expect(report.matches).toEqual([
+      { file: 'src/auth.js', line: 3, column: 17, text: 'export function verifyToken(jwt) {', before: [''], after: ['  return verifyToken.cache(jwt);'] },
+      { file: 'src/auth.js', line: 4, column: 10, text: '  return verifyToken.cache(jwt);', before: ['export function verifyToken(jwt) {'], after: ['}'] },
+    ]);
+  });
+
+  it('should paginate matches', async () => {
+    const first = await grep({ pattern: 'verifytoken', ignore_case: true, page_size: 2 });
+    expect(first.report).toEqual(expect.objectContaining({ totalMatches: 3, filesMatched: 2, page: 1, totalPages: 2, nextPage: 2 }));
+    expect(first.report.matches).toHaveLength(2);
+
+    const second = await grep({ pattern: 'verifytoken', ignore_case: true, page_size: 2, page: 2 });
+    expect(second.report.nextPage).toBeUndefined();
+    expect(second.report.matches.map((m) => m.file)).toEqual(['src/auth.test.js']);
+
+    const beyond = await grep({ pattern: 'verifytoken', ignore_case: true, page_size: 2, page: 3 });
+    expect(beyond.result.isError).toBe(true);
+    expect(beyond.result.content[0].text).toContain('Invalid params: page 3 is past the last page (2 pages of 2 matches)');
+  });
+
+  it('should treat literal patterns literally and support regex mode', async () => {
+    expect((await grep({ pattern: 'cache(' })).report.totalMatches).toBe(1);
+    expect((await grep({ pattern: 'function \\w+\\(', mode: 'regex' })).report.matches.map((m) => m.line)).toEqual([3]);
+
+    const invalid = await grep({ pattern: '(', mode: 'regex' });
+    expect(invalid.result.isError).toBe(true);
+    expect(invalid.result.content[0].text).toContain('Invalid params: Invalid regex:');
+  });
+
+  it('should stop reading files at the match limit', async () => {
+    fs.writeFileSync(path.join(workDir, 'src', 'a-many.js'), 'verifyToken();\n'.repeat(5001));
+
+    const { result, report } = await grep({ pattern: 'verifyToken', include: 'src', page_size: 500 });
+
+    expect(report).toEqual(expect.objectContaining({ filesSearched: 1, filesMatched: 1, totalMatches: 5000, truncated: true, partialFile: 'src/a-many.js', totalPages: 10 }));
+    expect(result.content[0].text).toMatch(
+      /^5000\+ matches in 1 of 1 files \(page 1\/10\)\. Stopped at the 5000-match limit partway through src\/a-many\.js; the rest of it and the files after it were not searched, narrow the globs or pattern\.\n\n/,
+    );
+  });
+
+  it('should reject include globs that match nothing', async () => {
+    const { result } = await grep({ pattern: 'x', include: 'build/**' });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('Include glob "build/**" matches no files');
+  });
+
+  it('should stay inside the workspace', async () => {
+    const result = await client.callTool({ name: 'cursor_agent_grep', arguments: { pattern: 'x', cwd: '..' } });
+
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toContain('is outside allowed path');
+  });
+});
+
+describe('Chunked analysis', () => {
+  let workDir;
+  let relDir;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    workDir = fs.mkdtempSync(path.join(process.cwd(), '.analyze-test-'));
+    relDir = path.basename(workDir);
+    fs.mkdirSync(path.join(workDir, 'src', 'lib'), { recursive: true });
+    fs.mkdirSync(path.join(workDir, 'empty'));
+    fs.writeFileSync(path.join(workDir, '.gitignore'), '*.gen.js\n');
+    fs.writeFileSync(path.join(workDir, 'src', 'a.js'), 'a'.repeat(2000));
+    fs.writeFileSync(path.join(workDir, 'src', 'b.js'), 'b'.repeat(2000));
+    fs.writeFileSync(path.join(workDir, 'src', 'lib', 'c.ts'), 'c'.repeat(2000));
+    fs.writeFileSync(path.join(workDir, 'src', 'skip.gen.js'), 'x');
+    fs.writeFileSync(path.join(workDir, 'README.md'), 'readme\n');
+    vi.mocked(spawn).mockImplementation((command, args) => createMockChildProcess({
+      stdout: args.at(-1).startsWith('The following are partial analyses') ? 'merged answer' : `notes for ${args.at(-1).match(/chunk (\d)\/\d/)?.[1]}`,
+    }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('should expand directories and globs into sized files', () => {
+    const { files, sources } = expandAnalyzePaths([`${relDir}/README.md`, `${relDir}/src`, `${relDir}/**/*.ts`, `${relDir}/missing.js`]);
+
+    expect(files).toEqual([
+      { path: path.join(workDir, 'README.md'), bytes: 7, tokens: 2 },
+      { path: path.join(workDir, 'missing.js'), bytes: 0, tokens: 0 },
+      { path: path.join(workDir, 'src', 'a.js'), bytes: 2000, tokens: 500 },
+      { path: path.join(workDir, 'src', 'b.js'), bytes: 2000, tokens: 500 },
+      { path: path.join(workDir, 'src', 'lib', 'c.ts'), bytes: 2000, tokens: 500 },
+    ]);
+    expect(sources.map((s) => [s.kind, s.files])).toEqual([['file', 1], ['directory', 3], ['glob', 1], ['file', 1]]);
+  });
+
+  it('should reject empty directories, globs outside the workspace and unmatched globs', () => {
+    expect(() => expandAnalyzePaths([`${relDir}/empty`])).toThrow(`Directory "${relDir}/empty" matches no files`);
+    expect(() => expandAnalyzePaths([`${relDir}/**/*.py`])).toThrow(`Glob "${relDir}/**/*.py" matches no files`);
+    expect(() => expandAnalyzePaths(['../**/*.js'])).toThrow('".." must not leave the workspace');
+  });
+
+  it('should pack files into chunks by estimated tokens and file count', () => {
+    const file = (tokens) => ({ path: `f${tokens}`, bytes: tokens * 4, tokens });
+
+    expect(planAnalyzeChunks([file(400), file(500), file(300)], 1000).map((c) => c.tokens)).toEqual([900, 300]);
+    expect(planAnalyzeChunks([file(100), file(5000), file(100)], 1000).map((c) => c.tokens)).toEqual([100, 5000, 100]);
+    expect(planAnalyzeChunks(Array.from({ length: 450 }, () => file(1)), 1000).map((c) => c.files.length)).toEqual([200, 200, 50]);
+  });
+
+  it('should analyze chunks in parallel and merge them with a final run', async () => {
+    const { files } = expandAnalyzePaths([`${relDir}/src`]);
+    const chunks = planAnalyzeChunks(files, 1000);
+    const onProgress = vi.fn();
+
+    const result = await runChunkedAnalysis({ prompt: 'Find bugs', max_chunk_tokens: 1000 }, { output_format: 'markdown' }, chunks, {
+      onProgress, tool: 'cursor_agent_analyze_files',
+    });
+
+    expect(spawn).toHaveBeenCalledTimes(3);
+    const prompts = vi.mocked(spawn).mock.calls.map((call) => call[1].at(-1));
+    expect(prompts[0]).toContain(`- ${path.join(workDir, 'src', 'a.js')}\n- ${path.join(workDir, 'src', 'b.js')}\n`);
+    expect(prompts[0]).toContain('Additional prompt: Find bugs\nThis is chunk 1/2 of 3 files analyzed in parallel');
+    expect(prompts[2]).toBe(
+      'The following are partial analyses of 3 files, produced in 2 chunks.\n' +
+      'Merge them into one answer to: Find bugs\n' +
+      'Remove duplicates, keep file paths and line references, and do not mention the chunks.\n\n' +
+      '## Chunk 1/2 (2 files)\n\nnotes for 1\n\n## Chunk 2/2 (1 files)\n\nnotes for 2',
+    );
+
+    expect(onProgress).toHaveBeenCalledWith({
+      progress: 0,
+      total: 3,
+      message: 'Analyzing 3 files (~1500 tokens) in 2 parallel chunks of up to 1000 tokens: 1) 2 files, ~1000 tokens; 2) 1 files, ~500 tokens',
+    });
+    expect(onProgress).toHaveBeenCalledWith({ progress: 2, total: 3, message: 'Merging 2 chunk analyses' });
+    expect(result.content.map((c) => c.text)).toEqual(['Analyzed 3 files (~1500 tokens) in 2 chunks:', 'merged answer']);
+    expect(result.chunks).toEqual([{ files: 2, tokens: 1000 }, { files: 1, tokens: 500 }]);
+  });
+
+  it('should report the chunk that failed and cancel the others', async () => {
+    vi.mocked(spawn).mockImplementation((command, args) => createMockChildProcess(
+      args.at(-1).includes('chunk 2/2')
+        ? { stderr: 'boom\n\n---\nFull stream log: /tmp/cursor-agent-mcp/run.json (3 events, 0.2KB)', exitCode: 1 }
+        : { stdout: 'ok', delay: 5000 },
+    ));
+    const { files } = expandAnalyzePaths([`${relDir}/src`]);
+    const startedAt = Date.now();
+
+    const result = await runChunkedAnalysis({}, {}, planAnalyzeChunks(files, 1000), { tool: 'cursor_agent_analyze_files' });
+
+    expect(Date.now() - startedAt).toBeLessThan(2000);
+    expect(result.isError).toBe(true);
+    expect(result.content[0].text).toMatch(/^Analysis failed on chunk 2\/2: /);
+    expect(result.content[0].text).not.toContain('Full stream log');
+    expect(spawn).toHaveBeenCalledTimes(2);
+  });
+
+  it('should fit many large chunk answers into the merge prompt without run footers', async () => {
+    for (let i = 0; i < 30; i++) fs.writeFileSync(path.join(workDir, 'src', `many${String(i).padStart(2, '0')}.js`), 'm'.repeat(2000));
+    const footer = '\n\nSession: chat-1 (pass as session_id to continue this conversation)\n\n---\nFull stream log: /tmp/cursor-agent-mcp/run.json (3 events, 0.2KB)';
+    vi.mocked(spawn).mockImplementation((command, args) => createMockChildProcess({
+      stdout: args.at(-1).startsWith('The following are partial analyses') ? 'merged answer' : 'finding\n'.repeat(2000) + footer,
+    }));
+    const { files } = expandAnalyzePaths([`${relDir}/src`]);
+    const chunks = planAnalyzeChunks(files, 500);
+
+    const result = await runChunkedAnalysis({ prompt: 'Find bugs' }, {}, chunks, { tool: 'cursor_agent_analyze_files' });
+
+    expect(chunks).toHaveLength(33);
+    expect(result.content.at(-1).text).toBe('merged answer');
+    const mergePrompt = vi.mocked(spawn).mock.calls.at(-1)[1].at(-1);
+    expect(Buffer.byteLength(mergePrompt)).toBeLessThanOrEqual(96 * 1024);
+    expect(mergePrompt).toContain('## Chunk 33/33 (1 files)\n\nfinding\n');
+    expect(mergePrompt).toMatch(/\n\[truncated: \d+ bytes of this chunk's notes not shown\]\n\n## Chunk 2\/33/);
+    expect(mergePrompt).not.toContain('Full stream log');
+    expect(mergePrompt).not.toContain('Session: chat-1');
+  });
+
+  it('should refuse plans with more chunks than can be merged', async () => {
+    for (let i = 0; i < 40; i++) fs.writeFileSync(path.join(workDir, 'src', `many${String(i).padStart(2, '0')}.js`), 'm'.repeat(4000));
+    const server = createServer();
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await server.connect(serverTransport);
+    const client = new Client({ name: 'analyze-test', version: '0.0.1' });
+    await client.connect(clientTransport);
+    try {
+      const result = await client.callTool({ name: 'cursor_agent_analyze_files', arguments: { paths: `${relDir}/src`, max_chunk_tokens: 1000 } });
+
+      expect(result.isError).toBe(true);
+      expect(result.content[0].text).toBe(
+        'Invalid params: The paths need 42 chunks of up to 1000 tokens; at most 40 can be merged. Raise max_chunk_tokens or narrow the paths.',
+      );
+      expect(spawn).not.toHaveBeenCalled();
+    } finally {
+      await client.close();
+    }
+  });
+
+  it('should chunk through the tool only when the set exceeds max_chunk_tokens', async () => {
+    const server = createServer();
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await server.connect(serverTransport);
+    const client = new Client({ name: 'analyze-test', version: '0.0.1' });
+    await client.connect(clientTransport);
+    try {
+      const single = await client.callTool({ name: 'cursor_agent_analyze_files', arguments: { paths: `${relDir}/src` } });
+      expect(spawn).toHaveBeenCalledTimes(1);
+      expect(single.content.at(-1).text).toBe('notes for undefined');
+
+      const chunked = await client.callTool({ name: 'cursor_agent_analyze_files', arguments: { paths: `${relDir}/src`, max_chunk_tokens: 1000, output_format: 'markdown' } });
+      expect(spawn).toHaveBeenCalledTimes(4);
+      // Chunk answers are plain text; only the merge run uses the requested format
+      expect(vi.mocked(spawn).mock.calls.slice(1).map((call) => call[1][2])).toEqual(['text', 'text', 'markdown']);
+      expect(chunked.content.map((c) => c.text)).toEqual(['Analyzed 3 files (~1500 tokens) in 2 chunks:', 'merged answer']);
+    } finally {
+      await client.close();
+    }
+  });
+});
+
+describe('Inline file contents', () => {
+  let workDir;
+  let relDir;
+  const file = (name) => path.join(workDir, name);
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    workDir = fs.mkdtempSync(path.join(process.cwd(), '.inline-test-'));
+    relDir = path.basename(workDir);
+    fs.writeFileSync(file('small.js'), 'const a = 1;\nconst b = 2;\n');
+    fs.writeFileSync(file('big.txt'), Array.from({ length: 300 }, (_, i) => `line ${i + 1} ${'x'.repeat(40)}`).join('\n') + '\n');
+    fs.writeFileSync(file('logo.png'), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x1a]));
+    fs.writeFileSync(file('doc.md'), 'Use ```js fences```\n');
+    vi.mocked(spawn).mockImplementation(() => createMockChildProcess({ stdout: 'analysis' }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('should embed line-numbered files and reference binary and missing ones', () => {
+    const { block, inlined, referenced } = inlineFileContents([file('small.js'), file('logo.png'), file('gone.js')], { mode: true });
+
+    expect(block).toBe(
+      'File contents, inlined by the server (the "N| " line number prefixes are not part of the files):\n\n' +
+      `${file('small.js')} (lines 1-2 of 2)\n\`\`\`\n1| const a = 1;\n2| const b = 2;\n\`\`\`\n\n` +
+      `Not inlined; read these files yourself:\n- ${file('logo.png')} (binary)\n- ${file('gone.js')} (unreadable)\n`,
+    );
+    expect(inlined).toEqual([{ path: file('small.js'), bytes: 26, lines: 2, shownLines: 2, truncated: false }]);
+    expect(referenced.map((r) => r.reason)).toEqual(['binary', 'unreadable']);
+  });
+
+  it('should truncate at the byte cap with inline: true and skip big files with auto', () => {
+    const truncated = inlineFileContents([file('small.js'), file('big.txt')], { mode: true, maxBytes: 2000 });
+    expect(truncated.inlined[1]).toEqual({ path: file('big.txt'), bytes: 1510, lines: 300, shownLines: 31, truncated: true });
+    expect(truncated.block).toContain(`${file('big.txt')} (lines 1-31 of 300)\n`);
+    expect(truncated.block).toContain('\n 1| line 1 x');
+    expect(truncated.block).toContain('\n31| line 31 x');
+    expect(truncated.block).toContain('[truncated: 269 more lines (13382 bytes) not shown; read the file for the rest]');
+    expect(Buffer.byteLength(truncated.block)).toBeLessThanOrEqual(2000);
+
+    const auto = inlineFileContents([file('big.txt'), file('small.js')], { mode: 'auto', maxBytes: 2000 });
+    expect(auto.inlined.map((f) => f.path)).toEqual([file('small.js')]);
+    expect(auto.referenced).toEqual([{ path: file('big.txt'), reason: 'over byte cap' }]);
+  });
+
+  it('should keep the rendered block of short-line files under the argument limit', () => {
+    fs.writeFileSync(path.join(workDir, 'short.txt'), 'x\n'.repeat(51192));
+
+    const full = inlineFileContents([file('short.txt')], { mode: true, maxBytes: 98304 });
+    const auto = inlineFileContents([file('short.txt')], { mode: 'auto', maxBytes: 98304 });
+
+    expect(Buffer.byteLength(full.block)).toBeLessThanOrEqual(98304);
+    expect(full.inlined[0]).toMatchObject({ lines: 51192, truncated: true });
+    expect(full.inlined[0].shownLines).toBeLessThan(51192);
+    expect(auto.referenced).toEqual([{ path: file('short.txt'), reason: 'over byte cap' }]);
+  });
+
+  it('should give the inline block only the room the rest of the prompt leaves', () => {
+    fs.writeFileSync(path.join(workDir, 'short.txt'), 'x\n'.repeat(51192));
+    const instruction = 'keep it short '.repeat(4000);
+
+    const { prompt, vars } = buildToolPrompt('cursor_agent_edit_file', { file: `${relDir}/short.txt`, instruction, inline: true });
+
+    expect(Buffer.byteLength(prompt)).toBeLessThanOrEqual(120 * 1024);
+    expect(vars.inlined.inlined[0].truncated).toBe(true);
+    expect(() => buildToolPrompt('cursor_agent_edit_file', { file: `${relDir}/small.js`, instruction: 'x'.repeat(130000) }))
+      .toThrow(/^The prompt is \d+ bytes, over the 122880-byte limit of a single command-line argument\./);
+  });
+
+  it('should pick a fence longer than backtick runs in the file', () => {
+    expect(inlineFileContents([file('doc.md')], { mode: true }).block).toContain('\n````\n1| Use ```js fences```\n````\n');
+  });
+
+  it('should inline the edited file into the edit prompt', () => {
+    const { prompt } = buildToolPrompt('cursor_agent_edit_file', { file: `${relDir}/small.js`, instruction: 'rename a', inline: true });
+
+    expect(prompt).toContain(`- Instruction: rename a\n`);
+    expect(prompt).toContain(`\nFile contents, inlined by the server`);
+    expect(prompt).toContain('1| const a = 1;');
+    expect(buildToolPrompt('cursor_agent_edit_file', { file: `${relDir}/small.js`, instruction: 'rename a' }).prompt).not.toContain('File contents');
+  });
+
+  it('should report what analyze inlined and referenced', async () => {
+    const server = createServer();
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await server.connect(serverTransport);
+    const client = new Client({ name: 'inline-test', version: '0.0.1' });
+    await client.connect(clientTransport);
+    try {
+      const result = await client.callTool({
+        name: 'cursor_agent_analyze_files',
+        arguments: { paths: [`${relDir}/small.js`, `${relDir}/logo.png`], inline: 'auto' },
+      });
+
+      expect(spawn.mock.calls[0][1].at(-1)).toContain('2| const b = 2;');
+      expect(result.content.map((c) => c.text)).toEqual([
+        `Inlined 1 of 2 files (26 bytes); referenced: ${file('logo.png')} (binary).`,
+        'analysis',
+      ]);
+    } finally {
+      await client.close();
+    }
+  });
+});
@@ -3,13 +3,21 @@
 // Start via MCP config (stdio). Requires Node 18+.
 
 import { z } from 'zod';
-import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
 import { spawn } from 'node:child_process';
 import process from 'node:process';
 import path from 'node:path';
 import fs from 'node:fs';
 import os from 'node:os';
+import zlib from 'node:zlib';
+import http from 'node:http';
+import { createHash, randomUUID, timingSafeEqual } from 'node:crypto';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import YAML from 'yaml';
 
 // Environment variable schemas and validation
 // Helper to parse boolean-like env vars ('1', 'true', 'yes', 'on')
@@ -33,6 +41,28 @@ const positiveIntMsSchema = z
     return parsed;
   });
 
+// Helper to parse positive integer counts (zero is treated as unset)
+const positiveIntSchema = z
+  .string()
+  .optional()
+  .transform((val) => {
+    if (!val) return undefined;
+    const parsed = Number.parseInt(val.trim(), 10);
+    if (!Number.isFinite(parsed) || parsed <= 0) return undefined;
+    return parsed;
+  });
+
+// Helper to parse non-negative integer counts (zero is meaningful, e.g. "no retries")
+const nonNegativeIntSchema = z
+  .string()
+  .optional()
+  .transform((val) => {
+    if (!val) return undefined;
+    const parsed = Number.parseInt(val.trim(), 10);
+    if (!Number.isFinite(parsed) || parsed < 0) return undefined;
+    return parsed;
+  });
+
 // Helper to validate executable path (security: no path traversal)
 const executablePathSchema = z
   .string()
@@ -57,8 +87,41 @@ const ENV_SCHEMA = z.object({
   CURSOR_AGENT_FORCE: booleanEnvSchema,
   CURSOR_AGENT_IDLE_EXIT_MS: positiveIntMsSchema,
   CURSOR_AGENT_TIMEOUT_MS: positiveIntMsSchema,
+  CURSOR_AGENT_JOB_TIMEOUT_MS: positiveIntMsSchema,
+  CURSOR_AGENT_MAX_CONCURRENCY: positiveIntSchema,
+  CURSOR_AGENT_QUEUE_TIMEOUT_MS: positiveIntMsSchema,
+  CURSOR_AGENT_MAX_RETRIES: nonNegativeIntSchema,
+  CURSOR_AGENT_RETRY_BASE_DELAY_MS: positiveIntMsSchema,
+  CURSOR_AGENT_LOG_DIR: z.string().trim().min(1).optional(),
+  CURSOR_AGENT_LOG_MAX_AGE_MS: positiveIntMsSchema,
+  CURSOR_AGENT_LOG_MAX_FILES: positiveIntSchema,
+  CURSOR_AGENT_LOG_MAX_BYTES: positiveIntSchema,
+  CURSOR_AGENT_LOG_COMPRESS: booleanEnvSchema,
+  CURSOR_AGENT_LOG_SWEEP_INTERVAL_MS: positiveIntMsSchema,
+  CURSOR_AGENT_STRUCTURED_OUTPUT: booleanEnvSchema,
+  CURSOR_AGENT_USAGE_LEDGER: z.string().trim().min(1).optional(),
+  CURSOR_AGENT_MAX_TOKENS_PER_CALL: positiveIntSchema,
+  CURSOR_AGENT_MAX_CALLS_PER_HOUR: positiveIntSchema,
+  CURSOR_AGENT_DAILY_TOKEN_BUDGET: positiveIntSchema,
+  CURSOR_AGENT_CACHE: booleanEnvSchema,
+  CURSOR_AGENT_CACHE_DIR: z.string().trim().min(1).optional(),
+  CURSOR_AGENT_CACHE_TTL_MS: positiveIntMsSchema,
+  CURSOR_AGENT_CACHE_MAX_BYTES: positiveIntSchema,
+  CURSOR_AGENT_TRANSPORT: z.enum(['stdio', 'http']).optional(),
+  CURSOR_AGENT_HTTP_HOST: z.string().trim().min(1).optional(),
+  CURSOR_AGENT_HTTP_PORT: positiveIntSchema,
+  CURSOR_AGENT_HTTP_TOKEN: z.string().trim().min(1).optional(),
 });
 
+// Snapshot of the raw env values covered by ENV_SCHEMA
+function readRawEnv() {
+  const raw = {};
+  for (const key of Object.keys(ENV_SCHEMA.shape)) {
+    raw[key] = process.env[key];
+  }
+  return raw;
+}
+
 // Validate and parse all environment variables (lazy validation with caching)
 let validatedEnvCache = null;
 let validatedEnvCacheKey = null;
@@ -66,16 +129,8 @@ let isStartup = true;
 
 function getValidatedEnv() {
   // Create a cache key from current env values
-  const cacheKey = JSON.stringify({
-    EXECUTING_CLIENT: process.env.EXECUTING_CLIENT,
-    CURSOR_AGENT_PATH: process.env.CURSOR_AGENT_PATH,
-    DEBUG_CURSOR_MCP: process.env.DEBUG_CURSOR_MCP,
-    CURSOR_AGENT_ECHO_PROMPT: process.env.CURSOR_AGENT_ECHO_PROMPT,
-    CURSOR_AGENT_MODEL: process.env.CURSOR_AGENT_MODEL,
-    CURSOR_AGENT_FORCE: process.env.CURSOR_AGENT_FORCE,
-    CURSOR_AGENT_IDLE_EXIT_MS: process.env.CURSOR_AGENT_IDLE_EXIT_MS,
-    CURSOR_AGENT_TIMEOUT_MS: process.env.CURSOR_AGENT_TIMEOUT_MS,
-  });
+  const rawEnv = readRawEnv();
+  const cacheKey = JSON.stringify(rawEnv);
 
   // Return cached result if env vars haven't changed
   if (validatedEnvCache && validatedEnvCacheKey === cacheKey) {
@@ -84,16 +139,7 @@ function getValidatedEnv() {
 
   // Validate and cache
   try {
-    validatedEnvCache = ENV_SCHEMA.parse({
-      EXECUTING_CLIENT: process.env.EXECUTING_CLIENT,
-      CURSOR_AGENT_PATH: process.env.CURSOR_AGENT_PATH,
-      DEBUG_CURSOR_MCP: process.env.DEBUG_CURSOR_MCP,
-      CURSOR_AGENT_ECHO_PROMPT: process.env.CURSOR_AGENT_ECHO_PROMPT,
-      CURSOR_AGENT_MODEL: process.env.CURSOR_AGENT_MODEL,
-      CURSOR_AGENT_FORCE: process.env.CURSOR_AGENT_FORCE,
-      CURSOR_AGENT_IDLE_EXIT_MS: process.env.CURSOR_AGENT_IDLE_EXIT_MS,
-      CURSOR_AGENT_TIMEOUT_MS: process.env.CURSOR_AGENT_TIMEOUT_MS,
-    });
+    validatedEnvCache = ENV_SCHEMA.parse(rawEnv);
     validatedEnvCacheKey = cacheKey;
     return validatedEnvCache;
   } catch (error) {
@@ -117,6 +163,296 @@ isStartup = true;
 getValidatedEnv();
 isStartup = false;
 
+// Configuration file
+// Optional cursor-agent-mcp.config.(json|yaml|yml) files in the user's home directory and in the
+// workspace (process.cwd()) provide defaults and named profiles. Precedence, lowest first:
+// home file < workspace file < selected profile < env vars < explicit tool arguments.
+const CONFIG_FILE_NAMES = ['cursor-agent-mcp.config.json', 'cursor-agent-mcp.config.yaml', 'cursor-agent-mcp.config.yml'];
+
+// Failure classes that may be retried; auth and spawn failures never are
+const RETRIABLE_FAILURES = ['rate_limit', 'network', 'timeout'];
+
+const CONFIG_SETTINGS_SCHEMA = z
+  .object({
+    model: z.string().trim().min(1).optional(),
+    force: z.boolean().optional(),
+    timeout_ms: z.number().int().positive().optional(),
+    idle_exit_ms: z.number().int().positive().optional(),
+    job_timeout_ms: z.number().int().positive().optional(),
+    output_format: z.enum(['text', 'json', 'markdown']).optional(),
+    // Prepended to every prompt-based call's extra_args
+    extra_args: z.array(z.string()).optional(),
+    // MCP tool names that may run under these settings (unset = all)
+    allowed_tools: z.array(z.string().min(1)).optional(),
+    // Retries for transient failures (see invokeCursorAgent); timeouts are not retried for runs that can write
+    max_retries: z.number().int().min(0).max(10).optional(),
+    retry_base_delay_ms: z.number().int().positive().optional(),
+    retry_max_delay_ms: z.number().int().positive().optional(),
+    retry_on: z.array(z.enum(RETRIABLE_FAILURES)).optional(),
+  })
+  .strict();
+
+// User-defined tool: a prompt template over typed arguments, run like the built-in verb tools
+const CUSTOM_TOOL_SCHEMA = z
+  .object({
+    description: z.string().min(1),
+    // Argument name -> JSON Schema (same subset as response_schema), optionally with a description
+    arguments: z.record(z.record(z.any())).optional(),
+    required: z.array(z.string()).optional(),
+    // Placeholders: {{argument_name}}
+    prompt: z.string().min(1),
+    model: z.string().trim().min(1).optional(),
+    output_format: z.enum(['text', 'json', 'markdown']).optional(),
+    profile: z.string().min(1).optional(),
+  })
+  .strict();
+
+// Overrides for the built-in verb prompts (see PROMPT_TEMPLATE_VARIABLES)
+const PROMPT_OVERRIDES_SCHEMA = z
+  .object({
+    edit: z.string().min(1).optional(),
+    analyze: z.string().min(1).optional(),
+    search: z.string().min(1).optional(),
+    plan: z.string().min(1).optional(),
+  })
+  .strict();
+
+const QUALITY_LEVELS = ['fast', 'balanced', 'best'];
+
+// Model routing rule: all given conditions must match; models are tried in order
+const ROUTING_RULE_SCHEMA = z
+  .object({
+    tools: z.array(z.string().min(1)).min(1).optional(),
+    quality: z.enum(QUALITY_LEVELS).optional(),
+    // Estimated prompt size (see estimateTokens)
+    min_prompt_tokens: z.number().int().nonnegative().optional(),
+    max_prompt_tokens: z.number().int().nonnegative().optional(),
+    // Number of paths passed to cursor_agent_analyze_files (0 for other tools)
+    min_paths: z.number().int().nonnegative().optional(),
+    max_paths: z.number().int().nonnegative().optional(),
+    models: z.array(z.string().trim().min(1)).min(1),
+  })
+  .strict();
+
+const ROUTING_SCHEMA = z
+  .object({
+    // Quality assumed for calls without a quality argument (default balanced)
+    default_quality: z.enum(QUALITY_LEVELS).optional(),
+    rules: z.array(ROUTING_RULE_SCHEMA).default([]),
+  })
+  .strict();
+
+const MODEL_PRICE_SCHEMA = z
+  .object({
+    input_per_mtok: z.number().nonnegative(),
+    output_per_mtok: z.number().nonnegative(),
+  })
+  .strict();
+
+// Spending limits (see checkBudget); daily budgets are per model, "*" applies to all others
+const BUDGETS_SCHEMA = z
+  .object({
+    max_tokens_per_call: z.number().int().positive().optional(),
+    max_calls_per_hour: z.number().int().positive().optional(),
+    daily: z
+      .record(
+        z
+          .object({
+            tokens: z.number().int().positive().optional(),
+            cost_usd: z.number().positive().optional(),
+          })
+          .strict(),
+      )
+      .optional(),
+    // Fraction of a limit at which a progress warning is sent (default 0.8)
+    warn_at: z.number().gt(0).max(1).optional(),
+  })
+  .strict();
+
+const CONFIG_FILE_SCHEMA = z
+  .object({
+    defaults: CONFIG_SETTINGS_SCHEMA.optional(),
+    default_profile: z.string().min(1).optional(),
+    profiles: z.record(CONFIG_SETTINGS_SCHEMA).optional(),
+    tools: z.record(CUSTOM_TOOL_SCHEMA).optional(),
+    prompts: PROMPT_OVERRIDES_SCHEMA.optional(),
+    routing: ROUTING_SCHEMA.optional(),
+    // Model -> USD per million tokens, used when the CLI reports no cost
+    pricing: z.record(MODEL_PRICE_SCHEMA).optional(),
+    budgets: BUDGETS_SCHEMA.optional(),
+  })
+  .strict();
+
+// Env vars that override the corresponding config settings when set
+const CONFIG_ENV_OVERRIDES = {
+  model: 'CURSOR_AGENT_MODEL',
+  force: 'CURSOR_AGENT_FORCE',
+  timeout_ms: 'CURSOR_AGENT_TIMEOUT_MS',
+  idle_exit_ms: 'CURSOR_AGENT_IDLE_EXIT_MS',
+  job_timeout_ms: 'CURSOR_AGENT_JOB_TIMEOUT_MS',
+  max_retries: 'CURSOR_AGENT_MAX_RETRIES',
+  retry_base_delay_ms: 'CURSOR_AGENT_RETRY_BASE_DELAY_MS',
+};
+
+function findConfigFile(dir) {
+  for (const name of CONFIG_FILE_NAMES) {
+    const candidate = path.join(dir, name);
+    try {
+      if (fs.statSync(candidate).isFile()) return candidate;
+    } catch {}
+  }
+  return null;
+}
+
+function parseConfigFile(filePath) {
+  let data;
+  try {
+    const raw = fs.readFileSync(filePath, 'utf8');
+    data = filePath.endsWith('.json') ? JSON.parse(raw) : YAML.parse(raw);
+  } catch (e) {
+    throw new Error(`Invalid config file ${filePath}: ${e?.message || e}`);
+  }
+  const parsed = CONFIG_FILE_SCHEMA.safeParse(data ?? {});
+  if (!parsed.success) {
+    throw new Error(`Invalid config file ${filePath}:\n${formatZodIssues(parsed.error).map((i) => `  - ${i}`).join('\n')}`);
+  }
+  return parsed.data;
+}
+
+// Merged config, re-read whenever a config file appears, disappears or changes
+let configCache = null;
+let configCacheKey = null;
+
+/**
+ * Loads and merges the home and workspace config files.
+ * Returns { files, defaults, default_profile, profiles, tools, prompts, routing, pricing, budgets };
+ * throws on invalid files.
+ */
+function loadConfig({ cwd = process.cwd(), home = os.homedir() } = {}) {
+  const files = [];
+  for (const [scope, dir] of [['home', home], ['workspace', cwd]]) {
+    const file = dir ? findConfigFile(dir) : null;
+    // Running from the home directory must not apply the same file twice
+    if (file && !files.some((f) => f.path === file)) files.push({ scope, path: file });
+  }
+
+  const cacheKey = JSON.stringify(files.map((f) => {
+    const stat = fs.statSync(f.path);
+    return [f.path, stat.mtimeMs, stat.size];
+  }));
+  if (configCache && configCacheKey === cacheKey) {
+    return configCache;
+  }
+
+  const merged = { files, defaults: {}, default_profile: undefined, profiles: {}, tools: {}, prompts: {}, routing: null, pricing: {}, budgets: { daily: {} } };
+  for (const file of files) {
+    const data = parseConfigFile(file.path);
+    Object.assign(merged.defaults, data.defaults);
+    if (data.default_profile) merged.default_profile = data.default_profile;
+    for (const [name, settings] of Object.entries(data.profiles ?? {})) {
+      merged.profiles[name] = { ...merged.profiles[name], ...settings };
+    }
+    // Tool definitions are replaced as a whole; merging argument lists would be surprising
+    Object.assign(merged.tools, data.tools);
+    Object.assign(merged.prompts, data.prompts);
+    // Rules are ordered, so a workspace routing section replaces the home one
+    if (data.routing) merged.routing = data.routing;
+    Object.assign(merged.pricing, data.pricing);
+    const { daily, ...limits } = data.budgets ?? {};
+    Object.assign(merged.budgets, limits);
+    for (const [model, budget] of Object.entries(daily ?? {})) {
+      merged.budgets.daily[model] = { ...merged.budgets.daily[model], ...budget };
+    }
+  }
+  if (merged.default_profile && !merged.profiles[merged.default_profile]) {
+    throw new Error(`Invalid config: default_profile "${merged.default_profile}" is not defined in profiles`);
+  }
+  for (const [name, definition] of Object.entries(merged.tools)) {
+    buildCustomToolShape(name, definition);
+    if (definition.profile && !merged.profiles[definition.profile]) {
+      throw new Error(`Invalid config: tool "${name}" uses undefined profile "${definition.profile}"`);
+    }
+  }
+  for (const [kind, template] of Object.entries(merged.prompts)) {
+    validatePromptOverride(kind, template);
+  }
+
+  configCache = merged;
+  configCacheKey = cacheKey;
+  return merged;
+}
+
+/**
+ * Effective settings for a call: config defaults, then the named (or default) profile, then env
+ * vars. Returns { profile, settings, sources } where sources names where each setting came from.
+ */
+function resolveSettings({ profile } = {}) {
+  const config = loadConfig();
+  const name = profile?.trim() || config.default_profile;
+  if (name && !config.profiles[name]) {
+    const available = Object.keys(config.profiles);
+    throw new Error(
+      `Unknown profile "${name}"` + (available.length ? ` (available: ${available.join(', ')})` : ' (no profiles configured)'),
+    );
+  }
+
+  const settings = {};
+  const sources = {};
+  for (const [source, layer] of [['defaults', config.defaults], [`profile ${name}`, name && config.profiles[name]]]) {
+    for (const [key, value] of Object.entries(layer || {})) {
+      settings[key] = value;
+      sources[key] = source;
+    }
+  }
+
+  const env = getValidatedEnv();
+  for (const [key, envVar] of Object.entries(CONFIG_ENV_OVERRIDES)) {
+    // Unset boolean env vars parse to false, so only a present value may override the config
+    if (!process.env[envVar] || env[envVar] === undefined) continue;
+    settings[key] = env[envVar];
+    sources[key] = `env ${envVar}`;
+  }
+
+  return { profile: name ?? null, settings, sources };
+}
+
+// Model routing
+// Calls without an explicit model are matched against the config's routing rules (first match
+// wins). The rule's models form a fallback chain: when a run fails with a non-zero exit (e.g. the
+// model is unavailable) the next model is tried. Unmatched calls use the configured model.
+
+// Rough token estimate (~4 characters per token) used where the CLI reports no usage
+function estimateTokens(text) {
+  return Math.ceil(String(text ?? '').length / 4);
+}
+
+/**
+ * Picks the routing rule for a call. Returns { rule, models, quality } where rule is the
+ * 1-based rule number, or null when routing is not configured or no rule matches.
+ */
+function selectModelRoute({ tool, prompt, pathCount = 0, quality } = {}) {
+  const routing = loadConfig().routing;
+  if (!routing) return null;
+  const effectiveQuality = quality ?? routing.default_quality ?? 'balanced';
+  const promptTokens = estimateTokens(prompt);
+  const index = routing.rules.findIndex((rule) =>
+    (!rule.tools || rule.tools.includes(tool)) &&
+    (!rule.quality || rule.quality === effectiveQuality) &&
+    (rule.min_prompt_tokens === undefined || promptTokens >= rule.min_prompt_tokens) &&
+    (rule.max_prompt_tokens === undefined || promptTokens <= rule.max_prompt_tokens) &&
+    (rule.min_paths === undefined || pathCount >= rule.min_paths) &&
+    (rule.max_paths === undefined || pathCount <= rule.max_paths),
+  );
+  if (index === -1) return null;
+  return { rule: index + 1, models: routing.rules[index].models, quality: effectiveQuality };
+}
+
+// Failures worth retrying on another model: the CLI ran and exited non-zero
+function shouldFallBackToNextModel(result) {
+  return !!result?.isError && !result.cancelled && !result.timedOut && typeof result.exitCode === 'number' && result.exitCode !== 0;
+}
+
+
 // Security validation utilities
 
 /**
@@ -276,9 +612,20 @@ function getSafeEnvironment() {
   if (env.CURSOR_AGENT_TIMEOUT_MS !== undefined) {
     safeEnv.CURSOR_AGENT_TIMEOUT_MS = String(env.CURSOR_AGENT_TIMEOUT_MS);
   }
+  if (env.CURSOR_AGENT_JOB_TIMEOUT_MS !== undefined) {
+    safeEnv.CURSOR_AGENT_JOB_TIMEOUT_MS = String(env.CURSOR_AGENT_JOB_TIMEOUT_MS);
+  }
+  if (env.CURSOR_AGENT_MAX_CONCURRENCY !== undefined) {
+    safeEnv.CURSOR_AGENT_MAX_CONCURRENCY = String(env.CURSOR_AGENT_MAX_CONCURRENCY);
+  }
+  if (env.CURSOR_AGENT_QUEUE_TIMEOUT_MS !== undefined) {
+    safeEnv.CURSOR_AGENT_QUEUE_TIMEOUT_MS = String(env.CURSOR_AGENT_QUEUE_TIMEOUT_MS);
+  }
 
   // Add other whitelisted variables from process.env
   for (const [key, value] of Object.entries(process.env)) {
+    // The HTTP bearer token authenticates MCP clients; cursor-agent has no use for it
+    if (key === 'CURSOR_AGENT_HTTP_TOKEN') continue;
     if (
       whitelist.has(key) ||
       key.startsWith(cursorAgentPrefix) ||
@@ -295,208 +642,3246 @@ function getSafeEnvironment() {
   return safeEnv;
 }
 
-// Export validation functions and core functions for testing
-export {
-  validateExecutablePath,
-  validateWorkingDirectory,
-  validateFilePath,
-  getSafeEnvironment,
-  invokeCursorAgent,
-  runCursorAgent,
-};
-
-// Tool input schema
-const RUN_SCHEMA = z.object({
-  prompt: z.string().min(1, 'prompt is required'),
-  output_format: z.enum(['text', 'json', 'markdown']).default('text'),
-  extra_args: z.array(z.string()).optional(),
-  cwd: z.string().optional(),
-  // Optional override for the executable path if not on PATH
-  executable: z.string().optional(),
-  // Optional model and force for parity with other tools/env overrides
-  model: z.string().optional(),
-  force: z.boolean().optional(),
-});
-
-// Resolve the executable path for cursor-agent
-function resolveExecutable(explicit) {
-  return validateExecutablePath(explicit);
+// Server state
+// Sessions, jobs, runs and patches belong to the MCP server that created them: stdio has one
+// server, the HTTP transport one per client session, so HTTP clients never see each other's
+// state. createServer binds its tool, resource and prompt callbacks, and the work they start
+// (including background jobs), to its registries; code outside a server (tests, startup) uses the
+// default registries.
+function createRegistries() {
+  return { sessions: new Map(), jobs: new Map(), runs: new Map(), runStoreListeners: new Set(), patches: new Map() };
 }
 
-/**
-* Internal executor that spawns cursor-agent with provided argv and common options.
-* Adds --print and --output-format, handles env/model/force, timeouts and idle kill.
-* Supports progress notifications when onProgress callback is provided.
-* Supports cancellation via AbortSignal.
-*/
-async function invokeCursorAgent({ argv, output_format = 'text', cwd, executable, model, force, print = true, onProgress, signal }) {
- const cmd = resolveExecutable(executable);
- const validatedCwd = validateWorkingDirectory(cwd);
- const safeEnv = getSafeEnvironment();
-
- // Compute model/force from args/env
- const env = getValidatedEnv();
- const userArgs = [...(argv ?? [])];
- const hasModelFlag = userArgs.some((a) => a === '-m' || a === '--model' || /^(?:-m=|--model=)/.test(String(a)));
- const envModel = env.CURSOR_AGENT_MODEL;
- const effectiveModel = model?.trim?.() || envModel;
+const defaultRegistries = createRegistries();
+const registryScope = new AsyncLocalStorage();
 
- const hasForceFlag = userArgs.some((a) => a === '-f' || a === '--force');
- const envForce = env.CURSOR_AGENT_FORCE;
- const effectiveForce = typeof force === 'boolean' ? force : envForce;
+function getRegistries() {
+  return registryScope.getStore() ?? defaultRegistries;
+}
 
- // Extract prompt (last non-flag argument) to ensure it's the final argument
- let promptArg = null;
- let argsWithoutPrompt = userArgs;
- if (userArgs.length > 0) {
-   const lastArg = userArgs[userArgs.length - 1];
-   // If last argument doesn't start with '-', treat it as the prompt
-   if (lastArg && typeof lastArg === 'string' && !lastArg.startsWith('-')) {
-     promptArg = lastArg;
-     argsWithoutPrompt = userArgs.slice(0, -1);
-   }
- }
+// Session registry
+// cursor-agent keeps conversation history per chat/session id. We capture the id from the
+// stream-json "system/init" event and remember it here so later calls can resume the chat.
+const SESSION_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._:-]{0,127}$/;
+const MAX_TRACKED_SESSIONS = 200;
 
- // If progress is requested, use stream-json format for parsing
- const useStreamJson = !!onProgress;
- const finalOutputFormat = useStreamJson ? 'stream-json' : output_format;
+/**
+ * Records a turn for a session, creating the registry entry on first sight.
+ * Keeps the registry bounded by evicting the least recently used sessions.
+ * usage (see computeRunUsage) is added to the session's running totals.
+ */
+function recordSession(sessionId, { cwd, model, prompt, usage } = {}) {
+  const { sessions } = getRegistries();
+  const now = new Date().toISOString();
+  const existing = sessions.get(sessionId);
+  const entry = existing ?? {
+    id: sessionId,
+    status: 'active',
+    createdAt: now,
+    turns: 0,
+  };
+  entry.lastUsedAt = now;
+  entry.turns += 1;
+  if (cwd) entry.cwd = cwd;
+  if (model) entry.model = model;
+  if (prompt) entry.lastPrompt = prompt.length > 200 ? `${prompt.slice(0, 200)}...` : prompt;
+  if (usage) {
+    const total = entry.usage ?? { inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0 };
+    entry.usage = {
+      inputTokens: total.inputTokens + usage.inputTokens,
+      outputTokens: total.outputTokens + usage.outputTokens,
+      totalTokens: total.totalTokens + usage.totalTokens,
+      costUsd: total.costUsd + (usage.costUsd ?? 0),
+    };
+  }
 
- const finalArgv = [
-   ...(print ? ['--print', '--output-format', finalOutputFormat] : []),
-   ...(useStreamJson && print ? ['--stream-partial-output'] : []), // Enable incremental deltas
-   ...argsWithoutPrompt,
-   ...(hasForceFlag || !effectiveForce ? [] : ['-f']),
-   ...(hasModelFlag || !effectiveModel ? [] : ['--model', effectiveModel]),
-   ...(promptArg ? [promptArg] : []),
- ];
+  // Re-insert to keep Map iteration order = least recently used first
+  sessions.delete(sessionId);
+  sessions.set(sessionId, entry);
+  while (sessions.size > MAX_TRACKED_SESSIONS) {
+    sessions.delete(sessions.keys().next().value);
+  }
+  return entry;
+}
 
- return new Promise((resolve) => {
-   let settled = false;
-   let out = '';
-   let err = '';
-   let idleTimer = null;
-   let mainTimer = null;
-   let killedByIdle = false;
+function getSession(sessionId) {
+  const { sessions } = getRegistries();
+  return sessions.get(sessionId);
+}
 
-  // State for stream-json parsing
-  let accumulatedText = '';
-  let toolCount = 0;
-  let partialLine = ''; // Buffer for incomplete JSON lines
-  let pendingAssistantProgress = false; // Track if we have unsent assistant progress
+function listSessions({ includeClosed = false } = {}) {
+  const { sessions } = getRegistries();
+  return [...sessions.values()]
+    .filter((s) => includeClosed || s.status !== 'closed')
+    .reverse();
+}
 
-  // Arrays to accumulate progress messages and events for logging
-  const progressMessages = [];
-  const events = [];
+function closeSession(sessionId) {
+  const { sessions } = getRegistries();
+  const entry = sessions.get(sessionId);
+  if (!entry) return undefined;
+  entry.status = 'closed';
+  entry.closedAt = new Date().toISOString();
+  return entry;
+}
 
-  // Pre-compute log file path if we'll be using stream-json
-  let streamLogFilePath = null;
-  let streamLogFilename = null;
-  if (useStreamJson) {
-    // Generate filename once to ensure consistency
-    streamLogFilename = `cursor-agent-stream-${Date.now()}-${Math.random().toString(36).slice(2)}.json`;
-    try {
-      const tempDir = os.tmpdir();
-      streamLogFilePath = path.join(tempDir, streamLogFilename);
-      console.info(`[cursor-mcp] Stream log file: ${streamLogFilePath}`);
-    } catch (e) {
-      // If we can't create the path now, writeStreamLog will handle it later
+/**
+ * Resolves which session (if any) a call should resume.
+ * An explicit session_id wins; continue=true picks the most recently used active session.
+ * Unknown ids are allowed (e.g. chats created outside this server) but closed ones are rejected.
+ */
+function resolveSessionResume({ session_id, continue: continueSession } = {}) {
+  const { sessions } = getRegistries();
+  if (session_id && session_id.trim()) {
+    const trimmed = session_id.trim();
+    if (!SESSION_ID_PATTERN.test(trimmed)) {
+      throw new Error(`Invalid session_id: "${trimmed}"`);
+    }
+    const entry = sessions.get(trimmed);
+    if (entry?.status === 'closed') {
+      throw new Error(`Session "${trimmed}" is closed`);
+    }
+    return trimmed;
+  }
+  if (continueSession) {
+    const latest = listSessions()[0];
+    if (!latest) {
+      throw new Error('No active session to continue; pass session_id or start one with new_session: true');
     }
+    return latest.id;
   }
+  return undefined;
+}
 
-  // Helper to write stream log to temp file (full JSON events for optional inspection)
-  const writeStreamLog = () => {
-    if (!useStreamJson || events.length === 0) return null;
-    try {
-      const filePath = streamLogFilePath || (() => {
-        const tempDir = os.tmpdir();
-        const filename = streamLogFilename || `cursor-agent-stream-${Date.now()}-${Math.random().toString(36).slice(2)}.json`;
-        return path.join(tempDir, filename);
-      })();
+// Background jobs
+// A job is a runCursorAgent call detached from the MCP request, so hosts can start long
+// analyses and poll for progress instead of hitting request timeouts.
+const DEFAULT_JOB_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_TRACKED_JOBS = 100;
 
-      const lines = events.map(e => JSON.stringify(e));
-      const content = lines.join('\n') + '\n';
-      fs.writeFileSync(filePath, content, 'utf8');
-      return {
-        path: filePath,
-        eventCount: events.length,
-        sizeBytes: Buffer.byteLength(content, 'utf8')
-      };
-    } catch (e) {
-      if (debugEnv2.DEBUG_CURSOR_MCP) {
-        try {
-          console.error('[cursor-mcp] failed to write stream log:', e);
-        } catch {}
-      }
-      return null;
-    }
-  };
+function createJobId() {
+  return `job-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
 
-  // Format stream log reference with size info and optional warning
-  const formatStreamLogRef = (streamLog) => {
-    if (!streamLog) return '';
-    const sizeKB = (streamLog.sizeBytes / 1024).toFixed(1);
-    const isLarge = streamLog.eventCount > 50 || streamLog.sizeBytes > 50000;
-    let ref = `\n\n---\nFull stream log: ${streamLog.path} (${streamLog.eventCount} events, ${sizeKB}KB)`;
-    if (isLarge) {
-      ref += `\n⚠️ Large log - use semantic search or grep instead of reading entire file if more details are needed`;
-    }
-    return ref;
+/**
+ * Starts a background cursor-agent run and returns the job record immediately.
+ * Progress and stream events update the record; the final tool result is stored on completion.
+ */
+function startJob(input) {
+  const { jobs } = getRegistries();
+  // Resolve first so an unknown profile fails the call instead of registering a broken job
+  const { settings } = resolveSettings({ profile: input.profile });
+  const timeout_ms = input.timeout_ms ?? settings.job_timeout_ms ?? DEFAULT_JOB_TIMEOUT_MS;
+  const controller = new AbortController();
+  const job = {
+    id: createJobId(),
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    text: '',
+    toolCalls: 0,
+    eventCount: 0,
+    lastProgress: undefined,
+    sessionId: undefined,
+    result: undefined,
+    controller,
   };
+  jobs.set(job.id, job);
+  pruneJobs();
 
-   const debugEnv2 = getValidatedEnv();
-   if (debugEnv2.DEBUG_CURSOR_MCP) {
-     try {
-       console.info('[cursor-mcp] spawn:', cmd, ...finalArgv);
-     } catch {}
-   }
-
-   const child = spawn(cmd, finalArgv, {
-     shell: false, // safer across platforms; rely on PATH/PATHEXT
-     cwd: validatedCwd,
-     env: safeEnv,
-   });
-   try { child.stdin?.end(); } catch {}
+  const onProgress = (progress) => {
+    job.lastProgress = progress.message;
+  };
+  const onEvent = (event, state) => {
+    job.eventCount += 1;
+    job.text = state.text;
+    job.toolCalls = state.toolCalls;
+    if (state.sessionId) job.sessionId = state.sessionId;
+  };
 
-  // Abort handler for cancellation (defined after child is created)
-  const onAbort = () => {
-    if (settled) return;
-    settled = true;
-    cleanup();
-    try { child.kill('SIGKILL'); } catch {}
-    const streamLog = writeStreamLog();
-    const reason = signal?.reason || 'Request cancelled';
-    // Include any partial response accumulated before cancellation
-    const partialResponse = (useStreamJson && accumulatedText) ? `\nPartial response:\n${accumulatedText}` : '';
-    const baseText = `cursor-agent cancelled: ${reason}${partialResponse}`;
-    const finalText = baseText + formatStreamLogRef(streamLog);
-    resolve({
-      content: [{ type: 'text', text: finalText }],
-      isError: true,
-      ...(streamLog && { streamLogFile: streamLog.path })
+  job.promise = runCursorAgent(input, onProgress, controller.signal, { onEvent, timeout_ms, tool: 'cursor_agent_job_start' })
+    .then((result) => {
+      job.result = result;
+      if (result.cancelled) job.status = 'cancelled';
+      else if (result.timedOut) job.status = 'timed_out';
+      else job.status = result.isError ? 'failed' : 'succeeded';
+      if (result.exitCode !== undefined) job.exitCode = result.exitCode;
+      if (result.sessionId) job.sessionId = result.sessionId;
+    })
+    .catch((e) => {
+      job.status = 'failed';
+      job.result = { content: [{ type: 'text', text: `Invalid params: ${e?.message || e}` }], isError: true };
+    })
+    .finally(() => {
+      job.finishedAt = new Date().toISOString();
     });
-  };
 
-  const cleanup = () => {
-    if (mainTimer) clearTimeout(mainTimer);
-    if (idleTimer) clearTimeout(idleTimer);
-    if (signal) {
-      signal.removeEventListener('abort', onAbort);
-    }
-  };
+  return job;
+}
 
-  // Check if already aborted before setting up listener
-  if (signal?.aborted) {
-    onAbort();
-    return;
-  }
+function getJob(jobId) {
+  const { jobs } = getRegistries();
+  return jobs.get(jobId);
+}
 
-  // Set up abort listener if signal is provided
-  if (signal) {
-    signal.addEventListener('abort', onAbort);
+function cancelJob(jobId) {
+  const { jobs } = getRegistries();
+  const job = jobs.get(jobId);
+  if (!job) return undefined;
+  if (job.status === 'running') {
+    job.controller.abort('Job cancelled');
   }
+  return job;
+}
 
-   const idleEnv = getValidatedEnv();
-   const idleMs = idleEnv.CURSOR_AGENT_IDLE_EXIT_MS ?? 0;
+// Drop the oldest finished jobs once the registry grows past its limit
+function pruneJobs() {
+  const { jobs } = getRegistries();
+  for (const [id, job] of jobs) {
+    if (jobs.size <= MAX_TRACKED_JOBS) break;
+    if (job.status !== 'running') jobs.delete(id);
+  }
+}
+
+// Public, serializable view of a job (never exposes the controller or full result)
+function describeJob(job, { includeText = false } = {}) {
+  const end = job.finishedAt ? Date.parse(job.finishedAt) : Date.now();
+  return {
+    id: job.id,
+    status: job.status,
+    startedAt: job.startedAt,
+    ...(job.finishedAt && { finishedAt: job.finishedAt }),
+    elapsedMs: end - Date.parse(job.startedAt),
+    toolCalls: job.toolCalls,
+    eventCount: job.eventCount,
+    textLength: job.text.length,
+    ...(job.lastProgress && { lastProgress: job.lastProgress }),
+    ...(job.exitCode !== undefined && { exitCode: job.exitCode }),
+    ...(job.sessionId && { sessionId: job.sessionId }),
+    ...(includeText && { text: job.text }),
+  };
+}
+
+// Process pool
+// Bounds the number of concurrent cursor-agent child processes. Callers beyond the limit wait
+// in a FIFO queue; their run timeout only starts once the process is actually spawned.
+const DEFAULT_MAX_CONCURRENCY = 4;
+const processPool = { active: 0, waiting: [] };
+
+function getMaxConcurrency() {
+  return getValidatedEnv().CURSOR_AGENT_MAX_CONCURRENCY ?? DEFAULT_MAX_CONCURRENCY;
+}
+
+function getProcessPoolStats() {
+  return { active: processPool.active, queued: processPool.waiting.length, max: getMaxConcurrency() };
+}
+
+// Tell every waiter its current queue position
+function notifyQueuePositions() {
+  processPool.waiting.forEach((waiter, index) => {
+    if (!waiter.onProgress) return;
+    try {
+      waiter.onProgress({ progress: 0, message: `Queued, position ${index + 1} (waiting for a free cursor-agent slot)` });
+    } catch {}
+  });
+}
+
+function removeWaiter(waiter) {
+  const index = processPool.waiting.indexOf(waiter);
+  if (index !== -1) processPool.waiting.splice(index, 1);
+  if (waiter.timer) clearTimeout(waiter.timer);
+  if (waiter.signal) waiter.signal.removeEventListener('abort', waiter.onAbort);
+}
+
+function createSlotRelease() {
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    processPool.active = Math.max(0, processPool.active - 1);
+    drainProcessQueue();
+  };
+}
+
+function drainProcessQueue() {
+  const max = getMaxConcurrency();
+  let handedOut = false;
+  while (processPool.active < max && processPool.waiting.length > 0) {
+    const waiter = processPool.waiting[0];
+    removeWaiter(waiter);
+    processPool.active++;
+    handedOut = true;
+    waiter.resolve(createSlotRelease());
+  }
+  if (handedOut) notifyQueuePositions();
+}
+
+/**
+ * Takes a process slot if one is free right now (synchronously, so callers spawn in the same tick).
+ * Returns the slot's release function, or undefined when the caller has to queue.
+ */
+function tryAcquireProcessSlot() {
+  if (processPool.active < getMaxConcurrency() && processPool.waiting.length === 0) {
+    processPool.active++;
+    return createSlotRelease();
+  }
+  return undefined;
+}
+
+/**
+ * Queues for a process slot and resolves with its release function.
+ * Rejects with code QUEUE_CANCELLED when the signal aborts while queued, or
+ * QUEUE_TIMEOUT when CURSOR_AGENT_QUEUE_TIMEOUT_MS elapses before a slot frees up.
+ */
+function waitForProcessSlot({ signal, onProgress } = {}) {
+  return new Promise((resolve, reject) => {
+    const fail = (code, message) => {
+      removeWaiter(waiter);
+      notifyQueuePositions();
+      const error = new Error(message);
+      error.code = code;
+      reject(error);
+    };
+    const waiter = {
+      resolve,
+      onProgress,
+      signal,
+      timer: null,
+      onAbort: () => fail('QUEUE_CANCELLED', `cursor-agent cancelled while queued: ${signal?.reason || 'Request cancelled'}`),
+    };
+
+    if (signal?.aborted) {
+      waiter.onAbort();
+      return;
+    }
+    if (signal) signal.addEventListener('abort', waiter.onAbort);
+
+    const queueTimeoutMs = getValidatedEnv().CURSOR_AGENT_QUEUE_TIMEOUT_MS;
+    if (queueTimeoutMs) {
+      waiter.timer = setTimeout(
+        () => fail('QUEUE_TIMEOUT', `cursor-agent waited ${queueTimeoutMs}ms in queue without a free slot`),
+        queueTimeoutMs,
+      );
+    }
+
+    processPool.waiting.push(waiter);
+    const position = processPool.waiting.length;
+    if (onProgress) {
+      try {
+        onProgress({ progress: 0, message: `Queued, position ${position} (waiting for a free cursor-agent slot)` });
+      } catch {}
+    }
+  });
+}
+
+// Run store
+// Keeps recent streamed runs in memory so their events, transcript and tool calls can be
+// served as MCP resources (cursor-agent://runs/...) to hosts that cannot read our temp files.
+const MAX_STORED_RUNS = 50;
+const RUN_EVENTS_PAGE_SIZE = 100;
+
+function createRunId() {
+  return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+function recordRun(run) {
+  const { runs, runStoreListeners } = getRegistries();
+  runs.set(run.id, run);
+  while (runs.size > MAX_STORED_RUNS) {
+    runs.delete(runs.keys().next().value);
+  }
+  for (const listener of runStoreListeners) {
+    try { listener(run); } catch {}
+  }
+  return run;
+}
+
+function getRun(runId) {
+  const { runs } = getRegistries();
+  return runs.get(runId);
+}
+
+// Newest first, without the (potentially large) event payloads
+function listRuns() {
+  const { runs } = getRegistries();
+  return [...runs.values()].reverse().map((run) => describeRun(run));
+}
+
+function describeRun(run) {
+  return {
+    id: run.id,
+    status: run.status,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt,
+    durationMs: run.durationMs,
+    ...(run.tool && { tool: run.tool }),
+    ...(run.model && { model: run.model }),
+    ...(run.exitCode !== undefined && { exitCode: run.exitCode }),
+    ...(run.sessionId && { sessionId: run.sessionId }),
+    ...(run.streamLogFile && { streamLogFile: run.streamLogFile }),
+    eventCount: run.events.length,
+    toolCallCount: summarizeToolCalls(run.events).length,
+    uris: {
+      events: `cursor-agent://runs/${run.id}/events`,
+      transcript: `cursor-agent://runs/${run.id}/transcript`,
+      toolCalls: `cursor-agent://runs/${run.id}/tool-calls`,
+    },
+  };
+}
+
+// Name of the tool inside a stream-json tool_call payload (e.g. "readToolCall")
+function getToolCallKind(toolCall) {
+  if (!toolCall || typeof toolCall !== 'object') return 'unknown';
+  return Object.keys(toolCall).find((key) => key.endsWith('ToolCall')) || toolCall.name || 'unknown';
+}
+
+/**
+ * Pairs tool_call started/completed events into one entry per call.
+ * Uses call_id when the CLI provides it, otherwise the oldest open call of the same kind.
+ */
+function summarizeToolCalls(events) {
+  const calls = [];
+  for (const event of events) {
+    if (event?.type !== 'tool_call') continue;
+    const kind = getToolCallKind(event.tool_call);
+    const payload = event.tool_call?.[kind];
+    if (event.subtype === 'started') {
+      calls.push({
+        index: calls.length + 1,
+        tool: kind,
+        ...(event.call_id && { callId: event.call_id }),
+        ...(payload?.args?.path && { path: payload.args.path }),
+        status: 'started',
+      });
+    } else if (event.subtype === 'completed') {
+      const open = calls.find((c) => c.status === 'started' && (event.call_id ? c.callId === event.call_id : c.tool === kind));
+      if (!open) continue;
+      open.status = payload?.result?.success ? 'completed' : (payload?.result ? 'failed' : 'completed');
+      if (payload?.result?.success) open.result = payload.result.success;
+    }
+  }
+  return calls;
+}
+
+// Human-readable transcript: assistant text interleaved with tool activity
+function buildTranscript(events) {
+  const parts = [];
+  let text = '';
+  const flush = () => {
+    if (text) parts.push(text);
+    text = '';
+  };
+  for (const event of events) {
+    if (event?.type === 'assistant') {
+      text += event.message?.content?.[0]?.text || '';
+    } else if (event?.type === 'tool_call' && event.subtype === 'started') {
+      flush();
+      const kind = getToolCallKind(event.tool_call);
+      const filePath = event.tool_call?.[kind]?.args?.path;
+      parts.push(`[tool] ${kind}${filePath ? ` ${filePath}` : ''}`);
+    } else if (event?.type === 'system' && event.subtype === 'init') {
+      parts.push(`[system] model: ${event.model || 'unknown'}`);
+    } else if (event?.type === 'result') {
+      flush();
+      parts.push(`[result] ${event.duration_ms || 0}ms`);
+    }
+  }
+  flush();
+  return parts.join('\n\n');
+}
+
+function getRunEventsPage(run, page = 1) {
+  const totalPages = Math.max(1, Math.ceil(run.events.length / RUN_EVENTS_PAGE_SIZE));
+  const offset = (page - 1) * RUN_EVENTS_PAGE_SIZE;
+  return {
+    runId: run.id,
+    page,
+    totalPages,
+    totalEvents: run.events.length,
+    events: run.events.slice(offset, offset + RUN_EVENTS_PAGE_SIZE),
+    ...(page < totalPages && { next: `cursor-agent://runs/${run.id}/events/${page + 1}` }),
+  };
+}
+
+// Stream log storage
+// Stream logs live in a managed directory with an index (run id -> metadata) and a retention
+// policy by age, file count and total size, enforced at startup and periodically.
+const STREAM_LOG_FILE_PATTERN = /^cursor-agent-stream-(.+)\.json(\.gz)?$/;
+const STREAM_LOG_INDEX_FILE = 'index.json';
+const DEFAULT_LOG_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_LOG_MAX_FILES = 500;
+const DEFAULT_LOG_MAX_BYTES = 100 * 1024 * 1024;
+const DEFAULT_LOG_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+function getLogSettings() {
+  const env = getValidatedEnv();
+  return {
+    dir: env.CURSOR_AGENT_LOG_DIR ? path.resolve(env.CURSOR_AGENT_LOG_DIR) : path.join(os.tmpdir(), 'cursor-agent-mcp'),
+    maxAgeMs: env.CURSOR_AGENT_LOG_MAX_AGE_MS || DEFAULT_LOG_MAX_AGE_MS,
+    maxFiles: env.CURSOR_AGENT_LOG_MAX_FILES ?? DEFAULT_LOG_MAX_FILES,
+    maxBytes: env.CURSOR_AGENT_LOG_MAX_BYTES ?? DEFAULT_LOG_MAX_BYTES,
+    compress: env.CURSOR_AGENT_LOG_COMPRESS,
+    sweepIntervalMs: env.CURSOR_AGENT_LOG_SWEEP_INTERVAL_MS || DEFAULT_LOG_SWEEP_INTERVAL_MS,
+  };
+}
+
+function readLogIndex(dir) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(path.join(dir, STREAM_LOG_INDEX_FILE), 'utf8'));
+    return parsed && typeof parsed.runs === 'object' ? parsed : { runs: {} };
+  } catch {
+    return { runs: {} };
+  }
+}
+
+function writeLogIndex(dir, index) {
+  fs.writeFileSync(path.join(dir, STREAM_LOG_INDEX_FILE), JSON.stringify(index, null, 2) + '\n', 'utf8');
+}
+
+/**
+ * Records metadata (tool, model, duration, exit code, ...) for a run's log in the index.
+ * Index failures never affect the run itself.
+ */
+function updateLogIndex(runId, metadata) {
+  const { dir } = getLogSettings();
+  try {
+    const index = readLogIndex(dir);
+    index.runs[runId] = { ...index.runs[runId], ...metadata };
+    writeLogIndex(dir, index);
+  } catch (e) {
+    if (getValidatedEnv().DEBUG_CURSOR_MCP) {
+      try { console.error('[cursor-mcp] failed to update stream log index:', e); } catch {}
+    }
+  }
+}
+
+/**
+ * Applies the retention policy to the managed log directory: drops logs older than maxAgeMs,
+ * then the oldest logs beyond maxFiles or maxBytes. Only files named like stream logs are touched.
+ * Returns a summary of what was kept and deleted.
+ */
+function sweepStreamLogs({ now = Date.now() } = {}) {
+  const { dir, maxAgeMs, maxFiles, maxBytes } = getLogSettings();
+  const summary = { dir, deleted: 0, kept: 0, totalBytes: 0 };
+  let entries;
+  try {
+    entries = fs.readdirSync(dir);
+  } catch {
+    return summary;
+  }
+
+  const logs = [];
+  for (const name of entries) {
+    const match = STREAM_LOG_FILE_PATTERN.exec(name);
+    if (!match) continue;
+    try {
+      const stat = fs.statSync(path.join(dir, name));
+      logs.push({ name, runId: match[1], mtimeMs: stat.mtimeMs, size: stat.size });
+    } catch {}
+  }
+
+  // Newest first so count/size limits keep the most recent logs
+  logs.sort((a, b) => b.mtimeMs - a.mtimeMs);
+  const keptRunIds = new Set();
+  for (const log of logs) {
+    const expired = now - log.mtimeMs > maxAgeMs;
+    const overCount = summary.kept >= maxFiles;
+    const overSize = summary.totalBytes + log.size > maxBytes;
+    if (expired || overCount || overSize) {
+      try {
+        fs.unlinkSync(path.join(dir, log.name));
+        summary.deleted++;
+        continue;
+      } catch {}
+    }
+    summary.kept++;
+    summary.totalBytes += log.size;
+    keptRunIds.add(log.runId);
+  }
+
+  // Drop index entries whose log files are gone
+  try {
+    const index = readLogIndex(dir);
+    const before = Object.keys(index.runs).length;
+    for (const runId of Object.keys(index.runs)) {
+      if (!keptRunIds.has(runId)) delete index.runs[runId];
+    }
+    if (Object.keys(index.runs).length !== before) writeLogIndex(dir, index);
+  } catch {}
+
+  return summary;
+}
+
+let logSweepTimer = null;
+
+// Sweep once now and then on an interval; the timer never keeps the process alive
+function startLogSweeper() {
+  sweepStreamLogs();
+  if (logSweepTimer) clearInterval(logSweepTimer);
+  logSweepTimer = setInterval(() => sweepStreamLogs(), getLogSettings().sweepIntervalMs);
+  logSweepTimer.unref?.();
+}
+
+// Usage accounting
+// Every spawned run reports token usage: taken from the CLI's result event when present, else
+// estimated from the prompt and answer lengths. Usage is aggregated per UTC day, tool and model in
+// a small JSON ledger next to the stream logs (or CURSOR_AGENT_USAGE_LEDGER; "off" disables it).
+const USAGE_LEDGER_FILE = 'usage-ledger.json';
+const USAGE_LEDGER_RETENTION_DAYS = 90;
+
+const finiteNumber = (...values) => values.find((v) => typeof v === 'number' && Number.isFinite(v));
+
+/**
+ * Normalizes usage reported by the CLI (result event or json output). Accepts
+ * input/output_tokens, prompt/completion_tokens and camelCase variants, plus an optional
+ * cost (total_cost_usd / cost_usd). Returns null when no token counts are present.
+ */
+function normalizeUsage(source) {
+  if (!source || typeof source !== 'object') return null;
+  const raw = source.usage && typeof source.usage === 'object' ? source.usage : source;
+  const inputTokens = finiteNumber(raw.input_tokens, raw.inputTokens, raw.prompt_tokens, raw.promptTokens);
+  const outputTokens = finiteNumber(raw.output_tokens, raw.outputTokens, raw.completion_tokens, raw.completionTokens);
+  if (inputTokens === undefined && outputTokens === undefined) return null;
+  const costUsd = finiteNumber(source.total_cost_usd, source.cost_usd, raw.total_cost_usd, raw.cost_usd);
+  return { inputTokens: inputTokens ?? 0, outputTokens: outputTokens ?? 0, costUsd: costUsd ?? null };
+}
+
+/**
+ * Usage for a finished run: the reported usage when available, else character-based estimates.
+ * Cost falls back to the config's pricing for the model; null when unknown.
+ */
+function computeRunUsage({ reported, prompt, output, model }) {
+  const usage = reported
+    ? { ...reported, source: 'reported' }
+    : { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(output), costUsd: null, source: 'estimated' };
+  if (usage.costUsd === null && model) {
+    const price = loadConfig().pricing[model];
+    if (price) {
+      usage.costUsd = (usage.inputTokens * price.input_per_mtok + usage.outputTokens * price.output_per_mtok) / 1e6;
+    }
+  }
+  return { ...usage, totalTokens: usage.inputTokens + usage.outputTokens };
+}
+
+function getUsageLedgerPath() {
+  const configured = getValidatedEnv().CURSOR_AGENT_USAGE_LEDGER;
+  if (configured?.toLowerCase() === 'off') return null;
+  return configured ? path.resolve(configured) : path.join(getLogSettings().dir, USAGE_LEDGER_FILE);
+}
+
+function readUsageLedger(file = getUsageLedgerPath()) {
+  if (!file) return { entries: [] };
+  try {
+    const ledger = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(ledger?.entries) ? ledger : { entries: [] };
+  } catch {
+    return { entries: [] };
+  }
+}
+
+/**
+ * Adds one run to the ledger row for its UTC day, tool and model.
+ * Rows older than USAGE_LEDGER_RETENTION_DAYS are dropped. Write errors are ignored.
+ */
+function recordUsage({ tool, model, usage, isError = false, now = new Date() }) {
+  const file = getUsageLedgerPath();
+  if (!file) return;
+  try {
+    const ledger = readUsageLedger(file);
+    const day = now.toISOString().slice(0, 10);
+    const oldest = new Date(now.getTime() - USAGE_LEDGER_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    ledger.entries = ledger.entries.filter((e) => e.day >= oldest);
+    const key = { day, tool: tool || 'unknown', model: model || 'default' };
+    let row = ledger.entries.find((e) => e.day === key.day && e.tool === key.tool && e.model === key.model);
+    if (!row) {
+      row = { ...key, calls: 0, failedCalls: 0, estimatedCalls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0 };
+      ledger.entries.push(row);
+    }
+    row.calls += 1;
+    if (isError) row.failedCalls += 1;
+    if (usage.source === 'estimated') row.estimatedCalls += 1;
+    row.inputTokens += usage.inputTokens;
+    row.outputTokens += usage.outputTokens;
+    row.totalTokens += usage.totalTokens;
+    row.costUsd += usage.costUsd ?? 0;
+    // Finish times of the last hour's runs, for max_calls_per_hour
+    const hourAgo = now.getTime() - 60 * 60 * 1000;
+    ledger.recentCalls = [...(ledger.recentCalls ?? []).filter((t) => t > hourAgo), now.getTime()];
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(ledger), 'utf8');
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    if (getValidatedEnv().DEBUG_CURSOR_MCP) {
+      try { console.error('[cursor-mcp] failed to update usage ledger:', e); } catch {}
+    }
+  }
+}
+
+/**
+ * Summarizes the ledger over the last `days` UTC days (including today): totals plus
+ * breakdowns by day, tool and model. Optional tool/model filters narrow the rows.
+ */
+function summarizeUsage({ days = 7, tool, model, now = new Date() } = {}) {
+  const since = new Date(now.getTime() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const rows = readUsageLedger().entries.filter((e) =>
+    e.day >= since && (!tool || e.tool === tool) && (!model || e.model === model));
+  const empty = () => ({ calls: 0, failedCalls: 0, estimatedCalls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0 });
+  const add = (target, row) => {
+    for (const field of Object.keys(target)) target[field] += row[field] ?? 0;
+    return target;
+  };
+  const groupBy = (field) => {
+    const groups = {};
+    for (const row of rows) groups[row[field]] = add(groups[row[field]] ?? empty(), row);
+    return groups;
+  };
+  return {
+    since,
+    until: now.toISOString().slice(0, 10),
+    ledger: getUsageLedgerPath(),
+    totals: rows.reduce(add, empty()),
+    byDay: groupBy('day'),
+    byTool: groupBy('tool'),
+    byModel: groupBy('model'),
+  };
+}
+
+// Budget guardrails
+// Limits from `budgets` in the config file, overridden by CURSOR_AGENT_MAX_TOKENS_PER_CALL,
+// CURSOR_AGENT_MAX_CALLS_PER_HOUR and CURSOR_AGENT_DAILY_TOKEN_BUDGET (the "*" daily token budget).
+// Calls are checked before spawning; the hourly and daily limits are counted from the usage ledger
+// plus the calls this process has admitted that are not in the ledger yet.
+const DEFAULT_BUDGET_WARN_AT = 0.8;
+
+// Admitted calls (waiting for a process slot or running) until they settle and reach the ledger,
+// so concurrent calls and parallel chunks cannot all pass the same remaining budget
+const budgetReservations = new Set();
+
+// Reserves an admitted call's estimated prompt tokens; returns the function that releases it
+function reserveBudget({ model, prompt }) {
+  const reservation = { model: model || 'default', tokens: estimateTokens(prompt) };
+  budgetReservations.add(reservation);
+  return () => budgetReservations.delete(reservation);
+}
+
+function getBudgetSettings() {
+  const budgets = loadConfig().budgets;
+  const env = getValidatedEnv();
+  const daily = { ...budgets.daily };
+  if (env.CURSOR_AGENT_DAILY_TOKEN_BUDGET) daily['*'] = { ...daily['*'], tokens: env.CURSOR_AGENT_DAILY_TOKEN_BUDGET };
+  return {
+    maxTokensPerCall: env.CURSOR_AGENT_MAX_TOKENS_PER_CALL ?? budgets.max_tokens_per_call,
+    maxCallsPerHour: env.CURSOR_AGENT_MAX_CALLS_PER_HOUR ?? budgets.max_calls_per_hour,
+    daily,
+    warnAt: budgets.warn_at ?? DEFAULT_BUDGET_WARN_AT,
+  };
+}
+
+/**
+ * Checks a call against the budgets before it runs, counting reserved calls (see reserveBudget)
+ * as used. Returns { refusal, warnings } where refusal
+ * is { limit, message, used, max } for the first limit the call would exceed (or null) and
+ * warnings are messages for limits at or past the soft threshold (warn_at).
+ */
+function checkBudget({ model, prompt, now = new Date() } = {}) {
+  const budgets = getBudgetSettings();
+  const modelKey = model || 'default';
+  // The "*" budget is shared: it counts the usage of every model without its own entry
+  const shared = !budgets.daily[modelKey];
+  const dailyBudget = shared ? budgets.daily['*'] : budgets.daily[modelKey];
+  const counts = (m) => (shared ? !budgets.daily[m] : m === modelKey);
+  const owner = shared ? 'models under "*"' : `model ${modelKey}`;
+  const their = shared ? 'their shared' : 'its';
+  const promptTokens = estimateTokens(prompt);
+  const checks = [];
+
+  if (budgets.maxTokensPerCall) {
+    checks.push({
+      limit: 'max_tokens_per_call',
+      used: 0,
+      next: promptTokens,
+      max: budgets.maxTokensPerCall,
+      refuse: () => `Refused: the prompt is ~${promptTokens} tokens (estimated), over the per-call limit of ${budgets.maxTokensPerCall} (max_tokens_per_call). Narrow the paths or shorten the prompt.`,
+      warn: () => `Budget warning: the prompt is ~${promptTokens} of ${budgets.maxTokensPerCall} tokens allowed per call (max_tokens_per_call)`,
+    });
+  }
+  if (budgets.maxCallsPerHour || dailyBudget) {
+    const ledger = readUsageLedger();
+    const reserved = [...budgetReservations];
+    if (budgets.maxCallsPerHour) {
+      const recent = (ledger.recentCalls ?? []).filter((t) => t > now.getTime() - 60 * 60 * 1000).sort((a, b) => a - b);
+      const used = recent.length + reserved.length;
+      // A slot frees up when the call that brings the count back under the limit turns an hour old;
+      // calls still running only finish later
+      const freedAt = recent[used - budgets.maxCallsPerHour];
+      checks.push({
+        limit: 'max_calls_per_hour',
+        used,
+        next: 1,
+        max: budgets.maxCallsPerHour,
+        refuse: () => `Refused: ${used} calls in the last hour${reserved.length ? ` (${reserved.length} still running)` : ''} reached the limit of ${budgets.maxCallsPerHour} (max_calls_per_hour). ` +
+          (freedAt !== undefined ? `Try again after ${new Date(freedAt + 60 * 60 * 1000).toISOString()}.` : 'Try again in an hour.'),
+        warn: () => `Budget warning: ${used + 1} of ${budgets.maxCallsPerHour} calls used in the last hour (max_calls_per_hour)`,
+      });
+    }
+    if (dailyBudget) {
+      const day = now.toISOString().slice(0, 10);
+      const today = ledger.entries.filter((e) => e.day === day && counts(e.model));
+      const reservedTokens = reserved.filter((r) => counts(r.model)).reduce((sum, r) => sum + r.tokens, 0);
+      const tokens = today.reduce((sum, e) => sum + e.totalTokens, 0) + reservedTokens;
+      const cost = today.reduce((sum, e) => sum + e.costUsd, 0);
+      if (dailyBudget.tokens) {
+        checks.push({
+          limit: 'daily_tokens',
+          used: tokens,
+          next: promptTokens,
+          max: dailyBudget.tokens,
+          refuse: () => `Refused: ${owner} used ${tokens} of ${their} ${dailyBudget.tokens} daily tokens today (UTC)` +
+            `${reservedTokens ? ` (~${reservedTokens} reserved by running calls)` : ''} and this call needs ~${promptTokens} more (budgets.daily tokens). Pick another model or wait until tomorrow.`,
+          warn: () => `Budget warning: ${owner} ${shared ? 'are' : 'is'} at ${tokens + promptTokens} of ${dailyBudget.tokens} daily tokens (budgets.daily tokens)`,
+        });
+      }
+      if (dailyBudget.cost_usd) {
+        // The cost of this call is unknown up front, so only spend so far counts
+        checks.push({
+          limit: 'daily_cost_usd',
+          used: cost,
+          next: 0,
+          max: dailyBudget.cost_usd,
+          refuse: () => `Refused: ${owner} spent $${cost.toFixed(4)} of ${their} $${dailyBudget.cost_usd} daily budget today (UTC) (budgets.daily cost_usd). Pick another model or wait until tomorrow.`,
+          warn: () => `Budget warning: ${owner} spent $${cost.toFixed(4)} of ${their} $${dailyBudget.cost_usd} daily budget (budgets.daily cost_usd)`,
+        });
+      }
+    }
+  }
+
+  const exceeded = checks.find((c) => (c.next ? c.used + c.next > c.max : c.used >= c.max));
+  if (exceeded) {
+    return { refusal: { limit: exceeded.limit, message: exceeded.refuse(), used: exceeded.used, max: exceeded.max }, warnings: [] };
+  }
+  return { refusal: null, warnings: checks.filter((c) => c.used + c.next >= budgets.warnAt * c.max).map((c) => c.warn()) };
+}
+
+// Structured results
+// Opt-in (CURSOR_AGENT_STRUCTURED_OUTPUT) envelope returned as MCP structuredContent by every
+// tool that runs cursor-agent; RESULT_OUTPUT_SHAPE is declared as those tools' outputSchema.
+const RESULT_OUTPUT_SHAPE = {
+  text: z.string(),
+  isError: z.boolean(),
+  exitCode: z.number().int().nullable(),
+  durationMs: z.number().nonnegative(),
+  model: z.string().nullable(),
+  toolCalls: z.number().int().nonnegative(),
+  filesRead: z.array(z.string()),
+  filesWritten: z.array(z.string()),
+  timedOut: z.boolean(),
+  cancelled: z.boolean(),
+  // Failure class of a failed run (see invokeCursorAgent)
+  failure: z.enum(['rate_limit', 'auth', 'network', 'timeout', 'spawn', 'budget', 'unknown']).nullable(),
+  streamLog: z
+    .object({
+      path: z.string(),
+      eventCount: z.number().int(),
+      sizeBytes: z.number().int(),
+      compressed: z.boolean(),
+    })
+    .nullable(),
+  sessionId: z.string().nullable(),
+  runId: z.string().nullable(),
+  // Parsed answer for calls made with response_schema
+  response: z.unknown().optional(),
+  // Snapshot-based change report for cursor_agent_edit_file
+  edit: z
+    .object({
+      file: z.string(),
+      changed: z.boolean(),
+      applied: z.boolean(),
+      restored: z.boolean(),
+      diff: z.string(),
+      additions: z.number().int(),
+      deletions: z.number().int(),
+      otherFilesWritten: z.array(z.string()),
+      // Set by cursor_agent_propose_edit when the change was stored for later approval
+      patchId: z.string().optional(),
+    })
+    .optional(),
+  // Token usage of the run (see computeRunUsage)
+  usage: z
+    .object({
+      inputTokens: z.number().nonnegative(),
+      outputTokens: z.number().nonnegative(),
+      totalTokens: z.number().nonnegative(),
+      costUsd: z.number().nonnegative().nullable(),
+      source: z.enum(['reported', 'estimated']),
+    })
+    .optional(),
+  // Attempt history when transient failures were retried
+  attempts: z
+    .array(z.object({
+      attempt: z.number().int(),
+      failure: z.string().nullable(),
+      exitCode: z.number().int().nullable(),
+      durationMs: z.number().nonnegative(),
+      delayMs: z.number().int().optional(),
+    }))
+    .optional(),
+  // Response cache outcome for analyze/search when CURSOR_AGENT_CACHE is enabled
+  cache: z
+    .object({
+      status: z.enum(['hit', 'miss', 'refreshed', 'bypass', 'uncacheable']),
+      key: z.string().optional(),
+      createdAt: z.string().optional(),
+    })
+    .optional(),
+  // Files embedded in the prompt (inline) versus only referenced by path
+  inline: z
+    .object({
+      inlined: z.array(z.object({ path: z.string(), bytes: z.number().int(), lines: z.number().int(), shownLines: z.number().int(), truncated: z.boolean() })),
+      referenced: z.array(z.object({ path: z.string(), reason: z.string() })),
+    })
+    .optional(),
+  // Set when the model was picked by a routing rule
+  routing: z
+    .object({
+      model: z.string(),
+      rule: z.number().int(),
+      quality: z.enum(QUALITY_LEVELS),
+      chain: z.array(z.string()),
+      attempts: z.array(z.object({ model: z.string(), isError: z.boolean(), exitCode: z.number().int().nullable() })),
+    })
+    .optional(),
+};
+
+function isStructuredOutputEnabled() {
+  return getValidatedEnv().CURSOR_AGENT_STRUCTURED_OUTPUT;
+}
+
+/**
+ * Builds the structured result envelope for a finished run.
+ * text is the bare answer (no stream log or session footers).
+ */
+function buildResultEnvelope({ text, isError, details = {}, durationMs, model, events = [], streamLog, sessionId, runId, usage }) {
+  const calls = summarizeToolCalls(events);
+  const pathsOf = (kind) => [...new Set(calls.filter((c) => c.tool === kind && c.path).map((c) => c.path))];
+  return {
+    text,
+    isError: !!isError,
+    exitCode: details.exitCode ?? null,
+    durationMs,
+    model: model || null,
+    toolCalls: calls.length,
+    filesRead: pathsOf('readToolCall'),
+    filesWritten: pathsOf('writeToolCall'),
+    timedOut: !!details.timedOut,
+    cancelled: !!details.cancelled,
+    failure: details.failure ?? null,
+    streamLog: streamLog
+      ? { path: streamLog.path, eventCount: streamLog.eventCount, sizeBytes: streamLog.sizeBytes, compressed: !!streamLog.compressed }
+      : null,
+    sessionId: sessionId || null,
+    runId: runId || null,
+    ...(usage && { usage }),
+  };
+}
+
+// Response schemas
+// Tools can constrain the model's answer with a JSON Schema (response_schema). The schema is
+// converted to zod for validation; unsupported keywords are ignored rather than rejected.
+
+/**
+ * Converts a (subset of) JSON Schema into a zod schema.
+ * Supports type (incl. type arrays), properties/required/additionalProperties, items,
+ * enum/const, anyOf/oneOf/allOf, string length/pattern, numeric bounds and array length.
+ */
+function jsonSchemaToZod(schema) {
+  if (schema === true || schema === undefined) return z.any();
+  if (schema === false) return z.never();
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error('response_schema must be a JSON Schema object');
+  }
+
+  if (Array.isArray(schema.enum)) {
+    const allowed = schema.enum.map((v) => JSON.stringify(v));
+    return z.any().refine((v) => allowed.includes(JSON.stringify(v)), { message: `must be one of ${allowed.join(', ')}` });
+  }
+  if (schema.const !== undefined) {
+    const expected = JSON.stringify(schema.const);
+    return z.any().refine((v) => JSON.stringify(v) === expected, { message: `must equal ${expected}` });
+  }
+
+  const union = schema.anyOf || schema.oneOf;
+  if (Array.isArray(union) && union.length > 0) {
+    const members = union.map((s) => jsonSchemaToZod(s));
+    return members.length === 1 ? members[0] : z.union(members);
+  }
+  if (Array.isArray(schema.allOf) && schema.allOf.length > 0) {
+    return schema.allOf.map((s) => jsonSchemaToZod(s)).reduce((a, b) => z.intersection(a, b));
+  }
+
+  if (Array.isArray(schema.type)) {
+    const members = schema.type.map((type) => jsonSchemaToZod({ ...schema, type }));
+    return members.length === 1 ? members[0] : z.union(members);
+  }
+
+  const type = schema.type ?? (schema.properties ? 'object' : schema.items ? 'array' : undefined);
+  switch (type) {
+    case 'object': {
+      const required = new Set(Array.isArray(schema.required) ? schema.required : []);
+      const shape = {};
+      for (const [key, value] of Object.entries(schema.properties ?? {})) {
+        const prop = jsonSchemaToZod(value);
+        shape[key] = required.has(key) ? prop : prop.optional();
+      }
+      // Required keys without a property definition still have to be present
+      for (const key of required) {
+        if (!(key in shape)) shape[key] = z.any().refine((v) => v !== undefined, { message: 'Required' });
+      }
+      const object = z.object(shape);
+      if (schema.additionalProperties === false) return object.strict();
+      if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        return object.catchall(jsonSchemaToZod(schema.additionalProperties));
+      }
+      return object.passthrough();
+    }
+    case 'array': {
+      let array = z.array(jsonSchemaToZod(schema.items));
+      if (Number.isInteger(schema.minItems)) array = array.min(schema.minItems);
+      if (Number.isInteger(schema.maxItems)) array = array.max(schema.maxItems);
+      return array;
+    }
+    case 'string': {
+      let str = z.string();
+      if (Number.isInteger(schema.minLength)) str = str.min(schema.minLength);
+      if (Number.isInteger(schema.maxLength)) str = str.max(schema.maxLength);
+      if (typeof schema.pattern === 'string') str = str.regex(new RegExp(schema.pattern));
+      return str;
+    }
+    case 'number':
+    case 'integer': {
+      let num = z.number();
+      if (type === 'integer') num = num.int();
+      if (typeof schema.minimum === 'number') num = num.gte(schema.minimum);
+      if (typeof schema.maximum === 'number') num = num.lte(schema.maximum);
+      if (typeof schema.exclusiveMinimum === 'number') num = num.gt(schema.exclusiveMinimum);
+      if (typeof schema.exclusiveMaximum === 'number') num = num.lt(schema.exclusiveMaximum);
+      return num;
+    }
+    case 'boolean':
+      return z.boolean();
+    case 'null':
+      return z.null();
+    case undefined:
+      return z.any();
+    default:
+      throw new Error(`Unsupported JSON Schema type in response_schema: ${type}`);
+  }
+}
+
+/**
+ * Pulls the JSON answer out of model output: a fenced ```json block if present,
+ * otherwise the first balanced {...} or [...] value. Throws when nothing parses.
+ */
+function extractJsonAnswer(text) {
+  const fenced = /```(?:json)?\s*\n([\s\S]*?)```/.exec(text);
+  if (fenced) {
+    try { return JSON.parse(fenced[1]); } catch {}
+  }
+  for (let start = 0; start < text.length; start++) {
+    const open = text[start];
+    if (open !== '{' && open !== '[') continue;
+    const close = open === '{' ? '}' : ']';
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < text.length; i++) {
+      const ch = text[i];
+      if (inString) {
+        if (ch === '\\') i++;
+        else if (ch === '"') inString = false;
+      } else if (ch === '"') {
+        inString = true;
+      } else if (ch === open) {
+        depth++;
+      } else if (ch === close && --depth === 0) {
+        try { return JSON.parse(text.slice(start, i + 1)); } catch { break; }
+      }
+    }
+  }
+  throw new Error('No JSON value found in the response');
+}
+
+function formatZodIssues(error) {
+  return error.issues.map((issue) => `${issue.path.length ? issue.path.join('.') : '(root)'}: ${issue.message}`);
+}
+
+function composeSchemaInstruction(responseSchema) {
+  return (
+    `\n\nRespond ONLY with a single JSON value (no prose, optionally inside a \`\`\`json fence) ` +
+    `that conforms to this JSON Schema:\n${JSON.stringify(responseSchema, null, 2)}`
+  );
+}
+
+// File diffs
+// Edits are captured by snapshotting the target before a run and diffing it afterwards, so
+// results carry a real unified diff regardless of what the model reports.
+const DIFF_CONTEXT_LINES = 3;
+// Changed regions larger than this (old lines x new lines) are diffed as a single replacement
+const MAX_DIFF_CELLS = 4_000_000;
+
+// Reads a file for later comparison/restoration; a missing file is a valid (empty) snapshot
+function snapshotFile(filePath) {
+  try {
+    return { exists: true, content: fs.readFileSync(filePath) };
+  } catch (e) {
+    if (e?.code === 'ENOENT') return { exists: false, content: null };
+    throw e;
+  }
+}
+
+function snapshotsEqual(a, b) {
+  if (a.exists !== b.exists) return false;
+  return !a.exists || a.content.equals(b.content);
+}
+
+// Puts a file back to its snapshot (deleting it if it did not exist)
+function restoreSnapshot(filePath, snapshot) {
+  if (snapshot.exists) {
+    fs.writeFileSync(filePath, snapshot.content);
+  } else {
+    fs.rmSync(filePath, { force: true });
+  }
+}
+
+// Lines keep their terminator so a missing final newline shows up as a change
+function splitDiffLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+// Edit script (' ', '-', '+') between two line arrays via LCS over the changed middle region
+function diffLines(a, b) {
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (
+    suffix < a.length - prefix && suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]
+  ) suffix++;
+
+  const oldMid = a.slice(prefix, a.length - suffix);
+  const newMid = b.slice(prefix, b.length - suffix);
+  const ops = a.slice(0, prefix).map((line) => [' ', line]);
+
+  if (oldMid.length * newMid.length > MAX_DIFF_CELLS) {
+    oldMid.forEach((line) => ops.push(['-', line]));
+    newMid.forEach((line) => ops.push(['+', line]));
+  } else {
+    const n = oldMid.length;
+    const m = newMid.length;
+    // lcs[i][j] = LCS length of oldMid[i..] and newMid[j..]
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i][j] = oldMid[i] === newMid[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && oldMid[i] === newMid[j]) {
+        ops.push([' ', oldMid[i++]]);
+        j++;
+      } else if (i < n && (j >= m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        ops.push(['-', oldMid[i++]]);
+      } else {
+        ops.push(['+', newMid[j++]]);
+      }
+    }
+  }
+
+  a.slice(a.length - suffix).forEach((line) => ops.push([' ', line]));
+  return ops;
+}
+
+/**
+ * Builds a unified diff (as produced by `diff -u`) between two texts.
+ * Returns '' when they are identical. Pass null for a missing side (created/deleted file).
+ */
+function createUnifiedDiff(oldText, newText, { oldLabel = 'a', newLabel = 'b', context = DIFF_CONTEXT_LINES } = {}) {
+  if (oldText === newText) return '';
+  const ops = diffLines(splitDiffLines(oldText ?? ''), splitDiffLines(newText ?? ''));
+
+  // Group changes that are within 2*context lines of each other into hunks
+  const changed = ops.map((op, idx) => (op[0] !== ' ' ? idx : -1)).filter((idx) => idx >= 0);
+  const ranges = [];
+  for (const idx of changed) {
+    const last = ranges[ranges.length - 1];
+    if (last && idx - last[1] <= context * 2 + 1) last[1] = idx;
+    else ranges.push([idx, idx]);
+  }
+
+  const out = [`--- ${oldText === null ? '/dev/null' : oldLabel}`, `+++ ${newText === null ? '/dev/null' : newLabel}`];
+  for (const [first, last] of ranges) {
+    const start = Math.max(0, first - context);
+    const end = Math.min(ops.length - 1, last + context);
+    // Line numbers (1-based) of the hunk's first line on each side
+    let oldLine = 1;
+    let newLine = 1;
+    for (let k = 0; k < start; k++) {
+      if (ops[k][0] !== '+') oldLine++;
+      if (ops[k][0] !== '-') newLine++;
+    }
+    const body = [];
+    let oldCount = 0;
+    let newCount = 0;
+    for (let k = start; k <= end; k++) {
+      const [op, line] = ops[k];
+      if (op !== '+') oldCount++;
+      if (op !== '-') newCount++;
+      body.push(op + line.replace(/\n$/, ''));
+      if (!line.endsWith('\n')) body.push('\\ No newline at end of file');
+    }
+    // An empty range is numbered by the line before it
+    const oldStart = oldCount ? oldLine : oldLine - 1;
+    const newStart = newCount ? newLine : newLine - 1;
+    out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`, ...body);
+  }
+  return `${out.join('\n')}\n`;
+}
+
+// Diff between two file snapshots; binary content (NUL bytes) is reported, not diffed
+function diffSnapshots(before, after, label) {
+  if (snapshotsEqual(before, after)) return '';
+  const isBinary = (s) => s.exists && s.content.includes(0);
+  if (isBinary(before) || isBinary(after)) return `Binary file ${label} changed\n`;
+  return createUnifiedDiff(
+    before.exists ? before.content.toString('utf8') : null,
+    after.exists ? after.content.toString('utf8') : null,
+    { oldLabel: `a/${label}`, newLabel: `b/${label}` },
+  );
+}
+
+// Added/removed line counts of a unified diff
+function countDiffLines(diff) {
+  let additions = 0;
+  let deletions = 0;
+  // Skip the ---/+++ header; binary notices have no body to count
+  const body = diff.startsWith('--- ') ? diff.split('\n').slice(2) : [];
+  for (const line of body) {
+    if (line.startsWith('+')) additions++;
+    else if (line.startsWith('-')) deletions++;
+  }
+  return { additions, deletions };
+}
+
+// Proposed patches
+// cursor_agent_propose_edit stores the before/after snapshots of a dry-run edit under a patch
+// id so the change can be reviewed and applied (or dropped) later without re-running the agent.
+const MAX_STORED_PATCHES = 50;
+
+function createPatchId() {
+  return `patch-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Stores a proposed change to a file. before/after are file snapshots; the oldest patches are
+ * dropped once the store grows past its limit.
+ */
+function storePatch({ file, label, instruction, before, after, diff }) {
+  const { patches } = getRegistries();
+  const patch = {
+    id: createPatchId(),
+    file,
+    label,
+    instruction,
+    createdAt: new Date().toISOString(),
+    before,
+    after,
+    diff,
+    ...countDiffLines(diff),
+  };
+  patches.set(patch.id, patch);
+  while (patches.size > MAX_STORED_PATCHES) {
+    patches.delete(patches.keys().next().value);
+  }
+  return patch;
+}
+
+function getPatch(patchId) {
+  const { patches } = getRegistries();
+  return patches.get(patchId);
+}
+
+function requirePatch(patchId) {
+  const { patches } = getRegistries();
+  const patch = patches.get(patchId);
+  if (!patch) {
+    throw new Error(`Unknown patch: ${patchId}`);
+  }
+  return patch;
+}
+
+/**
+ * Writes a stored patch to disk. The file must still match the snapshot taken when the patch
+ * was proposed; otherwise the patch is kept and an error with code PATCH_CONFLICT is thrown.
+ */
+function applyPatch(patchId) {
+  const { patches } = getRegistries();
+  const patch = requirePatch(patchId);
+  // Re-check confinement: the patch may have been proposed under a different working directory
+  validateFilePath(patch.file);
+  if (!snapshotsEqual(snapshotFile(patch.file), patch.before)) {
+    const error = new Error(
+      `Conflict: ${patch.label} changed since patch ${patch.id} was proposed; propose the edit again or discard the patch`,
+    );
+    error.code = 'PATCH_CONFLICT';
+    throw error;
+  }
+  if (patch.after.exists) {
+    fs.mkdirSync(path.dirname(patch.file), { recursive: true });
+  }
+  restoreSnapshot(patch.file, patch.after);
+  patches.delete(patch.id);
+  return patch;
+}
+
+function discardPatch(patchId) {
+  const { patches } = getRegistries();
+  const patch = requirePatch(patchId);
+  patches.delete(patch.id);
+  return patch;
+}
+
+// Change review
+// cursor_agent_review_changes collects a diff with the local git CLI (staged changes, a commit
+// range or individual commits), splits it by file into prompt-sized chunks and asks for issues
+// in a fixed JSON shape so results can be merged across chunks.
+const GIT_TIMEOUT_MS = 30000;
+// Keeps each review prompt well below the kernel's single-argument limit (128KB on Linux)
+const DEFAULT_REVIEW_CHUNK_BYTES = 60000;
+// Refs and commit-ish values: no leading dash (option injection), no whitespace or shell syntax
+const GIT_REF_PATTERN = /^(?!-)[A-Za-z0-9._/~^@{}+-]{1,200}$/;
+
+const REVIEW_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string' },
+    issues: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          file: { type: 'string' },
+          line: { type: ['integer', 'null'] },
+          severity: { enum: ['error', 'warning', 'suggestion'] },
+          message: { type: 'string' },
+        },
+        required: ['file', 'severity', 'message'],
+      },
+    },
+  },
+  required: ['summary', 'issues'],
+};
+
+function validateGitRef(ref) {
+  const trimmed = String(ref ?? '').trim();
+  if (!GIT_REF_PATTERN.test(trimmed)) {
+    throw new Error(`Invalid git ref: "${trimmed}"`);
+  }
+  return trimmed;
+}
+
+// Runs git without a shell and resolves with stdout; non-zero exits reject with git's stderr
+function runGit(args, cwd) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('git', ['--no-pager', ...args], {
+      cwd,
+      shell: false,
+      env: getSafeEnvironment(),
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    let stdout = '';
+    let stderr = '';
+    const timer = setTimeout(() => {
+      try { child.kill('SIGKILL'); } catch {}
+      reject(new Error(`git ${args[0]} timed out after ${GIT_TIMEOUT_MS}ms`));
+    }, GIT_TIMEOUT_MS);
+    child.stdout.on('data', (d) => { stdout += d.toString(); });
+    child.stderr.on('data', (d) => { stderr += d.toString(); });
+    child.on('error', (e) => {
+      clearTimeout(timer);
+      reject(new Error(`Failed to run git: ${e?.message || e}`));
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (code === 0) resolve(stdout);
+      else reject(new Error(`git ${args[0]} failed (exit ${code}): ${stderr.trim() || 'no output'}`));
+    });
+  });
+}
+
+// Splits `git diff` output into one entry per file ("diff --git" sections)
+function splitDiffByFile(diffText) {
+  const files = [];
+  for (const section of String(diffText).split(/^(?=diff --git )/m)) {
+    if (!section.startsWith('diff --git ')) continue;
+    const newPath = section.match(/^\+\+\+ b\/(.+)$/m)?.[1];
+    const oldPath = section.match(/^--- a\/(.+)$/m)?.[1];
+    const headerPath = section.match(/^diff --git a\/.+ b\/(.+)$/m)?.[1];
+    files.push({ file: newPath || oldPath || headerPath || 'unknown', text: section.endsWith('\n') ? section : `${section}\n` });
+  }
+  return files;
+}
+
+/**
+ * Packs per-file diffs into chunks of at most maxBytes. A file that does not fit on its own is
+ * truncated with a marker rather than split across prompts.
+ */
+function chunkFileDiffs(files, maxBytes = DEFAULT_REVIEW_CHUNK_BYTES) {
+  const chunks = [];
+  let current = null;
+  for (const entry of files) {
+    let text = entry.text;
+    const size = Buffer.byteLength(text);
+    if (size > maxBytes) {
+      const kept = Buffer.from(text).subarray(0, maxBytes).toString('utf8');
+      text = `${kept}\n[diff truncated: ${size - Buffer.byteLength(kept)} more bytes of ${entry.file} not shown]\n`;
+    }
+    const bytes = Buffer.byteLength(text);
+    if (!current || current.bytes + bytes > maxBytes) {
+      current = { files: [], text: '', bytes: 0 };
+      chunks.push(current);
+    }
+    current.files.push(entry.commit ? `${entry.file} (${entry.commit})` : entry.file);
+    current.text += text;
+    current.bytes += bytes;
+  }
+  return chunks;
+}
+
+/**
+ * Collects the diff to review. Exactly one of staged/range/commits may be given; with none,
+ * uncommitted changes against HEAD are reviewed. Resolves with { description, files }.
+ */
+async function collectChangeDiff({ staged, range, commits, cwd }) {
+  const modes = [staged ? 'staged' : null, range ? 'range' : null, commits?.length ? 'commits' : null].filter(Boolean);
+  if (modes.length > 1) {
+    throw new Error(`Pass only one of staged, range or commits (got ${modes.join(', ')})`);
+  }
+  const diffFlags = ['--no-color', '--no-ext-diff', '-M'];
+
+  if (staged) {
+    return { description: 'staged changes', files: splitDiffByFile(await runGit(['diff', '--cached', ...diffFlags], cwd)) };
+  }
+  if (range) {
+    const match = String(range).trim().match(/^(.+?)(\.\.\.?)(.+)$/);
+    if (!match) {
+      throw new Error(`Invalid range: "${range}" (expected base..head or base...head)`);
+    }
+    const spec = `${validateGitRef(match[1])}${match[2]}${validateGitRef(match[3])}`;
+    return { description: `range ${spec}`, files: splitDiffByFile(await runGit(['diff', ...diffFlags, spec, '--'], cwd)) };
+  }
+  if (commits?.length) {
+    const files = [];
+    for (const commit of commits.map(validateGitRef)) {
+      // --format= drops the commit header so only the patch is returned
+      const diff = await runGit(['show', '--format=', ...diffFlags, commit, '--'], cwd);
+      splitDiffByFile(diff).forEach((entry) => files.push({ ...entry, commit }));
+    }
+    return { description: `commit(s) ${commits.join(', ')}`, files };
+  }
+  return { description: 'uncommitted changes against HEAD', files: splitDiffByFile(await runGit(['diff', 'HEAD', ...diffFlags], cwd)) };
+}
+
+function composeReviewPrompt({ description, chunk, index, total, focus }) {
+  return (
+    `Review the following ${description}` +
+    (total > 1 ? ` (part ${index} of ${total}; files: ${chunk.files.join(', ')})` : ``) +
+    `.\n` +
+    `- Report concrete problems: bugs, security issues, missing error handling, unclear code, missing tests.\n` +
+    `- Reference each issue by file path (as shown in the diff) and the line number in the new version of the file.\n` +
+    `- Do not report issues in unchanged code unless the change breaks it.\n` +
+    (focus ? `- Focus: ${String(focus)}\n` : ``) +
+    `\n${chunk.text}`
+  );
+}
+
+// One line per issue, grouped by file, for the text result
+function formatReviewIssues(issues) {
+  if (!issues.length) return 'No issues found.';
+  const byFile = new Map();
+  for (const issue of issues) {
+    if (!byFile.has(issue.file)) byFile.set(issue.file, []);
+    byFile.get(issue.file).push(issue);
+  }
+  return [...byFile.entries()]
+    .map(([file, list]) => [
+      file,
+      ...list.map((i) => `  ${i.line ? `${file}:${i.line}` : file} [${i.severity}] ${i.message}`),
+    ].join('\n'))
+    .join('\n\n');
+}
+
+// Response cache
+// Opt-in (CURSOR_AGENT_CACHE) on-disk cache for the read-only analyze/search tools. Entries are
+// keyed on the tool, composed prompt, requested model/profile and a fingerprint of the inputs:
+// a content hash of the analyzed paths, or the git tree plus uncommitted changes for searches.
+// Only successful results are stored; session calls are never cached.
+const DEFAULT_CACHE_TTL_MS = 60 * 60 * 1000;
+const DEFAULT_CACHE_MAX_BYTES = 50 * 1024 * 1024;
+// Directory fingerprints stop here; larger trees are not cached
+const MAX_FINGERPRINT_FILES = 10000;
+const CACHE_ENTRY_PATTERN = /^[0-9a-f]{64}\.json$/;
+
+function getCacheSettings() {
+  const env = getValidatedEnv();
+  return {
+    enabled: env.CURSOR_AGENT_CACHE,
+    dir: env.CURSOR_AGENT_CACHE_DIR ? path.resolve(env.CURSOR_AGENT_CACHE_DIR) : path.join(os.tmpdir(), 'cursor-agent-mcp-cache'),
+    ttlMs: env.CURSOR_AGENT_CACHE_TTL_MS || DEFAULT_CACHE_TTL_MS,
+    maxBytes: env.CURSOR_AGENT_CACHE_MAX_BYTES ?? DEFAULT_CACHE_MAX_BYTES,
+  };
+}
+
+const sha256 = (data) => createHash('sha256').update(data).digest('hex');
+
+/**
+ * Content fingerprint of files and directories. Files are hashed by content, directories by
+ * the relative path, size and mtime of every file below them (.git and node_modules skipped).
+ * Returns null when a tree has more than MAX_FINGERPRINT_FILES files.
+ */
+function fingerprintPaths(paths) {
+  const hash = createHash('sha256');
+  let files = 0;
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+      if (entry.name === '.git' || entry.name === 'node_modules') continue;
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!walk(full)) return false;
+      } else if (entry.isFile()) {
+        if (++files > MAX_FINGERPRINT_FILES) return false;
+        const stat = fs.statSync(full);
+        hash.update(`${full}\0${stat.size}\0${stat.mtimeMs}\n`);
+      }
+    }
+    return true;
+  };
+  for (const p of [...paths].sort()) {
+    let stat;
+    try {
+      stat = fs.statSync(p);
+    } catch {
+      hash.update(`${p}\0missing\n`);
+      continue;
+    }
+    if (stat.isDirectory()) {
+      if (!walk(p)) return null;
+    } else {
+      hash.update(`${p}\0${sha256(fs.readFileSync(p))}\n`);
+    }
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Fingerprint of a git work tree: HEAD's tree, the uncommitted diff and the untracked files
+ * (by size and mtime). Returns null outside a git repository or without commits.
+ */
+async function fingerprintGitTree(cwd) {
+  try {
+    const tree = (await runGit(['rev-parse', 'HEAD^{tree}'], cwd)).trim();
+    const diff = await runGit(['diff', 'HEAD', '--no-color', '--no-ext-diff', '--binary'], cwd);
+    const untracked = (await runGit(['ls-files', '--others', '--exclude-standard', '-z'], cwd)).split('\0').filter(Boolean).sort();
+    const hash = createHash('sha256').update(`${tree}\n`).update(sha256(diff));
+    for (const file of untracked) {
+      try {
+        const stat = fs.statSync(path.join(cwd, file));
+        hash.update(`\n${file}\0${stat.size}\0${stat.mtimeMs}`);
+      } catch {}
+    }
+    return hash.digest('hex');
+  } catch {
+    return null;
+  }
+}
+
+function readCacheEntry(dir, key, now = Date.now()) {
+  const file = path.join(dir, `${key}.json`);
+  try {
+    const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (entry.expiresAt <= now) {
+      fs.rmSync(file, { force: true });
+      return null;
+    }
+    return entry;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Lists cache entries (without their results), newest first.
+ * Unreadable files are listed with an error so they can be cleared.
+ */
+function listCacheEntries({ dir = getCacheSettings().dir } = {}) {
+  let names = [];
+  try {
+    names = fs.readdirSync(dir).filter((name) => CACHE_ENTRY_PATTERN.test(name));
+  } catch {
+    return [];
+  }
+  const entries = [];
+  for (const name of names) {
+    const file = path.join(dir, name);
+    try {
+      const { result, ...meta } = JSON.parse(fs.readFileSync(file, 'utf8'));
+      entries.push({ ...meta, sizeBytes: fs.statSync(file).size });
+    } catch (e) {
+      entries.push({ key: name.slice(0, -'.json'.length), error: e?.message || String(e), sizeBytes: 0, createdAt: 0 });
+    }
+  }
+  return entries.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Removes cache entries: all of them, those of one tool, or only expired ones.
+ * Returns { removed, freedBytes }.
+ */
+function clearCache({ tool, expiredOnly = false, now = Date.now(), dir = getCacheSettings().dir } = {}) {
+  let removed = 0;
+  let freedBytes = 0;
+  for (const entry of listCacheEntries({ dir })) {
+    if (tool && entry.tool !== tool) continue;
+    if (expiredOnly && !entry.error && entry.expiresAt > now) continue;
+    try {
+      fs.rmSync(path.join(dir, `${entry.key}.json`), { force: true });
+      removed++;
+      freedBytes += entry.sizeBytes;
+    } catch {}
+  }
+  return { removed, freedBytes };
+}
+
+// Drops expired entries, then the oldest ones until the cache fits in maxBytes
+function pruneCache({ dir, maxBytes, now = Date.now() }) {
+  clearCache({ expiredOnly: true, now, dir });
+  let total = 0;
+  for (const entry of listCacheEntries({ dir })) {
+    total += entry.sizeBytes;
+    if (total > maxBytes) {
+      try { fs.rmSync(path.join(dir, `${entry.key}.json`), { force: true }); } catch {}
+    }
+  }
+}
+
+function writeCacheEntry(settings, entry) {
+  try {
+    fs.mkdirSync(settings.dir, { recursive: true });
+    const file = path.join(settings.dir, `${entry.key}.json`);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(entry), 'utf8');
+    fs.renameSync(tmp, file);
+    pruneCache({ dir: settings.dir, maxBytes: settings.maxBytes });
+  } catch (e) {
+    if (getValidatedEnv().DEBUG_CURSOR_MCP) {
+      try { console.error('[cursor-mcp] failed to write cache entry:', e); } catch {}
+    }
+  }
+}
+
+// Session and stream log footers that invokeCursorAgentOnce appends to a run's text
+const RUN_FOOTER_PATTERN =
+  /\n\n(?:Session: \S+ \(pass as session_id to continue this conversation\)|---\nFull stream log: [^\n]*(?:\n⚠️ Large log[^\n]*)?(?:\nResources: cursor-agent:\/\/runs\/[^\n]*)?)/g;
+
+// A run's text without its session and stream log footers
+function stripRunFooters(text) {
+  return String(text ?? '').replace(RUN_FOOTER_PATTERN, '');
+}
+
+// A result without the references of the run that produced it (stream log, run resources,
+// session) and without its usage, which would all be stale or misleading on a cache hit
+function stripRunReferences(result) {
+  const { streamLogFile, runId, sessionId, usage, ...rest } = result;
+  const content = (rest.content ?? []).map((c) => (c.type === 'text' ? { ...c, text: stripRunFooters(c.text) } : c));
+  if (!rest.structuredContent) return { ...rest, content };
+  const { usage: structuredUsage, ...structured } = rest.structuredContent;
+  return { ...rest, content, structuredContent: { ...structured, streamLog: null, sessionId: null, runId: null } };
+}
+
+/**
+ * Runs a read-only tool through the response cache.
+ * input is the runCursorAgent input; paths are the validated paths whose contents the answer
+ * depends on (omit to fingerprint the git tree of input.cwd). mode 'bypass' skips the cache,
+ * 'refresh' re-runs and overwrites the entry. run() performs the actual call.
+ * Results gain cache: { status: hit|miss|refreshed|bypass|uncacheable, key?, createdAt? }.
+ */
+async function runWithCache({ tool, input, paths, mode, extra }, run) {
+  const settings = getCacheSettings();
+  if (!settings.enabled) return run();
+  const withCache = (result, cache) => ({
+    ...result,
+    ...(result.structuredContent && { structuredContent: { ...result.structuredContent, cache } }),
+    cache,
+  });
+  if (mode === 'bypass') return withCache(await run(), { status: 'bypass' });
+  if (input.session_id || input.continue || input.new_session) return withCache(await run(), { status: 'uncacheable' });
+
+  const cwd = validateWorkingDirectory(input.cwd);
+  const fingerprint = paths ? fingerprintPaths(paths) : await fingerprintGitTree(cwd);
+  if (!fingerprint) return withCache(await run(), { status: 'uncacheable' });
+
+  const { profile, settings: resolved } = resolveSettings({ profile: input.profile });
+  const key = sha256(JSON.stringify({
+    tool,
+    prompt: String(input.prompt),
+    model: input.model?.trim?.() || resolved.model || null,
+    quality: input.quality ?? null,
+    profile,
+    output_format: input.output_format ?? resolved.output_format ?? 'text',
+    extra_args: [...(resolved.extra_args ?? []), ...(input.extra_args ?? [])],
+    cwd,
+    fingerprint,
+    ...extra,
+  }));
+
+  if (mode !== 'refresh') {
+    const entry = readCacheEntry(settings.dir, key);
+    if (entry) {
+      const cache = { status: 'hit', key, createdAt: new Date(entry.createdAt).toISOString() };
+      const content = [...entry.result.content];
+      const last = content[content.length - 1];
+      content[content.length - 1] = { ...last, text: `${last.text}\n\n(cached response from ${cache.createdAt}; pass cache: "refresh" to re-run)` };
+      return withCache({ ...entry.result, content }, cache);
+    }
+  }
+
+  const result = await run();
+  // Errors are not stored, so they report a miss whatever the mode
+  if (result.isError) return withCache(result, { status: 'miss', key });
+  const now = Date.now();
+  const stored = stripRunReferences(result);
+  writeCacheEntry(settings, {
+    key,
+    tool,
+    model: input.model?.trim?.() || resolved.model || null,
+    promptPreview: String(input.prompt).slice(0, 200),
+    createdAt: now,
+    expiresAt: now + settings.ttlMs,
+    result: stored,
+  });
+  return withCache(result, { status: mode === 'refresh' ? 'refreshed' : 'miss', key });
+}
+
+// Local file search
+// Globs are expanded by the server itself (respecting .gitignore files) so search_repo can pre-search
+// the matching files for the query and hand the model a ranked list of candidates with snippets.
+// Patterns are relative to the search root; a pattern without "/" matches at any depth and a
+// pattern naming a directory matches everything below it.
+
+// The walk stops after this many files (reported as truncated)
+const MAX_WALK_FILES = 20000;
+// Larger files are not pre-searched
+const MAX_PRESEARCH_FILE_BYTES = 1024 * 1024;
+const DEFAULT_MAX_CANDIDATES = 20;
+const MAX_SNIPPETS_PER_CANDIDATE = 3;
+const MAX_SNIPPET_LENGTH = 160;
+// A pre-search matching more than this share of the scanned files does not narrow the search
+const BROAD_PRESEARCH_RATIO = 0.5;
+const MIN_BROAD_PRESEARCH_FILES = 10;
+// Words of natural-language queries that say nothing about the code being searched
+const QUERY_STOPWORDS = new Set([
+  'a', 'about', 'all', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'each', 'find', 'for',
+  'from', 'how', 'in', 'into', 'is', 'it', 'its', 'list', 'most', 'no', 'not', 'of', 'on', 'only', 'or', 'show', 'so',
+  'that', 'the', 'their', 'them', 'then', 'there', 'these', 'this', 'to', 'up', 'used', 'uses', 'using', 'was',
+  'what', 'when', 'where', 'which', 'who', 'why', 'with',
+]);
+const SEARCH_MODES = ['literal', 'regex', 'semantic'];
+
+// Translates a glob (*, **, ?, [...], {a,b}) into a regular expression source for "/"-separated paths
+function globToRegExpSource(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        const atSegmentStart = i === 0 || glob[i - 1] === '/';
+        i++;
+        if (atSegmentStart && glob[i + 1] === '/') {
+          source += '(?:.*/)?';
+          i++;
+        } else {
+          source += '.*';
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        let body = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+        if (body.startsWith('!')) body = `^${body.slice(1)}`;
+        source += `[${body}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      // Find the matching brace and split its top-level alternatives
+      let depth = 0;
+      let end = -1;
+      const parts = [];
+      let start = i + 1;
+      for (let j = i; j < glob.length; j++) {
+        if (glob[j] === '{') depth++;
+        else if (glob[j] === '}' && --depth === 0) { end = j; break; }
+        else if (glob[j] === ',' && depth === 1) { parts.push(glob.slice(start, j)); start = j + 1; }
+      }
+      if (end === -1) {
+        source += '\\{';
+      } else {
+        parts.push(glob.slice(start, end));
+        source += `(?:${parts.map(globToRegExpSource).join('|')})`;
+        i = end;
+      }
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += glob[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+  return source;
+}
+
+/**
+ * Compiles an include/exclude glob into a matcher for workspace-relative paths. Patterns without
+ * "/" match at any depth and every pattern also matches the paths below what it names.
+ */
+function compileGlob(pattern) {
+  let glob = String(pattern).trim().replace(/^(\.\/)+/, '').replace(/\/+$/, '');
+  if (!glob.includes('/')) glob = `**/${glob}`;
+  const re = new RegExp(`^(?:${globToRegExpSource(glob)})(?:/.*)?$`);
+  return (relPath) => re.test(relPath);
+}
+
+// Parses a .gitignore file into rules relative to base (the directory holding it)
+function parseGitignore(content, base) {
+  const rules = [];
+  for (const rawLine of content.split(/\r?\n/)) {
+    let line = rawLine.replace(/(?<!\\)\s+$/, '');
+    if (!line || line.startsWith('#')) continue;
+    const negate = line.startsWith('!');
+    if (negate) line = line.slice(1);
+    if (line.startsWith('\\')) line = line.slice(1);
+    const dirOnly = line.endsWith('/');
+    line = line.replace(/\/+$/, '');
+    // Patterns with a slash (other than a trailing one) are anchored to the .gitignore's directory
+    const anchored = line.includes('/');
+    line = line.replace(/^\/+/, '');
+    if (!line) continue;
+    rules.push({ base, negate, dirOnly, anchored, re: new RegExp(`^(?:${globToRegExpSource(line)})$`) });
+  }
+  return rules;
+}
+
+function isGitignored(rules, relPath, isDir) {
+  let ignored = false;
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDir) continue;
+    if (rule.base && !relPath.startsWith(`${rule.base}/`)) continue;
+    const subPath = rule.base ? relPath.slice(rule.base.length + 1) : relPath;
+    if (rule.re.test(rule.anchored ? subPath : path.posix.basename(subPath))) ignored = !rule.negate;
+  }
+  return ignored;
+}
+
+/**
+ * Lists the files below root that match the include globs (all files when there are none) and no
+ * exclude glob, as sorted "/"-separated relative paths. Honours .gitignore files at every level
+ * and always skips .git and node_modules. Returns { files, truncated }.
+ */
+function listWorkspaceFiles(root, { include = [], exclude = [] } = {}) {
+  const includeMatchers = include.map(compileGlob);
+  const excludeMatchers = exclude.map(compileGlob);
+  const files = [];
+  let seen = 0;
+  let truncated = false;
+  const walk = (dir, rel, inheritedRules) => {
+    let rules = inheritedRules;
+    try {
+      rules = [...inheritedRules, ...parseGitignore(fs.readFileSync(path.join(dir, '.gitignore'), 'utf8'), rel)];
+    } catch {}
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name));
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (truncated) return;
+      if (entry.name === '.git' || entry.name === 'node_modules') continue;
+      const entryRel = rel ? `${rel}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!isGitignored(rules, entryRel, true)) walk(path.join(dir, entry.name), entryRel, rules);
+      } else if (entry.isFile()) {
+        if (isGitignored(rules, entryRel, false)) continue;
+        if (++seen > MAX_WALK_FILES) {
+          truncated = true;
+          return;
+        }
+        if (includeMatchers.length && !includeMatchers.some((m) => m(entryRel))) continue;
+        if (excludeMatchers.some((m) => m(entryRel))) continue;
+        files.push(entryRel);
+      }
+    }
+  };
+  walk(root, '', []);
+  return { files, truncated };
+}
+
+/**
+ * Validates an include/exclude glob and returns it relative to root. Absolute globs must point
+ * inside root and ".." may only move within it (and not back out of a wildcard segment).
+ * Backslashes escape the next character; only absolute globs, being paths, use native separators.
+ */
+function normalizeSearchGlob(pattern, root) {
+  const raw = String(pattern ?? '').trim();
+  if (!raw) throw new Error('Glob patterns must not be empty');
+  if (raw.includes('\0')) throw new Error(`Invalid glob "${raw}": contains a NUL character`);
+  let glob = raw;
+  if (path.isAbsolute(raw) || /^[a-zA-Z]:[\\/]/.test(raw)) {
+    const relative = path.relative(root, path.resolve(raw)).split(path.sep).join('/');
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`Invalid glob "${raw}": absolute paths must be inside the workspace "${root}"`);
+    }
+    glob = relative || '**';
+  }
+  const segments = [];
+  for (const segment of glob.split('/')) {
+    if (segment === '' || segment === '.') continue;
+    if (segment === '..') {
+      if (!segments.length || /[*?[{]/.test(segments[segments.length - 1])) {
+        throw new Error(`Invalid glob "${raw}": ".." must not leave the workspace "${root}"`);
+      }
+      segments.pop();
+    } else {
+      segments.push(segment);
+    }
+  }
+  return segments.length ? segments.join('/') : '**';
+}
+
+/**
+ * Validates and expands search globs below root. Every include glob must match at least one file
+ * unless requireMatches is false.
+ * Returns { include: [{ pattern, matches }], exclude: [{ pattern, matches }], files, truncated }
+ * where files are the workspace files matching an include glob (any file without includes) and no
+ * exclude glob.
+ */
+function resolveSearchGlobs(root, { include = [], exclude = [], requireMatches = true } = {}) {
+  const includeGlobs = include.map((p) => normalizeSearchGlob(p, root));
+  const excludeGlobs = exclude.map((p) => normalizeSearchGlob(p, root));
+  const { files: all, truncated } = listWorkspaceFiles(root);
+  const expand = (globs) => globs.map((pattern) => {
+    const matcher = compileGlob(pattern);
+    return { pattern, matcher, matches: all.filter(matcher).length };
+  });
+  const included = expand(includeGlobs);
+  const excluded = expand(excludeGlobs);
+  const empty = requireMatches && included.find((g) => g.matches === 0);
+  if (empty) {
+    throw new Error(
+      `Include glob "${empty.pattern}" matches no files in ${root}${truncated ? ` (only the first ${MAX_WALK_FILES} files were checked)` : ''}; ` +
+      'globs are relative to cwd, and .gitignore\'d files, .git and node_modules are skipped',
+    );
+  }
+  const files = all.filter((file) => (!included.length || included.some((g) => g.matcher(file))) && !excluded.some((g) => g.matcher(file)));
+  const report = (globs) => globs.map(({ pattern, matches }) => ({ pattern, matches }));
+  return { include: report(included), exclude: report(excluded), files, truncated };
+}
+
+// Reads a file for searching; null for files that are too large, unreadable or binary
+function readSearchableFile(file) {
+  try {
+    if (fs.statSync(file).size > MAX_PRESEARCH_FILE_BYTES) return null;
+    const buffer = fs.readFileSync(file);
+    if (buffer.subarray(0, 8000).includes(0)) return null;
+    return buffer.toString('utf8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Search terms of a literal query, lowercased. Words are split at whitespace and punctuation
+ * (dots and dashes inside a word are kept), stopwords and numbers are dropped. When the query
+ * names identifiers (camelCase, snake_case, dotted or `quoted`), only those are kept: the rest
+ * of a natural-language query describes the answer, not the code. Falls back to the whole query.
+ */
+function extractQueryTerms(query) {
+  const text = String(query);
+  const quoted = [...text.matchAll(/`([^`\s]+)`/g)].map((m) => m[1]);
+  const words = [...text.matchAll(/[\w$]+(?:[.-][\w$]+)*/g)].map((m) => m[0]);
+  const isIdentifier = (word) => /[a-z][A-Z]|[_$.]/.test(word) || (/\d/.test(word) && /[A-Za-z]/.test(word));
+  const content = words.filter((word) => word.length > 1 && !/^\d+$/.test(word) && !QUERY_STOPWORDS.has(word.toLowerCase()));
+  const identifiers = [...quoted, ...content.filter(isIdentifier)];
+  const terms = (identifiers.length ? identifiers : content).map((word) => word.toLowerCase());
+  return terms.length ? [...new Set(terms)] : [text.trim().toLowerCase()].filter(Boolean);
+}
+
+/**
+ * Builds a line matcher for a query: literal mode matches any term of the query (see
+ * extractQueryTerms) case-insensitively, regex mode compiles the query as a JavaScript regular
+ * expression. Returns { terms, test(line) -> matched terms (array, empty when none) }.
+ */
+function createQueryMatcher(query, mode) {
+  if (mode === 'regex') {
+    let re;
+    try {
+      re = new RegExp(query);
+    } catch (e) {
+      throw new Error(`Invalid regex query: ${e?.message || e}`);
+    }
+    return { terms: [query], test: (line) => (re.test(line) ? [query] : []) };
+  }
+  const terms = extractQueryTerms(query);
+  return {
+    terms,
+    test: (line) => {
+      const lower = line.toLowerCase();
+      return terms.filter((term) => lower.includes(term));
+    },
+  };
+}
+
+/**
+ * Local pre-search for search_repo: expands the globs under root (see resolveSearchGlobs) and
+ * ranks the files whose lines match the query. Files matching more distinct terms rank first, then
+ * those with more matching lines; a file name containing a term or a line containing the whole
+ * literal query adds to the score. broad is set when most scanned files match, so the ranking says
+ * little. Returns { mode, terms, scanned, matched, broad, truncated, globs, candidates: [{ path,
+ * score, matches, snippets: [{ line, text }] }] } with at most maxCandidates candidates.
+ */
+function presearchFiles({ root, query, mode = 'literal', include = [], exclude = [], maxCandidates = DEFAULT_MAX_CANDIDATES }) {
+  const matcher = createQueryMatcher(query, mode);
+  const phrase = mode === 'literal' && matcher.terms.length > 1 ? String(query).toLowerCase().trim() : null;
+  const globs = resolveSearchGlobs(root, { include, exclude });
+  const ranked = [];
+  let scanned = 0;
+  for (const file of globs.files) {
+    const content = readSearchableFile(path.join(root, file));
+    if (content === null) continue;
+    scanned++;
+    const termsHit = new Set();
+    const snippets = [];
+    let matches = 0;
+    let phraseHit = false;
+    content.split(/\r?\n/).forEach((line, index) => {
+      const hit = matcher.test(line);
+      if (!hit.length) return;
+      matches++;
+      hit.forEach((term) => termsHit.add(term));
+      if (phrase && line.toLowerCase().includes(phrase)) phraseHit = true;
+      if (snippets.length < MAX_SNIPPETS_PER_CANDIDATE) {
+        snippets.push({ line: index + 1, text: line.trim().slice(0, MAX_SNIPPET_LENGTH) });
+      }
+    });
+    if (!matches) continue;
+    const name = path.posix.basename(file).toLowerCase();
+    const nameHit = mode === 'literal' && matcher.terms.some((term) => name.includes(term));
+    const score = termsHit.size * 100 + Math.min(matches, 50) + (phraseHit ? 50 : 0) + (nameHit ? 25 : 0);
+    ranked.push({ path: file, score, matches, snippets });
+  }
+  ranked.sort((a, b) => b.score - a.score || a.path.localeCompare(b.path));
+  return {
+    mode,
+    terms: matcher.terms,
+    scanned,
+    matched: ranked.length,
+    broad: scanned >= MIN_BROAD_PRESEARCH_FILES && ranked.length > scanned * BROAD_PRESEARCH_RATIO,
+    truncated: globs.truncated,
+    globs: { include: globs.include, exclude: globs.exclude },
+    candidates: ranked.slice(0, maxCandidates),
+  };
+}
+
+// Matches kept by grepFiles; the walk stops at the next match and the result is marked truncated
+const MAX_GREP_MATCHES = 5000;
+const GREP_PAGE_SIZE = 100;
+
+/**
+ * Local grep for cursor_agent_grep: finds the pattern (a literal string, or a JavaScript regular
+ * expression in regex mode) in the files matching the globs below root. Returns { filesSearched,
+ * filesMatched, truncated, limitReached, partialFile, globs, matches: [{ file, line, column, text,
+ * before, after }] } with 1-based line/column of the first occurrence per line and up to contextLines
+ * lines around it. Past MAX_GREP_MATCHES the walk stops (limitReached), so the file counts only cover
+ * the files searched until then and partialFile names the file it stopped in.
+ */
+function grepFiles({ root, pattern, mode = 'literal', ignoreCase = false, include = [], exclude = [], contextLines = 2 }) {
+  let re;
+  try {
+    re = new RegExp(mode === 'regex' ? pattern : String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), ignoreCase ? 'i' : '');
+  } catch (e) {
+    throw new Error(`Invalid regex: ${e?.message || e}`);
+  }
+  const globs = resolveSearchGlobs(root, { include, exclude });
+  const matches = [];
+  let filesSearched = 0;
+  let filesMatched = 0;
+  let truncated = globs.truncated;
+  let limitReached = false;
+  let partialFile = null;
+  for (const file of globs.files) {
+    if (limitReached) break;
+    const content = readSearchableFile(path.join(root, file));
+    if (content === null) continue;
+    filesSearched++;
+    const lines = content.split(/\r?\n/);
+    let fileHit = false;
+    for (let i = 0; i < lines.length; i++) {
+      const found = re.exec(lines[i]);
+      if (!found) continue;
+      fileHit = true;
+      if (matches.length >= MAX_GREP_MATCHES) {
+        truncated = true;
+        limitReached = true;
+        partialFile = file;
+        break;
+      }
+      matches.push({
+        file,
+        line: i + 1,
+        column: found.index + 1,
+        text: lines[i],
+        before: lines.slice(Math.max(0, i - contextLines), i),
+        after: lines.slice(i + 1, i + 1 + contextLines),
+      });
+    }
+    if (fileHit) filesMatched++;
+  }
+  return { filesSearched, filesMatched, truncated, limitReached, partialFile, globs: { include: globs.include, exclude: globs.exclude }, matches };
+}
+
+// Candidate block of the search prompt
+function formatSearchCandidates(presearch) {
+  if (!presearch.candidates.length) {
+    return `Local pre-search (${presearch.mode}) found no matches in ${presearch.scanned} files; search the files matching the globs.\n`;
+  }
+  if (presearch.broad) {
+    return (
+      `Local pre-search (${presearch.mode}) matched ${presearch.matched} of ${presearch.scanned} files, too many to narrow the ` +
+      `search; search the files matching the globs.\n`
+    );
+  }
+  const shown = presearch.candidates.length < presearch.matched
+    ? `the top ${presearch.candidates.length} of ${presearch.matched} matching files`
+    : `${presearch.matched} matching file${presearch.matched === 1 ? '' : 's'}`;
+  return (
+    `Local pre-search (${presearch.mode}) of ${presearch.scanned} files found ${shown}, best first:\n` +
+    presearch.candidates
+      .map((c, i) => `${i + 1}. ${c.path} (${c.matches} matching line${c.matches === 1 ? '' : 's'})\n` +
+        c.snippets.map((s) => `   ${s.line}: ${s.text}`).join('\n'))
+      .join('\n') + '\n' +
+    `Start with these candidates and only look at other files if they do not answer the query.\n`
+  );
+}
+
+// Analyze path expansion
+// cursor_agent_analyze_files accepts files, directories and globs. Directories and globs are
+// expanded against the workspace like search globs, each file is sized and token-estimated, and
+// sets larger than max_chunk_tokens are split into chunks analyzed in parallel (see
+// runChunkedAnalysis).
+const DEFAULT_ANALYZE_CHUNK_TOKENS = 40000;
+const MAX_FILES_PER_ANALYZE_CHUNK = 200;
+// Expansions beyond this many files are refused; narrow the paths instead
+const MAX_ANALYZE_FILES = 5000;
+// Plans with more chunks are refused: every chunk answer must keep a useful share of the merge prompt
+const MAX_ANALYZE_CHUNKS = 40;
+// Keeps the merge prompt below the kernel's single-argument limit (128KB on Linux)
+const MAX_ANALYZE_MERGE_BYTES = 96 * 1024;
+const GLOB_CHARS_PATTERN = /[*?[{]/;
+
+/**
+ * Expands analyze paths into files. Plain file paths are validated and kept in order (missing ones
+ * are passed through for the agent to report); directories and globs are expanded below the
+ * workspace, respecting .gitignore. Returns { files: [{ path, bytes, tokens }], sources:
+ * [{ input, kind, files }] } with absolute, de-duplicated paths.
+ */
+function expandAnalyzePaths(entries) {
+  const root = path.resolve(process.cwd());
+  const files = [];
+  const seen = new Set();
+  const add = (absolute) => {
+    if (seen.has(absolute)) return;
+    seen.add(absolute);
+    let bytes = 0;
+    try {
+      bytes = fs.statSync(absolute).size;
+    } catch {}
+    files.push({ path: absolute, bytes, tokens: Math.ceil(bytes / 4) });
+  };
+  const sources = [];
+  const patterns = [];
+  for (const entry of entries) {
+    if (GLOB_CHARS_PATTERN.test(entry)) {
+      const pattern = normalizeSearchGlob(entry, root);
+      sources.push({ input: entry, kind: 'glob', pattern });
+      patterns.push(pattern);
+      continue;
+    }
+    const absolute = validateFilePath(entry);
+    let isDirectory = false;
+    try {
+      isDirectory = fs.statSync(absolute).isDirectory();
+    } catch {}
+    if (isDirectory) {
+      const relative = path.relative(root, absolute).split(path.sep).join('/');
+      // Anchor the directory so a slash-free name does not match at any depth
+      const pattern = relative ? `${relative}/**` : '**';
+      sources.push({ input: entry, kind: 'directory', pattern });
+      patterns.push(pattern);
+    } else {
+      sources.push({ input: entry, kind: 'file', files: 1 });
+      add(absolute);
+    }
+  }
+
+  if (patterns.length) {
+    const globs = resolveSearchGlobs(root, { include: patterns, requireMatches: false });
+    for (const source of sources.filter((s) => s.pattern)) {
+      source.files = globs.include.find((g) => g.pattern === source.pattern).matches;
+      if (!source.files) {
+        throw new Error(`${source.kind === 'glob' ? 'Glob' : 'Directory'} "${source.input}" matches no files (.gitignore'd files, .git and node_modules are skipped)`);
+      }
+      delete source.pattern;
+    }
+    if (globs.files.length > MAX_ANALYZE_FILES) {
+      throw new Error(`The paths expand to ${globs.files.length} files; at most ${MAX_ANALYZE_FILES} can be analyzed per call. Narrow the paths or globs.`);
+    }
+    globs.files.forEach((file) => add(path.join(root, file)));
+  }
+  return { files, sources };
+}
+
+/**
+ * Packs files (in order) into chunks of at most maxTokens estimated tokens and
+ * MAX_FILES_PER_ANALYZE_CHUNK files. A file larger than maxTokens gets a chunk of its own.
+ * Returns [{ files, tokens }].
+ */
+function planAnalyzeChunks(files, maxTokens = DEFAULT_ANALYZE_CHUNK_TOKENS) {
+  const chunks = [];
+  let current = null;
+  for (const file of files) {
+    if (!current || current.tokens + file.tokens > maxTokens || current.files.length >= MAX_FILES_PER_ANALYZE_CHUNK) {
+      current = { files: [], tokens: 0 };
+      chunks.push(current);
+    }
+    current.files.push(file);
+    current.tokens += file.tokens;
+  }
+  return chunks;
+}
+
+// Inline file contents
+// With inline: true|'auto', analyze and edit read the validated files themselves and embed them
+// in the prompt (line-numbered) so the agent does not spend tool-call turns reading them. A byte
+// cap bounds the prompt; what was inlined versus only referenced is reported with the result.
+// The prompt is a single argv element, so the cap applies to the rendered block (line number
+// prefixes, fences and headers included) and stays below the 128KB single-argument limit on
+// Linux, leaving room for the rest of the prompt.
+const MAX_INLINE_BLOCK_BYTES = 96 * 1024;
+const DEFAULT_INLINE_MAX_BYTES = MAX_INLINE_BLOCK_BYTES;
+// inline: true truncates the file that crosses the cap, unless less than this much is left
+const MIN_INLINE_TRUNCATED_BYTES = 1024;
+const INLINE_BLOCK_HEADER = 'File contents, inlined by the server (the "N| " line number prefixes are not part of the files):\n\n';
+const INLINE_REFERENCED_HEADER = 'Not inlined; read these files yourself:\n';
+
+// Reads up to maxBytes from the start of a file
+function readFileHead(file, maxBytes) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const buffer = Buffer.alloc(maxBytes);
+    return buffer.subarray(0, fs.readSync(fd, buffer, 0, maxBytes, 0));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Counts lines without holding the whole file in memory
+function countFileLines(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const buffer = Buffer.alloc(64 * 1024);
+    let lines = 0;
+    let last = 0x0a;
+    let read;
+    while ((read = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      for (let i = 0; i < read; i++) if (buffer[i] === 0x0a) lines++;
+      last = buffer[read - 1];
+    }
+    return last === 0x0a ? lines : lines + 1;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// A code fence longer than any backtick run in the text
+function fenceFor(text) {
+  const longest = Math.max(0, ...[...text.matchAll(/`+/g)].map((m) => m[0].length));
+  return '`'.repeat(Math.max(3, longest + 1));
+}
+
+// Renders one inlined file: header, fenced line-numbered lines and, if cut, the truncation marker
+function renderInlineSection(file, lines, totalLines, omittedBytes) {
+  const width = String(lines.length).length;
+  const body = lines.map((line, i) => `${String(i + 1).padStart(width)}| ${line}`).join('\n');
+  const fence = fenceFor(body);
+  return (
+    `${file} (lines 1-${lines.length} of ${totalLines})\n${fence}\n${body}\n${fence}` +
+    (lines.length < totalLines
+      ? `\n[truncated: ${totalLines - lines.length} more lines (${omittedBytes} bytes) not shown; read the file for the rest]`
+      : '')
+  );
+}
+
+/**
+ * Reads files to embed in a prompt, in order, keeping the rendered block within maxBytes. mode
+ * true also truncates the file that crosses the cap (at a line boundary); 'auto' only embeds
+ * files that fit whole. Binary, unreadable and over-cap files are referenced by path instead.
+ * Returns { block, inlined: [{ path, bytes, lines, shownLines, truncated }], referenced:
+ * [{ path, reason }] }, where bytes counts the file content shown.
+ */
+function inlineFileContents(paths, { mode, maxBytes = DEFAULT_INLINE_MAX_BYTES } = {}) {
+  const inlined = [];
+  const referenced = [];
+  const sections = [];
+  // Header and the block's final newline
+  let remaining = Math.min(maxBytes, MAX_INLINE_BLOCK_BYTES) - Buffer.byteLength(INLINE_BLOCK_HEADER) - 1;
+  // The list of files left out is part of the block too
+  const reference = (file, reason) => {
+    if (!referenced.length) remaining -= Buffer.byteLength(`\n${INLINE_REFERENCED_HEADER}`);
+    referenced.push({ path: file, reason });
+    remaining -= Buffer.byteLength(`- ${file} (${reason})\n`);
+  };
+  for (const file of paths) {
+    // Sections after the first are separated by a blank line
+    const budget = remaining - (sections.length ? 2 : 0);
+    let size;
+    try {
+      const stat = fs.statSync(file);
+      if (!stat.isFile()) throw new Error('not a file');
+      size = stat.size;
+    } catch {
+      reference(file, 'unreadable');
+      continue;
+    }
+    // Rendering only adds bytes, so content past the budget can never be shown
+    if (size > budget && (mode === 'auto' || budget < MIN_INLINE_TRUNCATED_BYTES)) {
+      reference(file, 'over byte cap');
+      continue;
+    }
+    let head;
+    try {
+      head = readFileHead(file, Math.max(0, Math.min(size, budget)));
+    } catch {
+      reference(file, 'unreadable');
+      continue;
+    }
+    if (head.subarray(0, 8000).includes(0)) {
+      reference(file, 'binary');
+      continue;
+    }
+
+    let text = head.toString('utf8');
+    let lines = text ? text.split(/\r?\n/) : [];
+    if (text.endsWith('\n')) lines.pop();
+    let section = head.length === size ? renderInlineSection(file, lines, lines.length, 0) : null;
+    let shownBytes = size;
+    let totalLines = lines.length;
+    if (section === null || Buffer.byteLength(section) > budget) {
+      if (mode === 'auto' || budget < MIN_INLINE_TRUNCATED_BYTES) {
+        reference(file, 'over byte cap');
+        continue;
+      }
+      // Keep whole lines only, as many as fit once rendered
+      if (head.length < size) {
+        text = text.slice(0, text.lastIndexOf('\n') + 1);
+        lines = text.split(/\r?\n/).slice(0, -1);
+      }
+      totalLines = head.length < size ? countFileLines(file) : lines.length;
+      const lineBytes = lines.map((line) => Buffer.byteLength(line) + 1);
+      const fitting = (count) => {
+        const shown = lineBytes.slice(0, count).reduce((sum, n) => sum + n, 0);
+        return { shown, section: renderInlineSection(file, lines.slice(0, count), totalLines, size - shown) };
+      };
+      let low = 0;
+      let high = head.length < size ? lines.length : lines.length - 1;
+      while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (Buffer.byteLength(fitting(mid).section) <= budget) low = mid;
+        else high = mid - 1;
+      }
+      if (low === 0) {
+        reference(file, 'over byte cap');
+        continue;
+      }
+      ({ shown: shownBytes, section } = fitting(low));
+      lines = lines.slice(0, low);
+    }
+    remaining = budget - Buffer.byteLength(section);
+    sections.push(section);
+    inlined.push({ path: file, bytes: shownBytes, lines: totalLines, shownLines: lines.length, truncated: lines.length < totalLines });
+  }
+
+  const block =
+    (sections.length ? `${INLINE_BLOCK_HEADER}${sections.join('\n\n')}\n` : '') +
+    (referenced.length
+      ? `${sections.length ? '\n' : ''}${INLINE_REFERENCED_HEADER}${referenced.map((r) => `- ${r.path} (${r.reason})`).join('\n')}\n`
+      : '');
+  return { block, inlined, referenced };
+}
+
+// One-line report of an inline run, e.g. "Inlined 2 of 3 files (4120 bytes); referenced: a.png (binary)."
+function formatInlineReport({ inlined, referenced }) {
+  const bytes = inlined.reduce((sum, f) => sum + f.bytes, 0);
+  const truncated = inlined.filter((f) => f.truncated).length;
+  return (
+    `Inlined ${inlined.length} of ${inlined.length + referenced.length} files (${bytes} bytes` +
+    (truncated ? `, ${truncated} truncated` : '') + `)` +
+    (referenced.length ? `; referenced: ${referenced.map((r) => `${r.path} (${r.reason})`).join(', ')}` : '') + '.'
+  );
+}
+
+// Adds the inline report to a tool result: a leading text line plus inline: { inlined, referenced }
+function withInlineReport(result, report) {
+  if (!report) return result;
+  const inline = { inlined: report.inlined, referenced: report.referenced };
+  return {
+    ...result,
+    content: [{ type: 'text', text: formatInlineReport(report) }, ...(result.content ?? [])],
+    inline,
+    ...(result.structuredContent && { structuredContent: { ...result.structuredContent, inline } }),
+  };
+}
+
+// Custom tools
+// Tools declared under `tools` in the config file. Each becomes an MCP tool whose arguments are
+// the declared ones plus COMMON, and whose prompt is the template with {{placeholders}} filled.
+const CUSTOM_TOOL_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,63}$/;
+const TEMPLATE_PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+// Names used by a template, in order of first appearance
+function getTemplatePlaceholders(template) {
+  return [...new Set([...String(template).matchAll(TEMPLATE_PLACEHOLDER_PATTERN)].map((m) => m[1]))];
+}
+
+/**
+ * Fills {{name}} placeholders. Arrays are joined with ", ", objects are JSON-encoded and
+ * missing values render as an empty string.
+ */
+function renderPromptTemplate(template, values = {}) {
+  return String(template).replace(TEMPLATE_PLACEHOLDER_PATTERN, (_, name) => {
+    const value = values[name];
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.map((v) => (typeof v === 'object' ? JSON.stringify(v) : String(v))).join(', ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  });
+}
+
+/**
+ * Validates a custom tool definition and returns the zod shape of its own arguments.
+ * Throws on names that clash with built-in tools or COMMON arguments, unknown placeholders
+ * and unsupported argument schemas.
+ */
+function buildCustomToolShape(name, definition) {
+  if (!CUSTOM_TOOL_NAME_PATTERN.test(name) || name.startsWith('cursor_agent_')) {
+    throw new Error(`Invalid config: tool name "${name}" must match ${CUSTOM_TOOL_NAME_PATTERN} and not start with "cursor_agent_"`);
+  }
+  const argumentSchemas = definition.arguments ?? {};
+  const shape = {};
+  for (const [argName, schema] of Object.entries(argumentSchemas)) {
+    if (argName in COMMON || argName === 'prompt') {
+      throw new Error(`Invalid config: tool "${name}" argument "${argName}" clashes with a built-in argument`);
+    }
+    let argSchema;
+    try {
+      argSchema = jsonSchemaToZod(schema);
+    } catch (e) {
+      throw new Error(`Invalid config: tool "${name}" argument "${argName}": ${e?.message || e}`);
+    }
+    if (schema.description) argSchema = argSchema.describe(String(schema.description));
+    shape[argName] = (definition.required ?? []).includes(argName) ? argSchema : argSchema.optional();
+  }
+  for (const requiredName of definition.required ?? []) {
+    if (!(requiredName in argumentSchemas)) {
+      throw new Error(`Invalid config: tool "${name}" requires undeclared argument "${requiredName}"`);
+    }
+  }
+  for (const placeholder of getTemplatePlaceholders(definition.prompt)) {
+    if (!(placeholder in argumentSchemas)) {
+      throw new Error(`Invalid config: tool "${name}" prompt uses undeclared placeholder "{{${placeholder}}}"`);
+    }
+  }
+  return shape;
+}
+
+// Prompt templates
+// The prompts of the built-in verb tools can be overridden per project under `prompts` in the
+// config file, e.g. to add house style rules or an output language. Overrides use the custom tool
+// {{placeholder}} syntax over the tool's arguments; {{default}} inserts the built-in prompt.
+const PROMPT_TEMPLATE_VARIABLES = {
+  edit: ['file', 'instruction', 'prompt', 'dry_run', 'contents', 'default'],
+  analyze: ['paths', 'prompt', 'contents', 'default'],
+  search: ['query', 'include', 'exclude', 'mode', 'candidates', 'default'],
+  plan: ['goal', 'constraints', 'default'],
+};
+
+// Tools whose prompt can be rendered by cursor_agent_render_prompt, with their template
+const PROMPT_TEMPLATE_TOOLS = {
+  cursor_agent_edit_file: 'edit',
+  cursor_agent_propose_edit: 'edit',
+  cursor_agent_analyze_files: 'analyze',
+  cursor_agent_search_repo: 'search',
+  cursor_agent_plan_task: 'plan',
+};
+
+function validatePromptOverride(kind, template) {
+  const allowed = PROMPT_TEMPLATE_VARIABLES[kind];
+  for (const placeholder of getTemplatePlaceholders(template)) {
+    if (!allowed.includes(placeholder)) {
+      throw new Error(
+        `Invalid config: prompts.${kind} uses unknown placeholder "{{${placeholder}}}" (available: ${allowed.join(', ')})`,
+      );
+    }
+  }
+}
+
+function composeAnalyzePrompt({ paths, prompt, contents = '' }) {
+  return (
+    `Analyze the following paths in the repository:\n` +
+    paths.map((p) => `- ${String(p)}`).join('\n') + '\n' +
+    (prompt ? `Additional prompt: ${String(prompt)}\n` : '') +
+    (contents ? `\n${contents}` : '')
+  );
+}
+
+function composeSearchPrompt({ query, include, exclude, globs, candidates = '' }) {
+  // Validated globs are listed with the number of files each matched
+  const describe = (patterns, counts = []) => patterns.map((p, i) => {
+    const matches = counts[i]?.matches;
+    return `  - ${String(p)}${matches === undefined ? '' : ` (${matches} file${matches === 1 ? '' : 's'})`}`;
+  }).join('\n');
+  return (
+    `Search the repository for occurrences relevant to:\n` +
+    `- Query: ${String(query)}\n` +
+    (include.length ? `- Include globs:\n${describe(include, globs?.include)}\n` : '') +
+    (exclude.length ? `- Exclude globs:\n${describe(exclude, globs?.exclude)}\n` : '') +
+    candidates +
+    `Return concise findings with file paths and line references.`
+  );
+}
+
+function composePlanPrompt({ goal, constraints }) {
+  return (
+    `Create a step-by-step plan to accomplish the following goal:\n` +
+    `- Goal: ${String(goal)}\n` +
+    (constraints.length ? `- Constraints:\n${constraints.map((c)=>`  - ${String(c)}`).join('\n')}\n` : '') +
+    `Provide a numbered list of actions.`
+  );
+}
+
+const asList = (value) => (value == null ? [] : Array.isArray(value) ? value : [value]);
+
+// The prompt is passed as one argv element, which Linux limits to 128KB
+const MAX_PROMPT_ARG_BYTES = 120 * 1024;
+
+/**
+ * Composes the prompt a verb tool sends for the given (schema-parsed) arguments, applying the
+ * config override for its template when there is one. Returns { prompt, template, override, vars };
+ * vars holds the validated values (e.g. vars.file, vars.dry_run) the handler runs with. Inlined
+ * file contents get the room the rest of the prompt leaves under MAX_PROMPT_ARG_BYTES; a prompt
+ * over that limit is refused, since spawning cursor-agent with it would fail.
+ */
+function buildToolPrompt(tool, args) {
+  const template = PROMPT_TEMPLATE_TOOLS[tool];
+  let vars;
+  let compose;
+  let inlinePaths = null;
+  switch (template) {
+    case 'edit': {
+      // Changes are kept only when explicitly applied; otherwise the server restores the file
+      const dryRun = tool === 'cursor_agent_propose_edit' || !!args.dry_run || !args.apply;
+      vars = { file: validateFilePath(args.file), instruction: args.instruction, prompt: args.prompt, dry_run: dryRun };
+      inlinePaths = [vars.file];
+      compose = () => composeEditPrompt({ ...vars, dryRun });
+      break;
+    }
+    case 'analyze': {
+      // Directories and globs are expanded to the files below them
+      const expanded = expandAnalyzePaths(asList(args.paths));
+      vars = { paths: expanded.files.map((f) => f.path), prompt: args.prompt, expanded };
+      inlinePaths = vars.paths;
+      compose = () => composeAnalyzePrompt(vars);
+      break;
+    }
+    case 'search': {
+      const root = validateWorkingDirectory(args.cwd);
+      const mode = args.mode ?? 'literal';
+      const include = asList(args.include);
+      const exclude = asList(args.exclude);
+      // Semantic searches are left to the model; the other modes pre-search locally. Either way the
+      // globs are validated and must match files inside the workspace.
+      const presearch = mode === 'semantic'
+        ? null
+        : presearchFiles({ root, query: args.query, mode, include, exclude, maxCandidates: args.max_candidates });
+      const globs = presearch?.globs ?? (include.length || exclude.length ? resolveSearchGlobs(root, { include, exclude }) : { include: [], exclude: [] });
+      vars = {
+        query: args.query,
+        include: globs.include.map((g) => g.pattern),
+        exclude: globs.exclude.map((g) => g.pattern),
+        mode,
+        globs,
+        presearch,
+        candidates: presearch ? formatSearchCandidates(presearch) : '',
+      };
+      compose = () => composeSearchPrompt(vars);
+      break;
+    }
+    case 'plan':
+      vars = { goal: args.goal, constraints: args.constraints ?? [] };
+      compose = () => composePlanPrompt(vars);
+      break;
+    default:
+      throw new Error(`Tool ${tool} has no prompt template`);
+  }
+
+  const override = loadConfig().prompts[template];
+  const render = () => (override ? renderPromptTemplate(override, { ...vars, default: compose() }) : compose());
+  if (inlinePaths) {
+    vars.inlined = null;
+    vars.contents = '';
+    if (args.inline) {
+      const inline = (room) => {
+        vars.inlined = inlineFileContents(inlinePaths, { mode: args.inline, maxBytes: Math.min(args.inline_max_bytes ?? DEFAULT_INLINE_MAX_BYTES, room) });
+        vars.contents = vars.inlined.block;
+      };
+      const room = MAX_PROMPT_ARG_BYTES - Buffer.byteLength(render());
+      inline(room);
+      // Templates add their own separators around the block; take those off the room as well
+      const over = Buffer.byteLength(render()) - MAX_PROMPT_ARG_BYTES;
+      if (over > 0) inline(room - over);
+    }
+  }
+  const prompt = render();
+  const bytes = Buffer.byteLength(prompt);
+  if (bytes > MAX_PROMPT_ARG_BYTES) {
+    throw new Error(`The prompt is ${bytes} bytes, over the ${MAX_PROMPT_ARG_BYTES}-byte limit of a single command-line argument. Shorten the prompt or instruction.`);
+  }
+  return { prompt, template, override: !!override, vars };
+}
+
+// MCP prompts
+// Reusable workflows hosts can surface as slash commands. Each prompt expands into guidance for
+// the assistant plus a ready-to-send tool call, following misc/claude-agent-instructions.md.
+// Prompt arguments are strings in MCP, so lists are passed comma-separated.
+
+// "a, b,c" -> ['a', 'b', 'c']
+function splitListArg(value) {
+  return String(value ?? '')
+    .split(/[,\n]/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function composeToolCallGuidance({ intro, tool, args, followUp }) {
+  return (
+    `${intro}\n\n` +
+    `Call the \`${tool}\` tool with these arguments:\n\n` +
+    `\`\`\`json\n${JSON.stringify(args, null, 2)}\n\`\`\`\n\n` +
+    `${followUp}`
+  );
+}
+
+const PROMPT_CATALOG = [
+  {
+    name: 'review-file',
+    title: 'Review a file',
+    description: 'Delegate a code review of one file to cursor-agent and get findings with line references.',
+    argsSchema: {
+      file: z.string().min(1).describe('Path of the file to review, relative to the workspace'),
+      focus: z.string().optional().describe('What to concentrate on (e.g. "error handling", "security")'),
+    },
+    build: ({ file, focus }) => composeToolCallGuidance({
+      intro: `Review \`${file}\` without reading it into this conversation; let cursor-agent do the reading.`,
+      tool: 'cursor_agent_analyze_files',
+      args: {
+        paths: [file],
+        prompt:
+          `Review this file. List at most 10 concrete findings (bugs, security issues, missing error handling, ` +
+          `unclear code), each with line number, severity and a one-sentence fix.` +
+          (focus ? ` Focus on: ${focus}.` : ''),
+        output_format: 'markdown',
+      },
+      followUp: 'Summarize the findings for the user in a short list. For fixes, use `cursor_agent_propose_edit` so the diff can be reviewed before it is applied.',
+    }),
+  },
+  {
+    name: 'plan-refactor',
+    title: 'Plan a refactor',
+    description: 'Get a step-by-step refactoring plan for the given goal, scoped to specific paths.',
+    argsSchema: {
+      goal: z.string().min(1).describe('What the refactor should achieve'),
+      paths: z.string().optional().describe('Comma-separated files or directories in scope'),
+      constraints: z.string().optional().describe('Comma-separated constraints (e.g. "no API changes, keep Node 18")'),
+    },
+    build: ({ goal, paths, constraints }) => {
+      const scope = splitListArg(paths);
+      return composeToolCallGuidance({
+        intro: 'Plan the refactor with cursor-agent before touching any code.',
+        tool: 'cursor_agent_plan_task',
+        args: {
+          goal: scope.length ? `${goal} (scope: ${scope.join(', ')})` : goal,
+          constraints: [...splitListArg(constraints), 'Keep behavior unchanged unless the goal says otherwise', 'Each step should be independently testable'],
+          output_format: 'markdown',
+        },
+        followUp: 'Present the numbered plan to the user and confirm before executing steps. Implement steps one file at a time with `cursor_agent_propose_edit`.',
+      });
+    },
+  },
+  {
+    name: 'find-usages',
+    title: 'Find usages of a symbol',
+    description: 'Search the repository for usages of a function, class, variable or string.',
+    argsSchema: {
+      symbol: z.string().min(1).describe('Symbol or text to look for'),
+      include: z.string().optional().describe('Comma-separated globs to search (e.g. "src/**/*.ts")'),
+      exclude: z.string().optional().describe('Comma-separated globs to skip (default: node_modules/**, dist/**)'),
+    },
+    build: ({ symbol, include, exclude }) => {
+      const includeGlobs = splitListArg(include);
+      const excludeGlobs = splitListArg(exclude);
+      return composeToolCallGuidance({
+        intro: `Find where \`${symbol}\` is used.`,
+        tool: 'cursor_agent_search_repo',
+        args: {
+          query: `Usages of ${symbol}: list at most 20 references with file:line and a one-line context; group by file; note definitions separately.`,
+          ...(includeGlobs.length && { include: includeGlobs }),
+          exclude: excludeGlobs.length ? excludeGlobs : ['node_modules/**', 'dist/**'],
+          output_format: 'markdown',
+        },
+        followUp: 'Report the references grouped by file. If the list is truncated, narrow `include` and search again rather than asking for more output.',
+      });
+    },
+  },
+  {
+    name: 'explain-module',
+    title: 'Explain a module',
+    description: 'Get a concise explanation of a module or directory: responsibilities, entry points and dependencies.',
+    argsSchema: {
+      path: z.string().min(1).describe('File or directory of the module'),
+      audience: z.string().optional().describe('Who the explanation is for (e.g. "new contributor")'),
+    },
+    build: ({ path: modulePath, audience }) => composeToolCallGuidance({
+      intro: `Explain \`${modulePath}\` using cursor-agent instead of reading the files here.`,
+      tool: 'cursor_agent_analyze_files',
+      args: {
+        paths: [modulePath],
+        prompt:
+          `Explain this module in under 250 words: its responsibilities, public entry points, key data flow and ` +
+          `dependencies on other modules. Reference files by path.` +
+          (audience ? ` Write for: ${audience}.` : ''),
+        output_format: 'markdown',
+      },
+      followUp: 'Relay the explanation to the user; answer follow-up questions with `cursor_agent_chat` and `continue: true` to reuse the session.',
+    }),
+  },
+];
+
+// Export validation functions and core functions for testing
+export {
+  validateExecutablePath,
+  validateWorkingDirectory,
+  validateFilePath,
+  getSafeEnvironment,
+  invokeCursorAgent,
+  runCursorAgent,
+  recordSession,
+  getSession,
+  listSessions,
+  closeSession,
+  resolveSessionResume,
+  startJob,
+  getJob,
+  cancelJob,
+  describeJob,
+  tryAcquireProcessSlot,
+  waitForProcessSlot,
+  getProcessPoolStats,
+  recordRun,
+  getRun,
+  listRuns,
+  summarizeToolCalls,
+  buildTranscript,
+  getRunEventsPage,
+  getLogSettings,
+  updateLogIndex,
+  readLogIndex,
+  sweepStreamLogs,
+  buildResultEnvelope,
+  RESULT_OUTPUT_SHAPE,
+  jsonSchemaToZod,
+  extractJsonAnswer,
+  runWithResponseSchema,
+  createUnifiedDiff,
+  runFileEdit,
+  storePatch,
+  getPatch,
+  applyPatch,
+  discardPatch,
+  splitDiffByFile,
+  chunkFileDiffs,
+  collectChangeDiff,
+  formatReviewIssues,
+  runChangeReview,
+  loadConfig,
+  resolveSettings,
+  createServer,
+  PROMPT_CATALOG,
+  renderPromptTemplate,
+  buildCustomToolShape,
+  buildToolPrompt,
+  selectModelRoute,
+  estimateTokens,
+  classifyFailureOutput,
+  computeRetryDelay,
+  getCacheSettings,
+  fingerprintPaths,
+  runWithCache,
+  listCacheEntries,
+  clearCache,
+  normalizeUsage,
+  computeRunUsage,
+  recordUsage,
+  summarizeUsage,
+  checkBudget,
+  compileGlob,
+  listWorkspaceFiles,
+  presearchFiles,
+  grepFiles,
+  normalizeSearchGlob,
+  resolveSearchGlobs,
+  expandAnalyzePaths,
+  planAnalyzeChunks,
+  runChunkedAnalysis,
+  inlineFileContents,
+  formatInlineReport,
+  getTransportSettings,
+  startHttpServer,
+};
+
+// Tool input schema
+const RUN_SCHEMA = z.object({
+  prompt: z.string().min(1, 'prompt is required'),
+  // Defaults to the config/profile output_format, then 'text'
+  output_format: z.enum(['text', 'json', 'markdown']).optional(),
+  extra_args: z.array(z.string()).optional(),
+  cwd: z.string().optional(),
+  // Optional override for the executable path if not on PATH
+  executable: z.string().optional(),
+  // Optional model and force for parity with other tools/env overrides
+  model: z.string().optional(),
+  force: z.boolean().optional(),
+  // Optional session continuity (see COMMON)
+  session_id: z.string().optional(),
+  continue: z.boolean().optional(),
+  new_session: z.boolean().optional(),
+  // Named profile from cursor-agent-mcp.config.(json|yaml)
+  profile: z.string().optional(),
+  quality: z.enum(QUALITY_LEVELS).optional(),
+});
+
+// Resolve the executable path for cursor-agent
+function resolveExecutable(explicit) {
+  return validateExecutablePath(explicit);
+}
+
+// Retries
+// Failed runs are classified (see classifyFailureOutput) and retriable classes are re-run with
+// exponential backoff and jitter. Settings: max_retries, retry_base_delay_ms, retry_max_delay_ms
+// and retry_on, from the config file or CURSOR_AGENT_MAX_RETRIES / CURSOR_AGENT_RETRY_BASE_DELAY_MS.
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_BASE_DELAY_MS = 1000;
+const DEFAULT_RETRY_MAX_DELAY_MS = 30000;
+const DEFAULT_RETRY_ON = ['rate_limit', 'network'];
+
+// Checked in order against stderr/stdout of a failed run; the first match wins
+const FAILURE_PATTERNS = [
+  ['rate_limit', /\b429\b|rate[ -]?limit|too many requests|quota exceeded|resource[_ ]exhausted|overloaded/i],
+  ['auth', /\b401\b|unauthori[sz]ed|not (?:logged|signed) in|authentication|invalid api key|api key (?:is )?(?:missing|invalid)|please (?:log|sign) ?in/i],
+  ['network', /ECONNRESET|ECONNREFUSED|ENOTFOUND|ETIMEDOUT|EAI_AGAIN|socket hang up|fetch failed|network (?:error|is unreachable)|connection (?:reset|refused|closed)|\b50[234]\b|bad gateway|service unavailable/i],
+];
+
+// Classifies the output of a run that exited non-zero: rate_limit, auth, network or unknown
+function classifyFailureOutput(output) {
+  const text = String(output ?? '');
+  const match = FAILURE_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : 'unknown';
+}
+
+// Delay before retry number `attempt` (1-based): exponential, capped, with equal jitter
+function computeRetryDelay(attempt, baseMs = DEFAULT_RETRY_BASE_DELAY_MS, maxMs = DEFAULT_RETRY_MAX_DELAY_MS) {
+  const ceiling = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+}
+
+// Resolves after ms, rejecting early when the signal aborts
+function waitForRetry(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+* Spawns cursor-agent (see invokeCursorAgentOnce) and retries transient failures.
+* Failed results carry failure: rate_limit | auth | network | timeout | spawn | budget | unknown.
+* Only classes in retry_on are retried, up to max_retries times, with a progress notification
+* per attempt. Timeouts are never retried for runs that can write (options.writes, or force):
+* the timed-out run may have left a partial change that a retry would build on. When more than one attempt was made the result includes the attempt history as
+* attempts: [{ attempt, failure, exitCode, durationMs, delayMs? }].
+*/
+async function invokeCursorAgent(options) {
+  const { settings } = resolveSettings({ profile: options.profile });
+  const maxRetries = settings.max_retries ?? DEFAULT_MAX_RETRIES;
+  const canWrite = !!options.writes || (typeof options.force === 'boolean' ? options.force : !!settings.force);
+  const retryOn = (settings.retry_on ?? DEFAULT_RETRY_ON).filter((failure) => failure !== 'timeout' || !canWrite);
+  const attempts = [];
+
+  for (let attempt = 1; ; attempt++) {
+    const startedAt = Date.now();
+    let result = await invokeCursorAgentOnce(options);
+    const retry = !!result.failure && retryOn.includes(result.failure) && attempt <= maxRetries;
+    const delayMs = retry
+      ? computeRetryDelay(attempt, settings.retry_base_delay_ms ?? DEFAULT_RETRY_BASE_DELAY_MS, settings.retry_max_delay_ms ?? DEFAULT_RETRY_MAX_DELAY_MS)
+      : undefined;
+    attempts.push({
+      attempt,
+      failure: result.failure ?? null,
+      exitCode: result.exitCode ?? null,
+      durationMs: Date.now() - startedAt,
+      ...(retry && { delayMs }),
+    });
+
+    if (retry) {
+      options.onProgress?.({
+        progress: 0,
+        message: `Attempt ${attempt}/${maxRetries + 1} failed (${result.failure}); retrying in ${delayMs}ms`,
+      });
+      try {
+        await waitForRetry(delayMs, options.signal);
+        continue;
+      } catch (e) {
+        result = { content: [{ type: 'text', text: `cursor-agent cancelled: ${e || 'Request cancelled'} (while waiting to retry)` }], isError: true, cancelled: true };
+      }
+    }
+
+    if (attempts.length === 1 && !retry) return result;
+    if (result.isError && !result.cancelled) {
+      const content = Array.isArray(result.content) ? [...result.content] : [];
+      const note = `\n\nGave up after ${attempts.length} attempts (${attempts.map((a) => a.failure).join(', ')}).`;
+      if (content.length) content[content.length - 1] = { ...content[content.length - 1], text: content[content.length - 1].text + note };
+      result = { ...result, content };
+    }
+    return {
+      ...result,
+      ...(result.structuredContent && { structuredContent: { ...result.structuredContent, attempts } }),
+      attempts,
+    };
+  }
+}
+
+/**
+* Internal executor that spawns cursor-agent with provided argv and common options.
+* Adds --print and --output-format, handles env/model/force, timeouts and idle kill.
+* Supports progress notifications when onProgress callback is provided.
+* Supports cancellation via AbortSignal.
+* Supports session continuity: session_id/continue resume a chat, new_session starts a tracked one.
+* onEvent(event, state) observes every parsed stream-json event (used by background jobs).
+* tool names the calling MCP tool for the run store and stream log index.
+*/
+async function invokeCursorAgentOnce({ argv, output_format = 'text', cwd, executable, model, force, print = true, onProgress, onEvent, signal, session_id, continue: continueSession, new_session, timeout_ms, tool, profile }) {
+ const { profile: profileName, settings } = resolveSettings({ profile });
+ if (tool && settings.allowed_tools && !settings.allowed_tools.includes(tool)) {
+   throw new Error(
+     `Tool "${tool}" is not allowed by ${profileName ? `profile "${profileName}"` : 'the config defaults'} ` +
+     `(allowed: ${settings.allowed_tools.join(', ') || 'none'})`,
+   );
+ }
+ const cmd = resolveExecutable(executable);
+ const resumeSessionId = resolveSessionResume({ session_id, continue: continueSession });
+ // Resumed sessions default to the working directory they were started in
+ const validatedCwd = validateWorkingDirectory(cwd ?? (resumeSessionId ? getSession(resumeSessionId)?.cwd : undefined));
+ const safeEnv = getSafeEnvironment();
+
+ // Compute model/force from args, then env/config settings
+ const userArgs = [...(argv ?? [])];
+ const hasModelFlag = userArgs.some((a) => a === '-m' || a === '--model' || /^(?:-m=|--model=)/.test(String(a)));
+ const effectiveModel = model?.trim?.() || settings.model;
+
+ const hasForceFlag = userArgs.some((a) => a === '-f' || a === '--force');
+ const effectiveForce = typeof force === 'boolean' ? force : !!settings.force;
+
+ // Extract prompt (last non-flag argument) to ensure it's the final argument
+ let promptArg = null;
+ let argsWithoutPrompt = userArgs;
+ if (userArgs.length > 0) {
+   const lastArg = userArgs[userArgs.length - 1];
+   // If last argument doesn't start with '-', treat it as the prompt
+   if (lastArg && typeof lastArg === 'string' && !lastArg.startsWith('-')) {
+     promptArg = lastArg;
+     argsWithoutPrompt = userArgs.slice(0, -1);
+   }
+ }
+
+ // If progress is requested, use stream-json format for parsing.
+ // Session calls also need it: the session id is only reported in stream-json events.
+ const useStreamJson = !!onProgress || !!onEvent || !!resumeSessionId || !!new_session;
+ const finalOutputFormat = useStreamJson ? 'stream-json' : output_format;
+
+ const finalArgv = [
+   ...(print ? ['--print', '--output-format', finalOutputFormat] : []),
+   ...(useStreamJson && print ? ['--stream-partial-output'] : []), // Enable incremental deltas
+   ...(resumeSessionId ? [`--resume=${resumeSessionId}`] : []),
+   ...argsWithoutPrompt,
+   ...(hasForceFlag || !effectiveForce ? [] : ['-f']),
+   ...(hasModelFlag || !effectiveModel ? [] : ['--model', effectiveModel]),
+   ...(promptArg ? [promptArg] : []),
+ ];
+
+ // Budgets are enforced before queueing, so refused calls never spawn
+ const budget = checkBudget({ model: effectiveModel, prompt: promptArg ?? '' });
+ if (budget.refusal) {
+   return { content: [{ type: 'text', text: budget.refusal.message }], isError: true, failure: 'budget', budget: budget.refusal };
+ }
+ for (const message of budget.warnings) {
+   onProgress?.({ progress: 0, message });
+ }
+ const releaseBudget = reserveBudget({ model: effectiveModel, prompt: promptArg ?? '' });
+
+ // Wait for a free process slot; the run timeout below only starts after the slot is granted
+ let releaseSlot = tryAcquireProcessSlot();
+ if (!releaseSlot) {
+   try {
+     releaseSlot = await waitForProcessSlot({ signal, onProgress });
+   } catch (e) {
+     releaseBudget();
+     return {
+       content: [{ type: 'text', text: e.message }],
+       isError: true,
+       ...(e.code === 'QUEUE_CANCELLED' ? { cancelled: true } : { timedOut: true }),
+     };
+   }
+ }
+
+ return new Promise((resolve) => {
+   let settled = false;
+   let out = '';
+   let err = '';
+   let idleTimer = null;
+   let mainTimer = null;
+   let killedByIdle = false;
+
+  // State for stream-json parsing
+  let accumulatedText = '';
+  let toolCount = 0;
+  let partialLine = ''; // Buffer for incomplete JSON lines
+  let pendingAssistantProgress = false; // Track if we have unsent assistant progress
+  let sessionId = resumeSessionId ?? null; // Updated from init/result events when reported
+  let reportedModel = null; // Model reported by the init event (may differ from the requested one)
+  let reportedUsage = null; // Token usage from the result event (or json output), when the CLI reports it
+
+  // Arrays to accumulate progress messages and events for logging
+  const progressMessages = [];
+  const events = [];
+
+  // Pre-compute log file path if we'll be using stream-json
+  const runId = createRunId();
+  const startedAt = new Date();
+  const logSettings = useStreamJson ? getLogSettings() : null;
+  let streamLogFilePath = null;
+  let streamLogFilename = null;
+  if (useStreamJson) {
+    // Generate filename once to ensure consistency (shares the run id used for resources)
+    streamLogFilename = `cursor-agent-stream-${runId}.json${logSettings.compress ? '.gz' : ''}`;
+    streamLogFilePath = path.join(logSettings.dir, streamLogFilename);
+    console.info(`[cursor-mcp] Stream log file: ${streamLogFilePath}`);
+  }
+
+  // Helper to write stream log to the managed log directory (full JSON events for optional inspection)
+  const writeStreamLog = () => {
+    if (!useStreamJson || events.length === 0) return null;
+    try {
+      const lines = events.map(e => JSON.stringify(e));
+      const content = lines.join('\n') + '\n';
+      fs.mkdirSync(logSettings.dir, { recursive: true });
+      if (logSettings.compress) {
+        fs.writeFileSync(streamLogFilePath, zlib.gzipSync(content));
+      } else {
+        fs.writeFileSync(streamLogFilePath, content, 'utf8');
+      }
+      return {
+        path: streamLogFilePath,
+        eventCount: events.length,
+        sizeBytes: Buffer.byteLength(content, 'utf8'),
+        compressed: logSettings.compress,
+      };
+    } catch (e) {
+      if (debugEnv2.DEBUG_CURSOR_MCP) {
+        try {
+          console.error('[cursor-mcp] failed to write stream log:', e);
+        } catch {}
+      }
+      return null;
+    }
+  };
+
+  // Format stream log reference with size info and optional warning
+  const formatStreamLogRef = (streamLog) => {
+    if (!streamLog) return '';
+    const sizeKB = (streamLog.sizeBytes / 1024).toFixed(1);
+    const isLarge = streamLog.eventCount > 50 || streamLog.sizeBytes > 50000;
+    let ref = `\n\n---\nFull stream log: ${streamLog.path} (${streamLog.eventCount} events, ${sizeKB}KB${streamLog.compressed ? ', gzip' : ''})`;
+    if (isLarge) {
+      ref += `\n⚠️ Large log - use semantic search or grep instead of reading entire file if more details are needed`;
+    }
+    if (getRun(runId)) {
+      ref += `\nResources: cursor-agent://runs/${runId}/events (paged), /transcript, /tool-calls`;
+    }
+    return ref;
+  };
+
+  // Register the session turn (if any) and resolve with a uniform result shape
+  const settle = (baseText, isError, details = {}) => {
+    const streamLog = writeStreamLog();
+    const finishedAt = new Date();
+    // Requested model first so ledger rows line up with per-model budgets
+    const usedModel = effectiveModel || reportedModel;
+    // Runs that never started cost nothing
+    const usage = details.failure === 'spawn'
+      ? null
+      : computeRunUsage({ reported: reportedUsage, prompt: promptArg, output: useStreamJson ? accumulatedText : out, model: usedModel });
+    if (usage) recordUsage({ tool, model: usedModel, usage, isError, now: finishedAt });
+    if (useStreamJson && events.length > 0) {
+      const runInfo = {
+        ...(tool && { tool }),
+        status: details.cancelled ? 'cancelled' : details.timedOut ? 'timed_out' : isError ? 'failed' : 'succeeded',
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        model: effectiveModel,
+        exitCode: details.exitCode,
+        sessionId: sessionId ?? undefined,
+      };
+      recordRun({ id: runId, ...runInfo, streamLogFile: streamLog?.path, events: [...events] });
+      if (streamLog) {
+        updateLogIndex(runId, {
+          ...runInfo,
+          file: path.basename(streamLog.path),
+          eventCount: streamLog.eventCount,
+          sizeBytes: streamLog.sizeBytes,
+          compressed: streamLog.compressed,
+        });
+      }
+    }
+    let sessionRef = '';
+    if (sessionId) {
+      recordSession(sessionId, { cwd: validatedCwd, model: effectiveModel, prompt: promptArg ?? undefined, usage });
+      sessionRef = `\n\nSession: ${sessionId} (pass as session_id to continue this conversation)`;
+    }
+    const structured = isStructuredOutputEnabled()
+      ? buildResultEnvelope({
+          text: baseText,
+          isError,
+          details,
+          durationMs: finishedAt - startedAt,
+          model: reportedModel || effectiveModel,
+          events,
+          streamLog,
+          sessionId,
+          runId: getRun(runId) ? runId : null,
+          usage,
+        })
+      : null;
+    resolve({
+      content: [{ type: 'text', text: baseText + sessionRef + formatStreamLogRef(streamLog) }],
+      ...(structured && { structuredContent: structured }),
+      ...(isError && { isError: true }),
+      ...(streamLog && { streamLogFile: streamLog.path }),
+      ...(sessionId && { sessionId }),
+      ...(getRun(runId) && { runId }),
+      ...(usage && { usage }),
+      ...details,
+    });
+  };
+
+   const debugEnv2 = getValidatedEnv();
+   if (debugEnv2.DEBUG_CURSOR_MCP) {
+     try {
+       console.info('[cursor-mcp] spawn:', cmd, ...finalArgv);
+     } catch {}
+   }
+
+   const child = spawn(cmd, finalArgv, {
+     shell: false, // safer across platforms; rely on PATH/PATHEXT
+     cwd: validatedCwd,
+     env: safeEnv,
+   });
+   try { child.stdin?.end(); } catch {}
+
+  // Abort handler for cancellation (defined after child is created)
+  const onAbort = () => {
+    if (settled) return;
+    settled = true;
+    cleanup();
+    try { child.kill('SIGKILL'); } catch {}
+    const reason = signal?.reason || 'Request cancelled';
+    // Include any partial response accumulated before cancellation
+    const partialResponse = (useStreamJson && accumulatedText) ? `\nPartial response:\n${accumulatedText}` : '';
+    settle(`cursor-agent cancelled: ${reason}${partialResponse}`, true, { cancelled: true });
+  };
+
+  const cleanup = () => {
+    if (mainTimer) clearTimeout(mainTimer);
+    if (idleTimer) clearTimeout(idleTimer);
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+  };
+
+  // Check if already aborted before setting up listener
+  if (signal?.aborted) {
+    onAbort();
+    return;
+  }
+
+  // Set up abort listener if signal is provided
+  if (signal) {
+    signal.addEventListener('abort', onAbort);
+  }
+
+   const idleMs = settings.idle_exit_ms ?? 0;
   const scheduleIdleKill = () => {
     if (!idleMs || idleMs <= 0) return;
     if (idleTimer) clearTimeout(idleTimer);
@@ -582,6 +3967,8 @@ async function invokeCursorAgent({ argv, output_format = 'text', cwd, executable
       switch (type) {
         case 'system':
           if (subtype === 'init') {
+            if (event.session_id || event.chat_id) sessionId = event.session_id || event.chat_id;
+            if (event.model) reportedModel = event.model;
             const modelName = event.model || 'unknown';
             const progressMsg = `Initializing cursor-agent (model: ${modelName})...`;
             progressMessages.push({ timestamp, type: 'PROGRESS', message: progressMsg });
@@ -616,16 +4003,8 @@ async function invokeCursorAgent({ argv, output_format = 'text', cwd, executable
             const toolCall = event.tool_call;
 
             // Log the stream log file location when the first tool call starts
-            if (toolCount === 1 && streamLogFilename) {
-              const logPath = streamLogFilePath || (() => {
-                try {
-                  const tempDir = os.tmpdir();
-                  return path.join(tempDir, streamLogFilename);
-                } catch (e) {
-                  return streamLogFilename;
-                }
-              })();
-              console.log(`[cursor-mcp] Stream log file: ${logPath}`);
+            if (toolCount === 1 && streamLogFilePath) {
+              console.log(`[cursor-mcp] Stream log file: ${streamLogFilePath}`);
             }
 
             let progressMsg = '';
@@ -673,6 +4052,8 @@ async function invokeCursorAgent({ argv, output_format = 'text', cwd, executable
         case 'result':
           // Flush any pending assistant progress before result update
           flushPendingAssistantProgress();
+          if (event.session_id) sessionId = event.session_id;
+          reportedUsage = normalizeUsage(event) ?? reportedUsage;
 
           const duration = event.duration_ms || 0;
           const resultProgressMsg = `Completed in ${duration}ms`;
@@ -686,6 +4067,9 @@ async function invokeCursorAgent({ argv, output_format = 'text', cwd, executable
           }
           break;
       }
+      if (onEvent) {
+        onEvent(event, { text: accumulatedText, toolCalls: toolCount, sessionId });
+      }
     } catch (e) {
       // Silently ignore errors in progress handling to avoid breaking the main flow
       if (debugEnv2.DEBUG_CURSOR_MCP) {
@@ -701,7 +4085,7 @@ async function invokeCursorAgent({ argv, output_format = 'text', cwd, executable
      out += chunk;
      scheduleIdleKill();
 
-     if (useStreamJson && onProgress) {
+     if (useStreamJson) {
        // Parse JSON lines from stream-json output
        const data = partialLine + chunk;
        const lines = data.split('\n');
@@ -762,33 +4146,19 @@ async function invokeCursorAgent({ argv, output_format = 'text', cwd, executable
       `Failed to start "${cmd}": ${e?.message || e}\n` +
       `Args: ${JSON.stringify(finalArgv)}\n` +
       (safeEnv.CURSOR_AGENT_PATH ? `CURSOR_AGENT_PATH=${safeEnv.CURSOR_AGENT_PATH}\n` : '');
-    const streamLog = writeStreamLog();
-    const finalText = msg + formatStreamLogRef(streamLog);
-    resolve({
-      content: [{ type: 'text', text: finalText }],
-      isError: true,
-      ...(streamLog && { streamLogFile: streamLog.path })
-    });
+    settle(msg, true, { failure: 'spawn' });
   });
 
    const defaultTimeout = 30000;
-   const timeoutEnv2 = getValidatedEnv();
-   const timeoutMs = timeoutEnv2.CURSOR_AGENT_TIMEOUT_MS ?? defaultTimeout;
+   const timeoutMs = timeout_ms ?? settings.timeout_ms ?? defaultTimeout;
   mainTimer = setTimeout(() => {
     try { child.kill('SIGKILL'); } catch {}
     if (settled) return;
     settled = true;
     cleanup();
-    const streamLog = writeStreamLog();
     // Include any partial response accumulated before timeout
     const partialResponse = (useStreamJson && accumulatedText) ? `\nPartial response:\n${accumulatedText}` : '';
-    const baseText = `cursor-agent timed out after ${timeoutMs}ms${partialResponse}`;
-    const finalText = baseText + formatStreamLogRef(streamLog);
-    resolve({
-      content: [{ type: 'text', text: finalText }],
-      isError: true,
-      ...(streamLog && { streamLogFile: streamLog.path })
-    });
+    settle(`cursor-agent timed out after ${timeoutMs}ms${partialResponse}`, true, { timedOut: true, failure: 'timeout' });
   }, timeoutMs);
 
    child.on('close', (code) => {
@@ -797,7 +4167,7 @@ async function invokeCursorAgent({ argv, output_format = 'text', cwd, executable
      cleanup();
 
      // Process any remaining partial line
-     if (useStreamJson && onProgress && partialLine.trim()) {
+     if (useStreamJson && partialLine.trim()) {
        try {
          const event = JSON.parse(partialLine.trim());
          handleStreamEvent(event);
@@ -811,52 +4181,63 @@ async function invokeCursorAgent({ argv, output_format = 'text', cwd, executable
     if (closeEnv.DEBUG_CURSOR_MCP) {
       try { console.error('[cursor-mcp] exit:', code, 'stdout bytes=', out.length, 'stderr bytes=', err.length); } catch {}
     }
-    const streamLog = writeStreamLog();
+    // Non-streaming JSON output still reports the session id in its final object
+    if (!useStreamJson && output_format === 'json') {
+      try {
+        const parsed = JSON.parse(out.trim());
+        if (!sessionId && typeof parsed?.session_id === 'string') sessionId = parsed.session_id;
+        reportedUsage = normalizeUsage(parsed);
+      } catch {}
+    }
     if (code === 0 || (killedByIdle && out)) {
       // When using stream-json parsing, return only the accumulated final text
       // The full stream is saved to a file for optional inspection
       const baseText = (useStreamJson && accumulatedText)
         ? accumulatedText
         : (out || '(no output)');
-      const finalText = baseText + formatStreamLogRef(streamLog);
-      resolve({
-        content: [{ type: 'text', text: finalText }],
-        ...(streamLog && { streamLogFile: streamLog.path })
-      });
+      settle(baseText, false, { exitCode: code });
     } else {
       // On error, prefer accumulated text if available, otherwise raw output
       const baseText = (useStreamJson && accumulatedText)
         ? `cursor-agent exited with code ${code}\n${accumulatedText}`
         : `cursor-agent exited with code ${code}\n${err || out || '(no output)'}`;
-      const finalText = baseText + formatStreamLogRef(streamLog);
-      resolve({
-        content: [{ type: 'text', text: finalText }],
-        isError: true,
-        ...(streamLog && { streamLogFile: streamLog.path })
-      });
+      settle(baseText, true, { exitCode: code, failure: classifyFailureOutput(err || out) });
     }
    });
+ }).finally(() => {
+   releaseSlot();
+   releaseBudget();
  });
 }
 
 // Back-compat: single-shot run by prompt as positional argument.
 // Accepts either a flat args object or an object with an "arguments" field (some hosts).
-async function runCursorAgent(input, onProgress, signal) {
+// Optional hooks: { onEvent, timeout_ms, tool, writes } are forwarded to invokeCursorAgent; tool
+// and pathCount also feed model routing.
+async function runCursorAgent(input, onProgress, signal, { onEvent, timeout_ms, tool, pathCount, writes } = {}) {
   const source = (input && typeof input === 'object' && input.arguments && typeof input.prompt === 'undefined')
     ? input.arguments
     : input;
 
   const {
     prompt,
-    output_format = 'text',
+    output_format: requestedFormat,
     extra_args,
     cwd,
     executable,
     model,
     force,
+    session_id,
+    continue: continueSession,
+    new_session,
+    profile,
+    quality,
   } = source || {};
 
-  const argv = [...(extra_args ?? []), String(prompt)];
+  // Config/profile extra_args come first so per-call extra_args can override them
+  const { settings } = resolveSettings({ profile });
+  const output_format = requestedFormat ?? settings.output_format ?? 'text';
+  const argv = [...(settings.extra_args ?? []), ...(extra_args ?? []), String(prompt)];
   const usedPrompt = argv.length ? String(argv[argv.length - 1]) : '';
 
   // Optional prompt echo and debug diagnostics
@@ -868,10 +4249,39 @@ async function runCursorAgent(input, onProgress, signal) {
       if (extra_args?.length) console.debug('[cursor-mcp] extra_args:', JSON.stringify(extra_args));
       if (model) console.debug('[cursor-mcp] model:', model);
       if (typeof force === 'boolean') console.debug('[cursor-mcp] force:', String(force));
+      if (session_id) console.debug('[cursor-mcp] session_id:', session_id);
     } catch {}
   }
 
-  const result = await invokeCursorAgent({ argv, output_format, cwd, executable, model, force, onProgress, signal });
+  // An explicit model always wins; otherwise routing may pick a fallback chain
+  const route = model?.trim?.() ? null : selectModelRoute({ tool, prompt: usedPrompt, pathCount, quality });
+  const candidates = route ? route.models : [model];
+  const attempts = [];
+  let result;
+  for (const [index, candidate] of candidates.entries()) {
+    result = await invokeCursorAgent({
+      argv, output_format, cwd, executable, model: candidate, force, onProgress, onEvent, signal,
+      session_id, continue: continueSession, new_session, timeout_ms, tool, profile, writes,
+    });
+    attempts.push({ model: candidate, isError: !!result.isError, exitCode: result.exitCode ?? null });
+    if (index === candidates.length - 1 || !shouldFallBackToNextModel(result)) break;
+    onProgress?.({ progress: 0, message: `Model ${candidate} failed (exit code ${result.exitCode}); trying ${candidates[index + 1]}` });
+  }
+
+  if (route) {
+    const routing = { model: attempts[attempts.length - 1].model, rule: route.rule, quality: route.quality, chain: route.models, attempts };
+    const failed = attempts.slice(0, -1).map((a) => a.model);
+    const note = `\n\nModel: ${routing.model} (routing rule ${route.rule}, quality ${route.quality}` +
+      (failed.length ? `; fell back after ${failed.join(', ')} failed)` : ')');
+    const content = Array.isArray(result.content) ? [...result.content] : [];
+    if (content.length) content[content.length - 1] = { ...content[content.length - 1], text: content[content.length - 1].text + note };
+    result = {
+      ...result,
+      content,
+      ...(result.structuredContent && { structuredContent: { ...result.structuredContent, model: routing.model, routing } }),
+      routing,
+    };
+  }
 
   // Echo prompt either when env is set or when caller provided echo_prompt: true (if host forwards unknown args it's fine)
   const echoEnv = getValidatedEnv();
@@ -885,6 +4295,317 @@ async function runCursorAgent(input, onProgress, signal) {
   return result;
 }
 
+/**
+* Runs a prompt whose answer must match a JSON Schema.
+* The schema is appended to the prompt; invalid answers are re-asked with the validation
+* errors up to maxRetries times, in the first attempt's session when it reported one.
+* Resolves with the parsed JSON (pretty-printed, followed by the run's session and stream log
+* footers, and as `response`) or a validation failure result. Run errors (timeouts, exit codes) are returned unchanged.
+*/
+async function runWithResponseSchema(input, responseSchema, { maxRetries = 2, onProgress, signal, tool, pathCount } = {}) {
+  const validator = jsonSchemaToZod(responseSchema);
+  // The CLI's json output format wraps the answer in its own envelope; we want the bare answer
+  const baseInput = { ...input, output_format: 'text' };
+  const basePrompt = String(input.prompt) + composeSchemaInstruction(responseSchema);
+  const attempts = maxRetries + 1;
+  let runInput = { ...baseInput, prompt: basePrompt };
+  let lastErrors = [];
+  let lastAnswer = '';
+  let footers = '';
+  let result;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    result = await runCursorAgent(runInput, onProgress, signal, { tool, pathCount });
+    if (result.isError) return result;
+
+    const content = Array.isArray(result.content) ? result.content : [];
+    // The answer is the last item (echo_prompt may prepend the prompt)
+    const text = content.length ? String(content[content.length - 1].text ?? '') : '';
+    lastAnswer = stripRunFooters(text);
+    footers = (text.match(RUN_FOOTER_PATTERN) ?? []).join('');
+    try {
+      const parsed = validator.safeParse(extractJsonAnswer(lastAnswer));
+      if (parsed.success) {
+        const echoed = content.slice(0, -1);
+        return {
+          ...result,
+          content: [...echoed, { type: 'text', text: JSON.stringify(parsed.data, null, 2) + footers }],
+          ...(result.structuredContent && { structuredContent: { ...result.structuredContent, response: parsed.data } }),
+          response: parsed.data,
+          schemaAttempts: attempt,
+        };
+      }
+      lastErrors = formatZodIssues(parsed.error);
+    } catch (e) {
+      lastErrors = [e?.message || String(e)];
+    }
+
+    if (attempt < attempts) {
+      if (onProgress) {
+        onProgress({ progress: 0, message: `Response did not match response_schema (attempt ${attempt}/${attempts}); re-asking` });
+      }
+      const rejection =
+        'Your previous answer was rejected because it did not match the schema:\n' +
+        lastErrors.map((e) => `- ${e}`).join('\n');
+      if (result.sessionId) {
+        // The session already holds the request and the rejected answer
+        runInput = {
+          ...baseInput,
+          prompt: `${rejection}\nReturn a corrected JSON value only.`,
+          session_id: result.sessionId,
+          continue: undefined,
+          new_session: undefined,
+        };
+      } else {
+        const preview = lastAnswer.length > 2000 ? `${lastAnswer.slice(0, 2000)}...` : lastAnswer;
+        runInput = { ...baseInput, prompt: `${basePrompt}\n\n${rejection}\nPrevious answer:\n${preview}\nReturn a corrected JSON value only.` };
+      }
+    }
+  }
+
+  return {
+    ...result,
+    content: [{
+      type: 'text',
+      text:
+        `Response did not match response_schema after ${attempts} attempt(s):\n` +
+        lastErrors.map((e) => `- ${e}`).join('\n') +
+        `\nLast response:\n${lastAnswer}${footers}`,
+    }],
+    isError: true,
+    ...(result.structuredContent && { structuredContent: { ...result.structuredContent, isError: true } }),
+    schemaAttempts: attempts,
+  };
+}
+
+/**
+* Runs an edit against a single file and reports what actually changed on disk.
+* The file is snapshotted before the run and compared afterwards; writeToolCall events
+* identify any other files the agent wrote. With dryRun the snapshot is restored after the
+* diff is captured, whatever the model did. Resolves with the run result plus an `edit` report;
+* onCapture({ label, before, after, diff }) receives the snapshots when the file changed.
+*/
+async function runFileEdit(input, { file, dryRun = false, onProgress, signal, tool, onCapture } = {}) {
+  const label = path.relative(process.cwd(), file).split(path.sep).join('/') || path.basename(file);
+  const before = snapshotFile(file);
+  const writeBase = input.cwd ? path.resolve(input.cwd) : process.cwd();
+  const written = new Set();
+  const onEvent = (event) => {
+    const writePath = event?.type === 'tool_call' ? event.tool_call?.writeToolCall?.args?.path : undefined;
+    if (writePath) written.add(path.resolve(writeBase, String(writePath)));
+  };
+
+  const result = await runCursorAgent(input, onProgress, signal, { onEvent, tool, writes: !dryRun });
+
+  const after = snapshotFile(file);
+  const diff = diffSnapshots(before, after, label);
+  const changed = diff !== '';
+  if (changed && onCapture) onCapture({ label, before, after, diff });
+  let restored = false;
+  if (changed && dryRun) {
+    restoreSnapshot(file, before);
+    restored = true;
+  }
+  written.delete(file);
+  const otherFilesWritten = [...written].map((p) => path.relative(process.cwd(), p).split(path.sep).join('/'));
+
+  const edit = {
+    file: label,
+    changed,
+    applied: changed && !dryRun,
+    restored,
+    diff,
+    ...countDiffLines(diff),
+    otherFilesWritten,
+  };
+
+  let summary = changed
+    ? `Diff for ${label} (${dryRun ? 'dry run; original restored' : 'applied'}):\n${diff}`
+    : `No changes were made to ${label}.`;
+  if (otherFilesWritten.length) {
+    summary += `\nWarning: cursor-agent also wrote files outside the edit target (not restored): ${otherFilesWritten.join(', ')}`;
+  }
+  const content = Array.isArray(result.content) ? result.content : [];
+  return {
+    ...result,
+    content: [...content, { type: 'text', text: summary }],
+    ...(result.structuredContent && { structuredContent: { ...result.structuredContent, edit } }),
+    edit,
+  };
+}
+
+function composeEditPrompt({ file, instruction, prompt, dryRun, contents = '' }) {
+  return (
+    `Edit the repository file:\n` +
+    `- File: ${String(file)}\n` +
+    `- Instruction: ${String(instruction)}\n` +
+    `- Write the change directly to this file and do not modify any other file; the server captures the diff.\n` +
+    (dryRun ? `- This is a dry run: the original file is restored after the diff is captured.\n` : ``) +
+    (prompt ? `- Additional context: ${String(prompt)}\n` : ``) +
+    (contents ? `\n${contents}` : ``)
+  );
+}
+
+/**
+* Reviews a git diff (see collectChangeDiff) chunk by chunk with a fixed issue schema and merges
+* the findings. Resolves with a tool result whose text lists issues per file; the merged
+* { summary, issues, files, chunks } is also exposed as structuredContent.response.
+*/
+async function runChangeReview(input, { staged, range, commits, focus, maxChunkBytes, onProgress, signal, tool } = {}) {
+  const cwd = validateWorkingDirectory(input.cwd);
+  const { description, files } = await collectChangeDiff({ staged, range, commits, cwd });
+  if (!files.length) {
+    const text = `No changes to review (${description}).`;
+    return {
+      content: [{ type: 'text', text }],
+      ...(isStructuredOutputEnabled() && { structuredContent: buildResultEnvelope({ text, isError: false, durationMs: 0 }) }),
+    };
+  }
+
+  const chunks = chunkFileDiffs(files, maxChunkBytes);
+  const summaries = [];
+  const issues = [];
+  let result;
+  for (const [index, chunk] of chunks.entries()) {
+    if (onProgress && chunks.length > 1) {
+      onProgress({ progress: index, total: chunks.length, message: `Reviewing part ${index + 1}/${chunks.length} (${chunk.files.length} file(s))` });
+    }
+    const prompt = composeReviewPrompt({ description, chunk, index: index + 1, total: chunks.length, focus });
+    result = await runWithResponseSchema({ ...input, cwd, prompt }, REVIEW_RESPONSE_SCHEMA, { onProgress, signal, tool });
+    if (result.isError) {
+      if (chunks.length === 1) return result;
+      const reason = result.content?.at(-1)?.text ?? '';
+      return { ...result, content: [{ type: 'text', text: `Review failed on part ${index + 1}/${chunks.length}: ${reason}` }] };
+    }
+    summaries.push(result.response.summary);
+    issues.push(...result.response.issues);
+  }
+
+  const review = { summary: summaries.join('\n'), issues, files: files.map((f) => f.file), chunks: chunks.length };
+  const text =
+    `Reviewed ${description}: ${files.length} file(s)` +
+    (chunks.length > 1 ? ` in ${chunks.length} parts` : ``) +
+    `, ${issues.length} issue(s).\n\n${review.summary}\n\n${formatReviewIssues(issues)}`;
+  return {
+    ...result,
+    content: [{ type: 'text', text }],
+    ...(result.structuredContent && { structuredContent: { ...result.structuredContent, text, response: review } }),
+    response: review,
+    review,
+  };
+}
+
+// Cuts text to at most maxBytes at a line boundary, noting how much was left out
+function truncateMergePart(text, maxBytes) {
+  const bytes = Buffer.byteLength(text);
+  if (bytes <= maxBytes) return text;
+  const marker = (omitted) => `\n[truncated: ${omitted} bytes of this chunk's notes not shown]`;
+  const head = Buffer.from(text).subarray(0, Math.max(0, maxBytes - Buffer.byteLength(marker(bytes)))).toString('utf8');
+  const kept = head.includes('\n') ? head.slice(0, head.lastIndexOf('\n')) : head.replace(/\uFFFD$/, '');
+  return kept + marker(bytes - Buffer.byteLength(kept));
+}
+
+/**
+ * Composes the prompt of the merge run. The chunk answers share what MAX_ANALYZE_MERGE_BYTES leaves
+ * after the instructions: answers under an equal share are kept whole and the rest is split evenly
+ * among the longer ones, which are truncated to their share.
+ */
+function composeAnalyzeMergePrompt({ prompt, fileCount, parts }) {
+  const header =
+    `The following are partial analyses of ${fileCount} files, produced in ${parts.length} chunks.\n` +
+    `Merge them into one answer` + (prompt ? ` to: ${String(prompt)}` : '') + `\n` +
+    `Remove duplicates, keep file paths and line references, and do not mention the chunks.\n\n`;
+  const headings = parts.map((part, i) => `## Chunk ${i + 1}/${parts.length} (${part.files.length} files)\n\n`);
+  const texts = parts.map((part) => stripRunFooters(part.text).trim());
+  let available = MAX_ANALYZE_MERGE_BYTES - Buffer.byteLength(header) -
+    headings.reduce((sum, h) => sum + Buffer.byteLength(h) + 2, 0);
+  const shares = new Array(texts.length);
+  const order = texts.map((text, i) => ({ i, bytes: Buffer.byteLength(text) })).sort((a, b) => a.bytes - b.bytes);
+  order.forEach(({ i, bytes }, rank) => {
+    shares[i] = Math.max(0, Math.min(bytes, Math.floor(available / (order.length - rank))));
+    available -= shares[i];
+  });
+  return header + texts.map((text, i) => headings[i] + truncateMergePart(text, shares[i])).join('\n\n');
+}
+
+/**
+ * Analyzes chunks (see planAnalyzeChunks) in parallel runs, then merges their answers with a final
+ * run that also applies response_schema. The chunk plan and each finished chunk are reported as
+ * progress notifications; the process pool limits how many chunks run at once.
+ */
+async function runChunkedAnalysis(args, input, chunks, { onProgress, signal, tool } = {}) {
+  const fileCount = chunks.reduce((sum, c) => sum + c.files.length, 0);
+  const totalTokens = chunks.reduce((sum, c) => sum + c.tokens, 0);
+  const total = chunks.length + 1;
+  onProgress?.({
+    progress: 0,
+    total,
+    message:
+      `Analyzing ${fileCount} files (~${totalTokens} tokens) in ${chunks.length} parallel chunks of up to ` +
+      `${args.max_chunk_tokens ?? DEFAULT_ANALYZE_CHUNK_TOKENS} tokens: ` +
+      chunks.map((c, i) => `${i + 1}) ${c.files.length} files, ~${c.tokens} tokens`).join('; '),
+  });
+
+  // A failed chunk cancels the others: without it there is no answer to merge
+  const controller = new AbortController();
+  const abortChunks = () => controller.abort(signal?.reason);
+  if (signal?.aborted) abortChunks();
+  signal?.addEventListener('abort', abortChunks, { once: true });
+
+  let finished = 0;
+  const inlineReports = [];
+  const results = await Promise.all(chunks.map(async (chunk, index) => {
+    const note =
+      `This is chunk ${index + 1}/${chunks.length} of ${fileCount} files analyzed in parallel; cover only the paths listed above. ` +
+      `Your notes will be merged with the other chunks.`;
+    const { prompt, vars } = buildToolPrompt(tool, {
+      paths: chunk.files.map((f) => f.path),
+      prompt: args.prompt ? `${args.prompt}\n${note}` : note,
+      inline: args.inline,
+      inline_max_bytes: args.inline_max_bytes,
+    });
+    inlineReports.push(vars.inlined);
+    if (controller.signal.aborted) {
+      return { content: [{ type: 'text', text: 'cursor-agent cancelled: another chunk failed' }], isError: true, cancelled: true };
+    }
+    // Chunk answers only feed the merge run, so they are always plain text
+    const result = await runCursorAgent({ ...input, prompt, output_format: 'text' }, onProgress, controller.signal, { tool, pathCount: chunk.files.length });
+    if (result.isError && !controller.signal.aborted) controller.abort('another chunk failed');
+    finished++;
+    onProgress?.({ progress: finished, total, message: `Chunk ${index + 1}/${chunks.length} ${result.isError ? 'failed' : 'done'} (${finished}/${chunks.length} finished)` });
+    return result;
+  }));
+  signal?.removeEventListener('abort', abortChunks);
+
+  // Report the chunk that failed rather than those it cancelled
+  const failedIndex = results.findIndex((r) => r.isError && !r.cancelled);
+  const failed = failedIndex !== -1 ? failedIndex : results.findIndex((r) => r.isError);
+  if (failed !== -1) {
+    const reason = stripRunFooters(results[failed].content?.at(-1)?.text);
+    return { ...results[failed], content: [{ type: 'text', text: `Analysis failed on chunk ${failed + 1}/${chunks.length}: ${reason}` }] };
+  }
+
+  onProgress?.({ progress: chunks.length, total, message: `Merging ${chunks.length} chunk analyses` });
+  const parts = results.map((result, i) => ({ files: chunks[i].files, text: result.content.map((c) => c.text).join('\n') }));
+  const mergeInput = { ...input, prompt: composeAnalyzeMergePrompt({ prompt: args.prompt, fileCount, parts }) };
+  const merged = args.response_schema
+    ? await runWithResponseSchema(mergeInput, args.response_schema, { maxRetries: args.max_schema_retries, onProgress, signal, tool })
+    : await runCursorAgent(mergeInput, onProgress, signal, { tool });
+  if (merged.isError) {
+    return { ...merged, content: [{ type: 'text', text: `Merging the chunk analyses failed: ${stripRunFooters(merged.content?.at(-1)?.text)}` }] };
+  }
+  const result = {
+    ...merged,
+    content: [{ type: 'text', text: `Analyzed ${fileCount} files (~${totalTokens} tokens) in ${chunks.length} chunks:` }, ...merged.content],
+    chunks: chunks.map((c) => ({ files: c.files.length, tokens: c.tokens })),
+  };
+  // Each chunk inlines its own files within the byte cap
+  return withInlineReport(result, args.inline ? {
+    inlined: inlineReports.flatMap((r) => r.inlined),
+    referenced: inlineReports.flatMap((r) => r.referenced),
+  } : null);
+}
+
 // Helper to create progress callback from extra context
 function createProgressCallback(extra) {
   const progressToken = extra?._meta?.progressToken;
@@ -920,41 +4641,10 @@ function createProgressCallback(extra) {
 // Use validated EXECUTING_CLIENT environment variable
 const executingClient = getValidatedEnv().EXECUTING_CLIENT;
 
-/**
-* Create MCP server and register a suite of cursor-agent tools.
-* We expose multiple verbs for better discoverability in hosts (chat/edit/analyze/search/plan),
-* plus the legacy cursor_agent_run for back-compat and a raw escape hatch.
-*/
-const server = new McpServer(
- {
-   name: 'cursor-agent',
-   version: '1.1.0',
-   description: 'MCP wrapper for cursor-agent CLI (multi-tool: chat/edit/analyze/search/plan/raw)',
- },
- {
-   instructions:
-     executingClient === 'cursor'
-       ? [
-           'Tools:',
-           '- cursor_agent_chat: chat with a prompt; optional model/force/format.',
-           '- cursor_agent_raw: pass raw argv directly to cursor-agent; set print=false to avoid implicit --print.',
-         ].join('\n')
-       : [
-           'Tools:',
-           '- cursor_agent_chat: chat with a prompt; optional model/force/format.',
-           '- cursor_agent_edit_file: prompt-based file edit wrapper; you provide file and instruction.',
-           '- cursor_agent_analyze_files: prompt-based analysis of one or more paths.',
-           '- cursor_agent_search_repo: prompt-based code search with include/exclude globs.',
-           '- cursor_agent_plan_task: prompt-based planning given a goal and optional constraints.',
-           '- cursor_agent_raw: pass raw argv directly to cursor-agent; set print=false to avoid implicit --print.',
-           '- cursor_agent_run: legacy single-shot chat (prompt as positional).',
-         ].join('\n'),
- },
-);
-
 // Common shape used by multiple schemas
 const COMMON = {
- output_format: z.enum(['text', 'json', 'markdown']).default('text'),
+ // Defaults to the config/profile output_format, then 'text'
+ output_format: z.enum(['text', 'json', 'markdown']).optional(),
  extra_args: z.array(z.string()).optional(),
  cwd: z.string().optional(),
  executable: z.string().optional(),
@@ -962,8 +4652,46 @@ const COMMON = {
  force: z.boolean().optional(),
  // When true, the server will prepend the effective prompt to the tool output (useful for Claude debugging)
  echo_prompt: z.boolean().optional(),
+ // Session continuity: resume a previous conversation by id, or the most recent one
+ session_id: z.string().optional(),
+ continue: z.boolean().optional(),
+ // Start a tracked session even without progress streaming (the id is returned in the result)
+ new_session: z.boolean().optional(),
+ // Named profile from cursor-agent-mcp.config.(json|yaml); defaults to the config's default_profile
+ profile: z.string().optional(),
+ // Model routing hint when no model is given (see routing in the config file)
+ quality: z.enum(QUALITY_LEVELS).optional(),
+};
+
+// Optional JSON-Schema-constrained answers (analyze/search/plan)
+const RESPONSE_SCHEMA_ARGS = {
+ // JSON Schema the answer must match; the parsed JSON is returned
+ response_schema: z.record(z.any()).optional(),
+ // How many times to re-ask with validation errors (default 2)
+ max_schema_retries: z.number().int().min(0).max(5).optional(),
+};
+
+// Response cache control (analyze/search); only used when CURSOR_AGENT_CACHE is enabled
+const CACHE_ARGS = {
+  // bypass: neither read nor write the cache; refresh: re-run and overwrite the cached entry
+  cache: z.enum(['bypass', 'refresh']).optional(),
+};
+
+// Embed file contents in the prompt instead of only listing paths (analyze/edit)
+const INLINE_ARGS = {
+  // true: inline up to the byte cap, truncating the file that crosses it; auto: only files that fit whole
+  inline: z.union([z.boolean(), z.literal('auto')]).optional(),
+  // Cap on the rendered inline block (default and max 98304 bytes), lowered to what the rest of the prompt leaves
+  inline_max_bytes: z.number().int().min(1000).max(MAX_INLINE_BLOCK_BYTES).optional(),
 };
 
+const CACHE_CLEAR_SCHEMA = z.object({
+  // Only entries of this tool (e.g. cursor_agent_search_repo)
+  tool: z.string().optional(),
+  // Only entries past their TTL
+  expired_only: z.boolean().optional(),
+});
+
 // Schemas
 const CHAT_SCHEMA = z.object({
  prompt: z.string().min(1, 'prompt is required'),
@@ -977,12 +4705,31 @@ const EDIT_FILE_SCHEMA = z.object({
  dry_run: z.boolean().optional(),
  // optional free-form prompt to pass if the CLI supports one
  prompt: z.string().optional(),
+ ...INLINE_ARGS,
  ...COMMON,
 });
 
+const PROPOSE_EDIT_SCHEMA = z.object({
+  file: z.string().min(1, 'file is required'),
+  instruction: z.string().min(1, 'instruction is required'),
+  prompt: z.string().optional(),
+  ...INLINE_ARGS,
+  ...COMMON,
+});
+
+const PATCH_ID_SCHEMA = z.object({
+  patch_id: z.string().min(1, 'patch_id is required'),
+});
+
 const ANALYZE_FILES_SCHEMA = z.object({
+  // Files, directories or globs
   paths: z.union([z.string().min(1), z.array(z.string().min(1)).min(1)]),
   prompt: z.string().optional(),
+  // Larger sets are split into chunks analyzed in parallel and merged (default 40000)
+  max_chunk_tokens: z.number().int().min(1000).max(500000).optional(),
+  ...INLINE_ARGS,
+  ...CACHE_ARGS,
+  ...RESPONSE_SCHEMA_ARGS,
   ...COMMON,
 });
 
@@ -990,15 +4737,90 @@ const SEARCH_REPO_SCHEMA = z.object({
   query: z.string().min(1, 'query is required'),
   include: z.union([z.string(), z.array(z.string())]).optional(),
   exclude: z.union([z.string(), z.array(z.string())]).optional(),
+  // literal/regex: pre-search the matching files locally and pass the ranked candidates to the model
+  mode: z.enum(SEARCH_MODES).optional(),
+  max_candidates: z.number().int().min(1).max(200).optional(),
+  ...CACHE_ARGS,
+  ...RESPONSE_SCHEMA_ARGS,
   ...COMMON,
 });
 
+const GREP_SCHEMA = z.object({
+  pattern: z.string().min(1, 'pattern is required'),
+  mode: z.enum(['literal', 'regex']).optional(),
+  ignore_case: z.boolean().optional(),
+  include: z.union([z.string(), z.array(z.string())]).optional(),
+  exclude: z.union([z.string(), z.array(z.string())]).optional(),
+  // Lines of context before and after each match (default 2)
+  context_lines: z.number().int().min(0).max(10).optional(),
+  page: z.number().int().min(1).optional(),
+  page_size: z.number().int().min(1).max(500).optional(),
+  cwd: z.string().optional(),
+});
+
 const PLAN_TASK_SCHEMA = z.object({
  goal: z.string().min(1, 'goal is required'),
  constraints: z.array(z.string()).optional(),
+ ...RESPONSE_SCHEMA_ARGS,
  ...COMMON,
 });
 
+const REVIEW_CHANGES_SCHEMA = z.object({
+  // Review staged changes (git diff --cached)
+  staged: z.boolean().optional(),
+  // Commit range: base..head or base...head
+  range: z.string().optional(),
+  // Individual commits, reviewed patch by patch
+  commits: z.array(z.string().min(1)).optional(),
+  // Extra review instructions (e.g. "security only")
+  focus: z.string().optional(),
+  max_chunk_bytes: z.number().int().min(1000).max(120000).optional(),
+  ...COMMON,
+});
+
+const JOB_START_SCHEMA = z.object({
+  prompt: z.string().min(1, 'prompt is required'),
+  // Overrides CURSOR_AGENT_JOB_TIMEOUT_MS for this job
+  timeout_ms: z.number().int().positive().optional(),
+  ...COMMON,
+});
+
+const JOB_ID_SCHEMA = z.object({
+  job_id: z.string().min(1, 'job_id is required'),
+});
+
+const JOB_STATUS_SCHEMA = z.object({
+  job_id: z.string().min(1, 'job_id is required'),
+  // Include the text accumulated so far
+  include_text: z.boolean().optional(),
+});
+
+const RENDER_PROMPT_SCHEMA = z.object({
+  tool: z.enum(Object.keys(PROMPT_TEMPLATE_TOOLS)),
+  // The arguments the tool would be called with
+  arguments: z.record(z.any()),
+});
+
+const USAGE_REPORT_SCHEMA = z.object({
+  // Number of UTC days to include, counting today (default 7)
+  days: z.number().int().min(1).max(USAGE_LEDGER_RETENTION_DAYS).optional(),
+  tool: z.string().optional(),
+  model: z.string().optional(),
+});
+
+const CONFIG_SCHEMA = z.object({
+  // Profile to resolve effective settings for (defaults to default_profile)
+  profile: z.string().optional(),
+});
+
+const SESSION_LIST_SCHEMA = z.object({
+  include_closed: z.boolean().optional(),
+});
+
+const SESSION_ID_SCHEMA = z.object({
+  session_id: z.string().min(1, 'session_id is required'),
+});
+
 const RAW_SCHEMA = z.object({
   // raw argv to pass after common flags; e.g., ["--help"] or ["subcmd","--flag"]
   argv: z.array(z.string()).min(1, 'argv must contain at least one element'),
@@ -1006,165 +4828,976 @@ const RAW_SCHEMA = z.object({
   ...COMMON,
 });
 
-// Tools
-server.tool(
-  'cursor_agent_chat',
-  'Chat with cursor-agent using a prompt and optional model/force/output_format.',
-  CHAT_SCHEMA.shape,
-  async (args, extra) => {
-    try {
-      // Normalize prompt in case the host nests under "arguments"
-      const prompt =
-        (args && typeof args === 'object' && 'prompt' in args ? args.prompt : undefined) ??
-        (args && typeof args === 'object' && args.arguments && typeof args.arguments === 'object' ? args.arguments.prompt : undefined);
-
-      const flat = {
-        ...(args && typeof args === 'object' && args.arguments && typeof args.arguments === 'object' ? args.arguments : args),
-        prompt,
-      };
+// Run resources: stream logs of recent runs, readable without filesystem access
+const jsonResource = (uri, value) => ({
+  contents: [{ uri: uri.href, mimeType: 'application/json', text: JSON.stringify(value, null, 2) }],
+});
 
-      const onProgress = createProgressCallback(extra);
-      const signal = extra?.signal;
-      return await runCursorAgent(flat, onProgress, signal);
-    } catch (e) {
-      return { content: [{ type: 'text', text: `Invalid params: ${e?.message || e}` }], isError: true };
+const requireRun = (runId) => {
+  const run = getRun(String(runId));
+  if (!run) throw new Error(`Unknown run: ${runId}`);
+  return run;
+};
+
+/**
+* Creates an MCP server with the full suite of cursor-agent tools and run resources.
+* stdio uses a single instance; the HTTP transport builds one per client session, each with its
+* own registries (see createRegistries). Without registries the default ones are used.
+* We expose multiple verbs for better discoverability in hosts (chat/edit/analyze/search/plan),
+* plus the legacy cursor_agent_run for back-compat and a raw escape hatch.
+*/
+function createServer({ registries = defaultRegistries } = {}) {
+  const server = new McpServer(
+   {
+     name: 'cursor-agent',
+     version: '1.1.0',
+     description: 'MCP wrapper for cursor-agent CLI (multi-tool: chat/edit/analyze/search/plan/raw)',
+   },
+   {
+     instructions:
+       executingClient === 'cursor'
+         ? [
+             'Tools:',
+             '- cursor_agent_chat: chat with a prompt; optional model/force/format.',
+             '- cursor_agent_raw: pass raw argv directly to cursor-agent; set print=false to avoid implicit --print.',
+             '- cursor_agent_session_list/get/close: manage resumable sessions (pass session_id or continue: true to any tool).',
+             '- cursor_agent_config: show merged config files, profiles and effective settings (select with profile).',
+             '- cursor_agent_job_start/status/result/cancel: run long chats in the background and poll for results.',
+             '- cursor_agent_usage_report: token usage and spend from the local ledger by day, tool and model.',
+           ].join('\n')
+         : [
+             'Tools:',
+             '- cursor_agent_chat: chat with a prompt; optional model/force/format.',
+             '- cursor_agent_edit_file: file edit with instruction; returns a unified diff and restores the file unless apply is true.',
+             '- cursor_agent_propose_edit/apply_patch/discard_patch: two-phase edit; review the stored diff before it touches disk.',
+             '- cursor_agent_analyze_files: prompt-based analysis of one or more paths.',
+             '- cursor_agent_search_repo: prompt-based code search with include/exclude globs.',
+             '- cursor_agent_grep: local literal/regex search with include/exclude globs; no model call, paginated matches.',
+             '- cursor_agent_plan_task: prompt-based planning given a goal and optional constraints.',
+             '- cursor_agent_review_changes: review staged changes, a commit range or commits; returns issues with file/line.',
+             '- cursor_agent_raw: pass raw argv directly to cursor-agent; set print=false to avoid implicit --print.',
+             '- cursor_agent_run: legacy single-shot chat (prompt as positional).',
+             '- cursor_agent_session_list/get/close: manage resumable sessions (pass session_id or continue: true to any tool).',
+             '- cursor_agent_config: show merged config files, profiles and effective settings (select with profile).',
+             '- cursor_agent_job_start/status/result/cancel: run long chats in the background and poll for results.',
+             '- cursor_agent_render_prompt: show the prompt a verb tool would send, including config overrides, without running it.',
+             '- cursor_agent_cache_list/cache_clear: inspect or clear the analyze/search response cache.',
+             '- cursor_agent_usage_report: token usage and spend from the local ledger by day, tool and model.',
+           ].join('\n'),
+   },
+  );
+
+  // Tool, resource and prompt callbacks run with this server's registries (sessions, jobs, runs,
+  // patches), and so does the work they start, such as background jobs. The callback is the last
+  // argument of every registration method.
+  const scoped = (callback) => (...args) => registryScope.run(registries, () => callback(...args));
+  for (const method of ['tool', 'registerTool', 'resource', 'registerPrompt']) {
+    const register = server[method].bind(server);
+    server[method] = (...args) => register(...args.slice(0, -1), scoped(args.at(-1)));
+  }
+
+  // Registers a tool that runs cursor-agent, declaring the structured result schema when enabled
+  function registerRunTool(name, description, inputShape, handler) {
+    if (!isStructuredOutputEnabled()) {
+      return server.tool(name, description, inputShape, handler);
     }
-  },
-);
-
-// Raw escape hatch for power-users and forward compatibility
-server.tool(
- 'cursor_agent_raw',
- 'Advanced: provide raw argv array to pass after common flags (e.g., ["search","--query","foo"]).',
- RAW_SCHEMA.shape,
- async (args, extra) => {
-   try {
-     const { argv, output_format, cwd, executable, model, force } = args;
-     // For raw calls we disable implicit --print to allow commands like "--help"
-     const onProgress = createProgressCallback(extra);
-     const signal = extra?.signal;
-     return await invokeCursorAgent({ argv, output_format, cwd, executable, model, force, print: false, onProgress, signal });
-   } catch (e) {
-     return { content: [{ type: 'text', text: `Invalid params: ${e?.message || e}` }], isError: true };
-   }
- },
-);
+    return server.registerTool(name, { description, inputSchema: inputShape, outputSchema: RESULT_OUTPUT_SHAPE }, handler);
+  }
 
-// Register additional tools only when not called by cursor
-if (executingClient !== 'cursor') {
-  server.tool(
-    'cursor_agent_edit_file',
-    'Edit a file with an instruction. Prompt-based wrapper; no CLI subcommand required.',
-    EDIT_FILE_SCHEMA.shape,
+  // Tools
+  registerRunTool(
+    'cursor_agent_chat',
+    'Chat with cursor-agent using a prompt and optional model/force/output_format.',
+    CHAT_SCHEMA.shape,
     async (args, extra) => {
       try {
-        const { file, instruction, apply, dry_run, prompt, output_format, cwd, executable, model, force, extra_args } = args;
-        const validatedFile = validateFilePath(file);
-        const composedPrompt =
-          `Edit the repository file:\n` +
-          `- File: ${String(validatedFile)}\n` +
-          `- Instruction: ${String(instruction)}\n` +
-          (apply ? `- Apply changes if safe.\n` : `- Propose a patch/diff without applying.\n`) +
-          (dry_run ? `- Treat as dry-run; do not write to disk.\n` : ``) +
-          (prompt ? `- Additional context: ${String(prompt)}\n` : ``);
+        // Normalize prompt in case the host nests under "arguments"
+        const prompt =
+          (args && typeof args === 'object' && 'prompt' in args ? args.prompt : undefined) ??
+          (args && typeof args === 'object' && args.arguments && typeof args.arguments === 'object' ? args.arguments.prompt : undefined);
+
+        const flat = {
+          ...(args && typeof args === 'object' && args.arguments && typeof args.arguments === 'object' ? args.arguments : args),
+          prompt,
+        };
+
         const onProgress = createProgressCallback(extra);
         const signal = extra?.signal;
-        return await runCursorAgent({ prompt: composedPrompt, output_format, extra_args, cwd, executable, model, force }, onProgress, signal);
+        return await runCursorAgent(flat, onProgress, signal, { tool: 'cursor_agent_chat' });
       } catch (e) {
         return { content: [{ type: 'text', text: `Invalid params: ${e?.message || e}` }], isError: true };
       }
     },
   );
 
+  // Raw escape hatch for power-users and forward compatibility
+  registerRunTool(
+   'cursor_agent_raw',
+   'Advanced: provide raw argv array to pass after common flags (e.g., ["search","--query","foo"]).',
+   RAW_SCHEMA.shape,
+   async (args, extra) => {
+     try {
+       const { argv, output_format, cwd, executable, model, force, session_id, new_session } = args;
+       // For raw calls we disable implicit --print to allow commands like "--help"
+       const onProgress = createProgressCallback(extra);
+       const signal = extra?.signal;
+       return await invokeCursorAgent({
+         argv, output_format, cwd, executable, model, force, print: false, onProgress, signal,
+         session_id, continue: args.continue, new_session, profile: args.profile, tool: 'cursor_agent_raw',
+       });
+     } catch (e) {
+       return { content: [{ type: 'text', text: `Invalid params: ${e?.message || e}` }], isError: true };
+     }
+   },
+  );
+
+  // Configuration diagnostic
   server.tool(
-    'cursor_agent_analyze_files',
-    'Analyze one or more paths; optional prompt. Prompt-based wrapper.',
-    ANALYZE_FILES_SCHEMA.shape,
-    async (args, extra) => {
+    'cursor_agent_config',
+    'Show the merged configuration: config files found, defaults, profiles, env overrides and the effective settings (with their sources) for a profile.',
+    CONFIG_SCHEMA.shape,
+    async ({ profile }) => {
       try {
-        const { paths, prompt, output_format, cwd, executable, model, force, extra_args } = args;
-        const list = Array.isArray(paths) ? paths : [paths];
-        const validatedPaths = list.map((p) => validateFilePath(p));
-        const composedPrompt =
-          `Analyze the following paths in the repository:\n` +
-          validatedPaths.map((p) => `- ${String(p)}`).join('\n') + '\n' +
-          (prompt ? `Additional prompt: ${String(prompt)}\n` : '');
-        const onProgress = createProgressCallback(extra);
-        const signal = extra?.signal;
-        return await runCursorAgent({ prompt: composedPrompt, output_format, extra_args, cwd, executable, model, force }, onProgress, signal);
+        const config = loadConfig();
+        const effective = resolveSettings({ profile });
+        const envOverrides = Object.fromEntries(
+          Object.entries(CONFIG_ENV_OVERRIDES).filter(([, envVar]) => process.env[envVar]),
+        );
+        const report = {
+          files: config.files,
+          defaults: config.defaults,
+          default_profile: config.default_profile ?? null,
+          profiles: config.profiles,
+          tools: Object.keys(config.tools),
+          prompts: config.prompts,
+          routing: config.routing,
+          budgets: getBudgetSettings(),
+          env_overrides: envOverrides,
+          effective,
+        };
+        return { content: [{ type: 'text', text: JSON.stringify(report, null, 2) }] };
       } catch (e) {
-        return { content: [{ type: 'text', text: `Invalid params: ${e?.message || e}` }], isError: true };
+        return { content: [{ type: 'text', text: e?.message || String(e) }], isError: true };
       }
     },
   );
 
   server.tool(
-    'cursor_agent_search_repo',
-    'Search repository code with include/exclude patterns. Prompt-based wrapper.',
-    SEARCH_REPO_SCHEMA.shape,
-    async (args, extra) => {
-      try {
-        const { query, include, exclude, output_format, cwd, executable, model, force, extra_args } = args;
-        const inc = include == null ? [] : (Array.isArray(include) ? include : [include]);
-        const exc = exclude == null ? [] : (Array.isArray(exclude) ? exclude : [exclude]);
-        const composedPrompt =
-          `Search the repository for occurrences relevant to:\n` +
-          `- Query: ${String(query)}\n` +
-          (inc.length ? `- Include globs:\n${inc.map((p)=>`  - ${String(p)}`).join('\n')}\n` : '') +
-          (exc.length ? `- Exclude globs:\n${exc.map((p)=>`  - ${String(p)}`).join('\n')}\n` : '') +
-          `Return concise findings with file paths and line references.`;
-        const onProgress = createProgressCallback(extra);
-        const signal = extra?.signal;
-        return await runCursorAgent({ prompt: composedPrompt, output_format, extra_args, cwd, executable, model, force }, onProgress, signal);
-      } catch (e) {
-        return { content: [{ type: 'text', text: `Invalid params: ${e?.message || e}` }], isError: true };
+    'cursor_agent_usage_report',
+    'Summarize token usage and spend from the local usage ledger: totals and breakdowns by day, tool and model (estimates are marked by estimatedCalls).',
+    USAGE_REPORT_SCHEMA.shape,
+    async ({ days, tool, model }) => {
+      const report = summarizeUsage({ days, tool: tool?.trim() || undefined, model: model?.trim() || undefined });
+      const { totals } = report;
+      const cost = totals.costUsd ? `, ~$${totals.costUsd.toFixed(4)}` : '';
+      const estimated = totals.estimatedCalls ? ` (${totals.estimatedCalls} of ${totals.calls} calls estimated)` : '';
+      const summary = `Usage ${report.since}..${report.until}: ${totals.calls} calls, ${totals.totalTokens} tokens${cost}${estimated}.`;
+      return { content: [{ type: 'text', text: `${summary}\n\n${JSON.stringify(report, null, 2)}` }] };
+    },
+  );
+
+  // Session management tools
+  server.tool(
+    'cursor_agent_session_list',
+    'List cursor-agent sessions tracked by this server (most recently used first).',
+    SESSION_LIST_SCHEMA.shape,
+    async (args) => {
+      const list = listSessions({ includeClosed: args?.include_closed === true });
+      const text = list.length ? JSON.stringify(list, null, 2) : 'No sessions tracked yet.';
+      return { content: [{ type: 'text', text }] };
+    },
+  );
+
+  server.tool(
+    'cursor_agent_session_get',
+    'Show details for a tracked cursor-agent session.',
+    SESSION_ID_SCHEMA.shape,
+    async ({ session_id }) => {
+      const entry = getSession(session_id.trim());
+      if (!entry) {
+        return { content: [{ type: 'text', text: `Unknown session: ${session_id}` }], isError: true };
       }
+      return { content: [{ type: 'text', text: JSON.stringify(entry, null, 2) }] };
     },
   );
 
   server.tool(
-    'cursor_agent_plan_task',
-    'Generate a plan for a goal with optional constraints. Prompt-based wrapper.',
-    PLAN_TASK_SCHEMA.shape,
-    async (args, extra) => {
+    'cursor_agent_session_close',
+    'Close a tracked session so it can no longer be resumed through this server.',
+    SESSION_ID_SCHEMA.shape,
+    async ({ session_id }) => {
+      const entry = closeSession(session_id.trim());
+      if (!entry) {
+        return { content: [{ type: 'text', text: `Unknown session: ${session_id}` }], isError: true };
+      }
+      return { content: [{ type: 'text', text: `Session ${entry.id} closed after ${entry.turns} turn(s).` }] };
+    },
+  );
+
+  // Background job tools
+  server.tool(
+    'cursor_agent_job_start',
+    'Start a cursor-agent chat in the background and return a job id immediately. Poll with cursor_agent_job_status/result.',
+    JOB_START_SCHEMA.shape,
+    async (args) => {
       try {
-        const { goal, constraints, output_format, cwd, executable, model, force, extra_args } = args;
-        const cons = constraints ?? [];
-        const composedPrompt =
-          `Create a step-by-step plan to accomplish the following goal:\n` +
-          `- Goal: ${String(goal)}\n` +
-          (cons.length ? `- Constraints:\n${cons.map((c)=>`  - ${String(c)}`).join('\n')}\n` : '') +
-          `Provide a numbered list of actions.`;
-        const onProgress = createProgressCallback(extra);
-        const signal = extra?.signal;
-        return await runCursorAgent({ prompt: composedPrompt, output_format, extra_args, cwd, executable, model, force }, onProgress, signal);
+        const job = startJob(args);
+        return { content: [{ type: 'text', text: `Job ${job.id} started.\n${JSON.stringify(describeJob(job), null, 2)}` }] };
       } catch (e) {
         return { content: [{ type: 'text', text: `Invalid params: ${e?.message || e}` }], isError: true };
       }
     },
   );
 
-  // Legacy single-shot prompt tool retained for compatibility
   server.tool(
-   'cursor_agent_run',
-   'Run cursor-agent with a prompt and desired output format (legacy single-shot).',
-   RUN_SCHEMA.shape,
-   async (args, extra) => {
-     try {
-       const onProgress = createProgressCallback(extra);
-       const signal = extra?.signal;
-       return await runCursorAgent(args, onProgress, signal);
-     } catch (e) {
-       return { content: [{ type: 'text', text: `Invalid params: ${e?.message || e}` }], isError: true };
-     }
-   },
+    'cursor_agent_job_status',
+    'Get the status of a background job: state, elapsed time, tool-call count and (optionally) text so far.',
+    JOB_STATUS_SCHEMA.shape,
+    async ({ job_id, include_text }) => {
+      const job = getJob(job_id.trim());
+      if (!job) {
+        return { content: [{ type: 'text', text: `Unknown job: ${job_id}` }], isError: true };
+      }
+      return { content: [{ type: 'text', text: JSON.stringify(describeJob(job, { includeText: include_text === true }), null, 2) }] };
+    },
+  );
+
+  server.tool(
+    'cursor_agent_job_result',
+    'Get the final result of a background job (reports the current status if it is still running).',
+    JOB_ID_SCHEMA.shape,
+    async ({ job_id }) => {
+      const job = getJob(job_id.trim());
+      if (!job) {
+        return { content: [{ type: 'text', text: `Unknown job: ${job_id}` }], isError: true };
+      }
+      if (!job.result) {
+        return { content: [{ type: 'text', text: `Job ${job.id} is still ${job.status}.\n${JSON.stringify(describeJob(job), null, 2)}` }] };
+      }
+      return job.result;
+    },
+  );
+
+  server.tool(
+    'cursor_agent_job_cancel',
+    'Cancel a running background job.',
+    JOB_ID_SCHEMA.shape,
+    async ({ job_id }) => {
+      const job = cancelJob(job_id.trim());
+      if (!job) {
+        return { content: [{ type: 'text', text: `Unknown job: ${job_id}` }], isError: true };
+      }
+      const text = job.status === 'running'
+        ? `Cancellation requested for job ${job.id}.`
+        : `Job ${job.id} already finished (${job.status}).`;
+      return { content: [{ type: 'text', text }] };
+    },
+  );
+
+  // Register additional tools only when not called by cursor
+  if (executingClient !== 'cursor') {
+    registerRunTool(
+      'cursor_agent_edit_file',
+      'Edit a file with an instruction and return the unified diff of what changed. Changes are kept only with apply: true (and no dry_run); otherwise the original file is restored.',
+      EDIT_FILE_SCHEMA.shape,
+      async (args, extra) => {
+        try {
+          const { output_format, cwd, executable, model, force, extra_args, session_id, new_session } = args;
+          const { prompt: composedPrompt, vars } = buildToolPrompt('cursor_agent_edit_file', args);
+          const onProgress = createProgressCallback(extra);
+          const signal = extra?.signal;
+          const result = await runFileEdit(
+            { prompt: composedPrompt, output_format, extra_args, cwd, executable, model, force, session_id, continue: args.continue, new_session, profile: args.profile, quality: args.quality },
+            { file: vars.file, dryRun: vars.dry_run, onProgress, signal, tool: 'cursor_agent_edit_file' },
+          );
+          return withInlineReport(result, vars.inlined);
+        } catch (e) {
+          return { content: [{ type: 'text', text: `Invalid params: ${e?.message || e}` }], isError: true };
+        }
+      },
+    );
+
+    registerRunTool(
+      'cursor_agent_propose_edit',
+      'Propose an edit without touching the file: returns a patch id and unified diff for review. Apply it with cursor_agent_apply_patch or drop it with cursor_agent_discard_patch.',
+      PROPOSE_EDIT_SCHEMA.shape,
+      async (args, extra) => {
+        try {
+          const { instruction, output_format, cwd, executable, model, force, extra_args, session_id, new_session } = args;
+          const { prompt: composedPrompt, vars } = buildToolPrompt('cursor_agent_propose_edit', args);
+          const validatedFile = vars.file;
+          const onProgress = createProgressCallback(extra);
+          const signal = extra?.signal;
+          let captured;
+          const result = await runFileEdit(
+            { prompt: composedPrompt, output_format, extra_args, cwd, executable, model, force, session_id, continue: args.continue, new_session, profile: args.profile, quality: args.quality },
+            { file: validatedFile, dryRun: true, onProgress, signal, tool: 'cursor_agent_propose_edit', onCapture: (c) => { captured = c; } },
+          );
+          // Failed runs (timeouts, cancellations) may have left a partial edit; never offer it for apply
+          if (!captured || result.isError) return withInlineReport(result, vars.inlined);
+
+          const patch = storePatch({ file: validatedFile, instruction, ...captured });
+          const edit = { ...result.edit, patchId: patch.id };
+          return withInlineReport({
+            ...result,
+            content: [
+              ...result.content,
+              { type: 'text', text: `Patch id: ${patch.id}\nApply with cursor_agent_apply_patch or drop with cursor_agent_discard_patch.` },
+            ],
+            ...(result.structuredContent && { structuredContent: { ...result.structuredContent, edit } }),
+            edit,
+          }, vars.inlined);
+        } catch (e) {
+          return { content: [{ type: 'text', text: `Invalid params: ${e?.message || e}` }], isError: true };
+        }
+      },
+    );
+
+    server.tool(
+      'cursor_agent_apply_patch',
+      'Apply a patch from cursor_agent_propose_edit. Fails with a conflict if the file changed since the proposal.',
+      PATCH_ID_SCHEMA.shape,
+      async ({ patch_id }) => {
+        try {
+          const patch = applyPatch(patch_id.trim());
+          return { content: [{ type: 'text', text: `Applied patch ${patch.id} to ${patch.label} (+${patch.additions} -${patch.deletions}).` }] };
+        } catch (e) {
+          return { content: [{ type: 'text', text: e?.message || String(e) }], isError: true };
+        }
+      },
+    );
+
+    server.tool(
+      'cursor_agent_discard_patch',
+      'Drop a patch from cursor_agent_propose_edit without applying it.',
+      PATCH_ID_SCHEMA.shape,
+      async ({ patch_id }) => {
+        try {
+          const patch = discardPatch(patch_id.trim());
+          return { content: [{ type: 'text', text: `Discarded patch ${patch.id} for ${patch.label}.` }] };
+        } catch (e) {
+          return { content: [{ type: 'text', text: e?.message || String(e) }], isError: true };
+        }
+      },
+    );
+
+    registerRunTool(
+      'cursor_agent_analyze_files',
+      'Analyze files, directories or globs; optional prompt. Large sets are split into size-based chunks analyzed in parallel and merged by a final run.',
+      ANALYZE_FILES_SCHEMA.shape,
+      async (args, extra) => {
+        try {
+          const { output_format, cwd, executable, model, force, extra_args, session_id, new_session } = args;
+          const { prompt: composedPrompt, vars } = buildToolPrompt('cursor_agent_analyze_files', args);
+          const onProgress = createProgressCallback(extra);
+          const signal = extra?.signal;
+          const input = { prompt: composedPrompt, output_format, extra_args, cwd, executable, model, force, session_id, continue: args.continue, new_session, profile: args.profile, quality: args.quality };
+          const chunks = planAnalyzeChunks(vars.expanded.files, args.max_chunk_tokens);
+          // Session calls continue one conversation, so they are never split
+          const chunked = chunks.length > 1 && !session_id && !args.continue && !new_session;
+          if (chunked && chunks.length > MAX_ANALYZE_CHUNKS) {
+            throw new Error(
+              `The paths need ${chunks.length} chunks of up to ${args.max_chunk_tokens ?? DEFAULT_ANALYZE_CHUNK_TOKENS} tokens; ` +
+              `at most ${MAX_ANALYZE_CHUNKS} can be merged. Raise max_chunk_tokens or narrow the paths.`,
+            );
+          }
+          const cacheOptions = {
+            tool: 'cursor_agent_analyze_files',
+            input,
+            paths: vars.paths,
+            mode: args.cache,
+            extra: { response_schema: args.response_schema ?? null, ...(chunked && { max_chunk_tokens: args.max_chunk_tokens ?? DEFAULT_ANALYZE_CHUNK_TOKENS }) },
+          };
+          return await runWithCache(cacheOptions, async () => {
+            if (chunked) {
+              return runChunkedAnalysis(args, input, chunks, { onProgress, signal, tool: 'cursor_agent_analyze_files' });
+            }
+            const result = args.response_schema
+              ? await runWithResponseSchema(input, args.response_schema, { maxRetries: args.max_schema_retries, onProgress, signal, tool: 'cursor_agent_analyze_files', pathCount: vars.paths.length })
+              : await runCursorAgent(input, onProgress, signal, { tool: 'cursor_agent_analyze_files', pathCount: vars.paths.length });
+            return withInlineReport(result, vars.inlined);
+          });
+        } catch (e) {
+          return { content: [{ type: 'text', text: `Invalid params: ${e?.message || e}` }], isError: true };
+        }
+      },
+    );
+
+    registerRunTool(
+      'cursor_agent_search_repo',
+      'Search repository code with include/exclude patterns. Literal and regex queries are pre-searched locally and the ranked candidate files are passed to the agent.',
+      SEARCH_REPO_SCHEMA.shape,
+      async (args, extra) => {
+        try {
+          const { output_format, cwd, executable, model, force, extra_args, session_id, new_session } = args;
+          const { prompt: composedPrompt, vars } = buildToolPrompt('cursor_agent_search_repo', args);
+          const onProgress = createProgressCallback(extra);
+          if (vars.presearch) {
+            const { mode, scanned, matched, candidates, broad, truncated } = vars.presearch;
+            onProgress?.({
+              progress: 0,
+              message: `Pre-search (${mode}): ${broad ? 'no' : candidates.length} candidate files from ${matched} matching of ${scanned} scanned${broad ? ' (too broad)' : ''}${truncated ? ' (file walk truncated)' : ''}`,
+            });
+          }
+          const signal = extra?.signal;
+          const input = { prompt: composedPrompt, output_format, extra_args, cwd, executable, model, force, session_id, continue: args.continue, new_session, profile: args.profile, quality: args.quality };
+          const cacheOptions = { tool: 'cursor_agent_search_repo', input, mode: args.cache, extra: { response_schema: args.response_schema ?? null } };
+          return await runWithCache(cacheOptions, () => {
+            if (args.response_schema) {
+              return runWithResponseSchema(input, args.response_schema, { maxRetries: args.max_schema_retries, onProgress, signal, tool: 'cursor_agent_search_repo' });
+            }
+            return runCursorAgent(input, onProgress, signal, { tool: 'cursor_agent_search_repo' });
+          });
+        } catch (e) {
+          return { content: [{ type: 'text', text: `Invalid params: ${e?.message || e}` }], isError: true };
+        }
+      },
+    );
+
+    server.tool(
+      'cursor_agent_grep',
+      'Search files locally for a literal string or regex, scoped by include/exclude globs, without calling cursor-agent. Returns matches with file, line, column and context, paginated. Use it for "where is X defined" before escalating to cursor_agent_search_repo.',
+      GREP_SCHEMA.shape,
+      async (args) => {
+        try {
+          const mode = args.mode ?? 'literal';
+          const result = grepFiles({
+            root: validateWorkingDirectory(args.cwd),
+            pattern: args.pattern,
+            mode,
+            ignoreCase: args.ignore_case === true,
+            include: asList(args.include),
+            exclude: asList(args.exclude),
+            contextLines: args.context_lines ?? 2,
+          });
+          const pageSize = args.page_size ?? GREP_PAGE_SIZE;
+          const totalPages = Math.max(1, Math.ceil(result.matches.length / pageSize));
+          const page = args.page ?? 1;
+          if (page > totalPages) {
+            throw new Error(`page ${page} is past the last page (${totalPages} page${totalPages === 1 ? '' : 's'} of ${pageSize} matches)`);
+          }
+          const report = {
+            pattern: args.pattern,
+            mode,
+            filesSearched: result.filesSearched,
+            filesMatched: result.filesMatched,
+            totalMatches: result.matches.length,
+            truncated: result.truncated,
+            ...(result.partialFile && { partialFile: result.partialFile }),
+            globs: result.globs,
+            page,
+            totalPages,
+            ...(page < totalPages && { nextPage: page + 1 }),
+            matches: result.matches.slice((page - 1) * pageSize, page * pageSize),
+          };
+          const summary =
+            `${report.totalMatches}${result.truncated ? '+' : ''} match${report.totalMatches === 1 ? '' : 'es'} in ${report.filesMatched} of ${report.filesSearched} files (page ${page}/${totalPages}).` +
+            (result.limitReached
+              ? ` Stopped at the ${MAX_GREP_MATCHES}-match limit partway through ${result.partialFile}; the rest of it and the files after it were not searched, narrow the globs or pattern.`
+              : '');
+          return { content: [{ type: 'text', text: `${summary}\n\n${JSON.stringify(report, null, 2)}` }] };
+        } catch (e) {
+          return { content: [{ type: 'text', text: `Invalid params: ${e?.message || e}` }], isError: true };
+        }
+      },
+    );
+
+    registerRunTool(
+      'cursor_agent_plan_task',
+      'Generate a plan for a goal with optional constraints. Prompt-based wrapper.',
+      PLAN_TASK_SCHEMA.shape,
+      async (args, extra) => {
+        try {
+          const { output_format, cwd, executable, model, force, extra_args, session_id, new_session } = args;
+          const { prompt: composedPrompt } = buildToolPrompt('cursor_agent_plan_task', args);
+          const onProgress = createProgressCallback(extra);
+          const signal = extra?.signal;
+          const input = { prompt: composedPrompt, output_format, extra_args, cwd, executable, model, force, session_id, continue: args.continue, new_session, profile: args.profile, quality: args.quality };
+          if (args.response_schema) {
+            return await runWithResponseSchema(input, args.response_schema, { maxRetries: args.max_schema_retries, onProgress, signal, tool: 'cursor_agent_plan_task' });
+          }
+          return await runCursorAgent(input, onProgress, signal, { tool: 'cursor_agent_plan_task' });
+        } catch (e) {
+          return { content: [{ type: 'text', text: `Invalid params: ${e?.message || e}` }], isError: true };
+        }
+      },
+    );
+
+    registerRunTool(
+      'cursor_agent_review_changes',
+      'Review staged changes, a commit range (base..head) or specific commits. Gathers the diff with git, reviews it in per-file chunks and returns issues with file/line references. Without arguments reviews uncommitted changes against HEAD.',
+      REVIEW_CHANGES_SCHEMA.shape,
+      async (args, extra) => {
+        try {
+          const { staged, range, commits, focus, max_chunk_bytes, cwd, executable, model, force, extra_args, session_id, new_session } = args;
+          const onProgress = createProgressCallback(extra);
+          const signal = extra?.signal;
+          return await runChangeReview(
+            { extra_args, cwd, executable, model, force, session_id, continue: args.continue, new_session, profile: args.profile, quality: args.quality },
+            { staged, range, commits, focus, maxChunkBytes: max_chunk_bytes, onProgress, signal, tool: 'cursor_agent_review_changes' },
+          );
+        } catch (e) {
+          return { content: [{ type: 'text', text: `Invalid params: ${e?.message || e}` }], isError: true };
+        }
+      },
+    );
+
+    server.tool(
+      'cursor_agent_render_prompt',
+      'Render the prompt a verb tool (edit/propose/analyze/search/plan) would send for the given arguments, including config prompt overrides, without running cursor-agent.',
+      RENDER_PROMPT_SCHEMA.shape,
+      async ({ tool, arguments: toolArgs }) => {
+        try {
+          const schema = {
+            cursor_agent_edit_file: EDIT_FILE_SCHEMA,
+            cursor_agent_propose_edit: PROPOSE_EDIT_SCHEMA,
+            cursor_agent_analyze_files: ANALYZE_FILES_SCHEMA,
+            cursor_agent_search_repo: SEARCH_REPO_SCHEMA,
+            cursor_agent_plan_task: PLAN_TASK_SCHEMA,
+          }[tool];
+          const parsed = schema.safeParse(toolArgs);
+          if (!parsed.success) {
+            throw new Error(`invalid arguments for ${tool}: ${formatZodIssues(parsed.error).join('; ')}`);
+          }
+          const { prompt, template, override } = buildToolPrompt(tool, parsed.data);
+          // Schema-constrained calls append the schema instruction on the first attempt
+          const finalPrompt = parsed.data.response_schema ? prompt + composeSchemaInstruction(parsed.data.response_schema) : prompt;
+          const source = override ? `config override prompts.${template}` : 'built-in template';
+          return {
+            content: [
+              { type: 'text', text: `Prompt for ${tool} (${source}):` },
+              { type: 'text', text: finalPrompt },
+            ],
+          };
+        } catch (e) {
+          return { content: [{ type: 'text', text: `Invalid params: ${e?.message || e}` }], isError: true };
+        }
+      },
+    );
+
+    server.tool(
+      'cursor_agent_cache_list',
+      'Show the response cache for analyze/search (enabled with CURSOR_AGENT_CACHE): settings, total size and entries, newest first.',
+      {},
+      async () => {
+        const settings = getCacheSettings();
+        const now = Date.now();
+        const entries = listCacheEntries({ dir: settings.dir }).map((entry) => ({
+          ...entry,
+          createdAt: entry.createdAt ? new Date(entry.createdAt).toISOString() : null,
+          expiresAt: entry.expiresAt ? new Date(entry.expiresAt).toISOString() : null,
+          expired: !!entry.expiresAt && entry.expiresAt <= now,
+        }));
+        const report = {
+          ...settings,
+          entryCount: entries.length,
+          totalBytes: entries.reduce((sum, entry) => sum + entry.sizeBytes, 0),
+          entries,
+        };
+        return { content: [{ type: 'text', text: JSON.stringify(report, null, 2) }] };
+      },
+    );
+
+    server.tool(
+      'cursor_agent_cache_clear',
+      'Remove response cache entries: all, those of one tool, or only expired ones.',
+      CACHE_CLEAR_SCHEMA.shape,
+      async ({ tool, expired_only }) => {
+        const { removed, freedBytes } = clearCache({ tool: tool?.trim() || undefined, expiredOnly: expired_only === true });
+        return { content: [{ type: 'text', text: `Removed ${removed} cache entr${removed === 1 ? 'y' : 'ies'} (${freedBytes} bytes).` }] };
+      },
+    );
+
+    // Legacy single-shot prompt tool retained for compatibility
+    registerRunTool(
+     'cursor_agent_run',
+     'Run cursor-agent with a prompt and desired output format (legacy single-shot).',
+     RUN_SCHEMA.shape,
+     async (args, extra) => {
+       try {
+         const onProgress = createProgressCallback(extra);
+         const signal = extra?.signal;
+         return await runCursorAgent(args, onProgress, signal, { tool: 'cursor_agent_run' });
+       } catch (e) {
+         return { content: [{ type: 'text', text: `Invalid params: ${e?.message || e}` }], isError: true };
+       }
+     },
+    );
+  }
+
+  // User-defined tools from the config file (validated by loadConfig)
+  for (const [name, definition] of Object.entries(loadConfig().tools)) {
+    const argNames = Object.keys(definition.arguments ?? {});
+    registerRunTool(
+      name,
+      definition.description,
+      { ...buildCustomToolShape(name, definition), ...COMMON },
+      async (args, extra) => {
+        try {
+          const values = Object.fromEntries(argNames.map((argName) => [argName, args[argName]]));
+          const onProgress = createProgressCallback(extra);
+          const signal = extra?.signal;
+          return await runCursorAgent(
+            {
+              ...args,
+              prompt: renderPromptTemplate(definition.prompt, values),
+              model: args.model ?? definition.model,
+              output_format: args.output_format ?? definition.output_format,
+              profile: args.profile ?? definition.profile,
+            },
+            onProgress,
+            signal,
+            { tool: name },
+          );
+        } catch (e) {
+          return { content: [{ type: 'text', text: `Invalid params: ${e?.message || e}` }], isError: true };
+        }
+      },
+    );
+  }
+
+  server.resource(
+    'cursor-agent-runs',
+    'cursor-agent://runs',
+    { description: 'Recent cursor-agent runs (newest first) with links to their events, transcript and tool calls.', mimeType: 'application/json' },
+    async (uri) => jsonResource(uri, listRuns()),
+  );
+
+  server.resource(
+    'cursor-agent-run-events',
+    new ResourceTemplate('cursor-agent://runs/{runId}/events', {
+      list: scoped(async () => ({
+        resources: listRuns().map((run) => ({
+          uri: run.uris.events,
+          name: `Run ${run.id} events`,
+          description: `${run.status}, ${run.eventCount} events, ${run.durationMs}ms`,
+          mimeType: 'application/json',
+        })),
+      })),
+    }),
+    { description: `Raw stream-json events of a run, first page (${RUN_EVENTS_PAGE_SIZE} events per page; follow "next").`, mimeType: 'application/json' },
+    async (uri, { runId }) => jsonResource(uri, getRunEventsPage(requireRun(runId), 1)),
+  );
+
+  server.resource(
+    'cursor-agent-run-events-page',
+    new ResourceTemplate('cursor-agent://runs/{runId}/events/{page}', { list: undefined }),
+    { description: 'A specific page of raw stream-json events of a run.', mimeType: 'application/json' },
+    async (uri, { runId, page }) => {
+      const run = requireRun(runId);
+      const pageNumber = Number.parseInt(String(page), 10);
+      if (!Number.isFinite(pageNumber) || pageNumber < 1) throw new Error(`Invalid page: ${page}`);
+      return jsonResource(uri, getRunEventsPage(run, pageNumber));
+    },
+  );
+
+  server.resource(
+    'cursor-agent-run-transcript',
+    new ResourceTemplate('cursor-agent://runs/{runId}/transcript', { list: undefined }),
+    { description: 'Human-readable transcript of a run: assistant text interleaved with tool activity.', mimeType: 'text/plain' },
+    async (uri, { runId }) => ({
+      contents: [{ uri: uri.href, mimeType: 'text/plain', text: buildTranscript(requireRun(runId).events) }],
+    }),
+  );
+
+  server.resource(
+    'cursor-agent-run-tool-calls',
+    new ResourceTemplate('cursor-agent://runs/{runId}/tool-calls', { list: undefined }),
+    { description: 'Tool calls made during a run (kind, path, status, result summary).', mimeType: 'application/json' },
+    async (uri, { runId }) => jsonResource(uri, summarizeToolCalls(requireRun(runId).events)),
   );
+
+  // Prompts point at the verb tools, which are not registered for Cursor
+  if (executingClient !== 'cursor') {
+    for (const { name, title, description, argsSchema, build } of PROMPT_CATALOG) {
+      server.registerPrompt(name, { title, description, argsSchema }, async (args) => ({
+        description,
+        messages: [{ role: 'user', content: { type: 'text', text: build(args) } }],
+      }));
+    }
+  }
+
+  // Let hosts refresh their resource list whenever a run finishes
+  const notifyRunsChanged = () => server.sendResourceListChanged();
+  registries.runStoreListeners.add(notifyRunsChanged);
+  server.server.onclose = () => registries.runStoreListeners.delete(notifyRunsChanged);
+
+  return server;
 }
 
-// Connect using stdio transport
-const transport = new StdioServerTransport();
+// Transports
+// stdio (default) serves one host per process. The opt-in HTTP transport serves many clients
+// from one process: Streamable HTTP on /mcp plus the older HTTP+SSE endpoints (GET /sse,
+// POST /messages), with one McpServer per client session. Each session has its own registries
+// (sessions, jobs, runs, patches); its running jobs are cancelled when it closes.
+const DEFAULT_HTTP_HOST = '127.0.0.1';
+const DEFAULT_HTTP_PORT = 3333;
+const MAX_HTTP_BODY_BYTES = 4 * 1024 * 1024;
+const SHUTDOWN_GRACE_MS = 5000;
 
-server.connect(transport).catch((e) => {
- console.error('MCP server failed to start:', e);
- process.exit(1);
-});
+/**
+ * Resolves transport options: CLI flags (--http, --transport=http, --host, --port) win over
+ * CURSOR_AGENT_TRANSPORT / CURSOR_AGENT_HTTP_HOST / CURSOR_AGENT_HTTP_PORT. The bearer token is
+ * only read from CURSOR_AGENT_HTTP_TOKEN so it never shows up in process listings.
+ */
+function getTransportSettings(argv = process.argv.slice(2)) {
+  const env = getValidatedEnv();
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = String(argv[i]).match(/^--(http|transport|host|port)(?:=(.*))?$/);
+    if (!match) continue;
+    if (match[1] === 'http') flags.transport = 'http';
+    else flags[match[1]] = match[2] ?? argv[++i];
+  }
+
+  const transport = flags.transport ?? env.CURSOR_AGENT_TRANSPORT ?? 'stdio';
+  if (transport !== 'stdio' && transport !== 'http') {
+    throw new Error(`Invalid transport "${transport}" (expected "stdio" or "http")`);
+  }
+  const port = flags.port !== undefined ? Number(flags.port) : (env.CURSOR_AGENT_HTTP_PORT ?? DEFAULT_HTTP_PORT);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error(`Invalid port "${flags.port ?? port}" (expected 1-65535)`);
+  }
+  return {
+    transport,
+    host: flags.host || env.CURSOR_AGENT_HTTP_HOST || DEFAULT_HTTP_HOST,
+    port,
+    token: env.CURSOR_AGENT_HTTP_TOKEN,
+  };
+}
+
+function isLoopbackHost(host) {
+  return host === 'localhost' || host === '::1' || /^127\.\d+\.\d+\.\d+$/.test(host);
+}
+
+// Constant-time bearer token check; no token configured means no auth
+function isAuthorized(req, token) {
+  if (!token) return true;
+  const match = String(req.headers.authorization ?? '').match(/^Bearer\s+(.+)$/i);
+  if (!match) return false;
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(token);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+function sendJsonRpcError(res, status, message, code = -32000) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    ...(status === 401 && { 'WWW-Authenticate': 'Bearer' }),
+  });
+  res.end(JSON.stringify({ jsonrpc: '2.0', error: { code, message }, id: null }));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_HTTP_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch {
+        reject(Object.assign(new Error('Parse error: invalid JSON'), { status: 400, code: -32700 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Starts the HTTP transport. Resolves once listening with { httpServer, url, sessions, close };
+ * close() stops accepting connections, closes every client session and cancels running jobs.
+ * Binding to a non-loopback address requires a bearer token.
+ */
+async function startHttpServer({ host = DEFAULT_HTTP_HOST, port = DEFAULT_HTTP_PORT, token } = {}) {
+  if (!token && !isLoopbackHost(host)) {
+    throw new Error(`Refusing to listen on ${host} without CURSOR_AGENT_HTTP_TOKEN`);
+  }
+  // MCP session id -> { transport, server, registries }
+  const httpSessions = new Map();
+  let boundPort = port;
+
+  // Loopback servers without a token are only protected by the Host check (DNS rebinding)
+  const isAllowedHost = (req) => {
+    if (!isLoopbackHost(host)) return true;
+    const hostHeader = String(req.headers.host ?? '');
+    return ['localhost', '127.0.0.1', '[::1]', host].some((h) => hostHeader === `${h}:${boundPort}`);
+  };
+
+  // Cancels the running jobs of a closed client session
+  const cancelSessionJobs = (registries) => {
+    registryScope.run(registries, () => {
+      for (const job of registries.jobs.values()) {
+        if (job.status === 'running') cancelJob(job.id);
+      }
+    });
+  };
+
+  const connectSession = async (transport) => {
+    const registries = createRegistries();
+    const server = createServer({ registries });
+    const onclose = transport.onclose;
+    transport.onclose = () => {
+      cancelSessionJobs(registries);
+      onclose?.();
+    };
+    await server.connect(transport);
+    return { server, registries };
+  };
+
+  const handleStreamable = async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+    const existing = sessionId ? httpSessions.get(String(sessionId)) : undefined;
+    if (existing) {
+      if (!(existing.transport instanceof StreamableHTTPServerTransport)) {
+        return sendJsonRpcError(res, 400, 'Session uses the SSE transport');
+      }
+      return existing.transport.handleRequest(req, res, body);
+    }
+    if (sessionId) {
+      return sendJsonRpcError(res, 404, 'Session not found');
+    }
+    if (req.method !== 'POST' || !isInitializeRequest(body)) {
+      return sendJsonRpcError(res, 400, 'Bad Request: missing mcp-session-id header');
+    }
+
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        httpSessions.set(id, { transport, ...session });
+      },
+    });
+    transport.onclose = () => {
+      if (transport.sessionId) httpSessions.delete(transport.sessionId);
+    };
+    const session = await connectSession(transport);
+    await transport.handleRequest(req, res, body);
+  };
+
+  const handleSseConnect = async (req, res) => {
+    const transport = new SSEServerTransport('/messages', res);
+    transport.onclose = () => {
+      httpSessions.delete(transport.sessionId);
+    };
+    const session = await connectSession(transport);
+    httpSessions.set(transport.sessionId, { transport, ...session });
+  };
+
+  const handleSseMessage = async (req, res, sessionId) => {
+    const entry = sessionId ? httpSessions.get(sessionId) : undefined;
+    if (!entry || !(entry.transport instanceof SSEServerTransport)) {
+      return sendJsonRpcError(res, 404, 'Session not found');
+    }
+    return entry.transport.handlePostMessage(req, res, await readJsonBody(req));
+  };
+
+  const httpServer = http.createServer(async (req, res) => {
+    try {
+      if (!isAllowedHost(req)) {
+        return sendJsonRpcError(res, 403, `Invalid Host header: ${req.headers.host}`);
+      }
+      if (!isAuthorized(req, token)) {
+        return sendJsonRpcError(res, 401, 'Unauthorized');
+      }
+      const url = new URL(req.url ?? '/', 'http://localhost');
+      if (url.pathname === '/mcp') {
+        return await handleStreamable(req, res);
+      }
+      if (url.pathname === '/sse' && req.method === 'GET') {
+        return await handleSseConnect(req, res);
+      }
+      if (url.pathname === '/messages' && req.method === 'POST') {
+        return await handleSseMessage(req, res, url.searchParams.get('sessionId'));
+      }
+      return sendJsonRpcError(res, 404, 'Not found');
+    } catch (e) {
+      if (!res.headersSent) {
+        sendJsonRpcError(res, e?.status ?? 500, e?.status ? e.message : 'Internal server error', e?.code ?? -32603);
+      }
+      const debugEnv = getValidatedEnv();
+      if (debugEnv.DEBUG_CURSOR_MCP) {
+        try { console.error('[cursor-mcp] http request failed:', e); } catch {}
+      }
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+  boundPort = httpServer.address().port;
+  const urlHost = host.includes(':') ? `[${host}]` : host;
+
+  let closing = null;
+  const close = () => {
+    closing ??= (async () => {
+      const stopped = new Promise((resolve) => httpServer.close(() => resolve()));
+      for (const { registries } of httpSessions.values()) cancelSessionJobs(registries);
+      await Promise.allSettled([...httpSessions.values()].map(({ transport }) => transport.close()));
+      httpSessions.clear();
+      httpServer.closeAllConnections?.();
+      await stopped;
+    })();
+    return closing;
+  };
+
+  return { httpServer, url: `http://${urlHost}:${boundPort}/mcp`, sessions: httpSessions, close };
+}
+
+// Validate config files at startup (will exit if invalid), mirroring env validation
+try {
+  loadConfig();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
+// Apply the stream log retention policy now and periodically
+startLogSweeper();
+
+let transportSettings;
+try {
+  transportSettings = getTransportSettings();
+} catch (e) {
+  console.error(e.message);
+  process.exit(1);
+}
+
+if (transportSettings.transport === 'http') {
+  startHttpServer(transportSettings)
+    .then((handle) => {
+      console.error(`cursor-agent MCP server listening on ${handle.url} (SSE: /sse)`);
+      const shutdown = (signal) => {
+        console.error(`Received ${signal}, shutting down`);
+        // Force the exit if open streams or requests keep the server from closing in time
+        setTimeout(() => process.exit(1), SHUTDOWN_GRACE_MS).unref();
+        handle.close().finally(() => process.exit(0));
+      };
+      process.once('SIGINT', () => shutdown('SIGINT'));
+      process.once('SIGTERM', () => shutdown('SIGTERM'));
+    })
+    .catch((e) => {
+      console.error('MCP server failed to start:', e?.message || e);
+      process.exit(1);
+    });
+} else {
+  // Connect using stdio transport
+  const transport = new StdioServerTransport();
+
+  createServer().connect(transport).catch((e) => {
+   console.error('MCP server failed to start:', e);
+   process.exit(1);
+  });
+}
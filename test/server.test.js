@@ -1,10 +1,27 @@
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import path from 'node:path';
 import {
   validateExecutablePath,
   validateWorkingDirectory,
   validateFilePath,
   getSafeEnvironment,
+  summarizeToolCalls,
+  buildTranscript,
+  getRunEventsPage,
+  jsonSchemaToZod,
+  extractJsonAnswer,
+  createUnifiedDiff,
+  splitDiffByFile,
+  chunkFileDiffs,
+  formatReviewIssues,
+  PROMPT_CATALOG,
+  renderPromptTemplate,
+  buildCustomToolShape,
+  classifyFailureOutput,
+  computeRetryDelay,
+  normalizeUsage,
+  compileGlob,
+  normalizeSearchGlob,
 } from '../server.js';
 
 describe('validateExecutablePath', () => {
@@ -366,3 +383,331 @@ describe('getSafeEnvironment', () => {
   });
 });
 
+describe('run store helpers', () => {
+  const events = [
+    { type: 'system', subtype: 'init', model: 'gpt-4' },
+    { type: 'assistant', message: { content: [{ text: 'Reading ' }] } },
+    { type: 'assistant', message: { content: [{ text: 'files.' }] } },
+    { type: 'tool_call', subtype: 'started', call_id: 'c1', tool_call: { readToolCall: { args: { path: 'a.js' } } } },
+    { type: 'tool_call', subtype: 'started', call_id: 'c2', tool_call: { writeToolCall: { args: { path: 'b.js' } } } },
+    { type: 'tool_call', subtype: 'completed', call_id: 'c2', tool_call: { writeToolCall: { result: { success: { linesCreated: 2 } } } } },
+    { type: 'tool_call', subtype: 'completed', call_id: 'c1', tool_call: { readToolCall: { result: { error: 'missing' } } } },
+    { type: 'result', duration_ms: 42 },
+  ];
+
+  it('should pair started and completed tool calls by call_id', () => {
+    const calls = summarizeToolCalls(events);
+    expect(calls).toHaveLength(2);
+    expect(calls[0]).toMatchObject({ tool: 'readToolCall', path: 'a.js', status: 'failed' });
+    expect(calls[1]).toMatchObject({ tool: 'writeToolCall', path: 'b.js', status: 'completed', result: { linesCreated: 2 } });
+  });
+
+  it('should build a transcript with text and tool activity', () => {
+    const transcript = buildTranscript(events);
+    expect(transcript).toBe('[system] model: gpt-4\n\nReading files.\n\n[tool] readToolCall a.js\n\n[tool] writeToolCall b.js\n\n[result] 42ms');
+  });
+
+  it('should page through events', () => {
+    const run = { id: 'r1', events: Array.from({ length: 150 }, (_, i) => ({ type: 'assistant', i })) };
+    const first = getRunEventsPage(run, 1);
+    expect(first.events).toHaveLength(100);
+    expect(first.totalPages).toBe(2);
+    expect(first.next).toBe('cursor-agent://runs/r1/events/2');
+    const second = getRunEventsPage(run, 2);
+    expect(second.events).toHaveLength(50);
+    expect(second.next).toBeUndefined();
+  });
+});
+
+describe('jsonSchemaToZod', () => {
+  const planSchema = {
+    type: 'object',
+    properties: {
+      steps: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 },
+      risk: { enum: ['low', 'medium', 'high'] },
+      estimateHours: { type: ['number', 'null'], minimum: 0 },
+    },
+    required: ['steps', 'risk'],
+    additionalProperties: false,
+  };
+
+  it('should accept values matching the schema', () => {
+    const validator = jsonSchemaToZod(planSchema);
+    expect(validator.safeParse({ steps: ['a'], risk: 'low', estimateHours: null }).success).toBe(true);
+    expect(validator.safeParse({ steps: ['a'], risk: 'high' }).success).toBe(true);
+  });
+
+  it('should reject missing, extra and mistyped properties', () => {
+    const validator = jsonSchemaToZod(planSchema);
+    expect(validator.safeParse({ risk: 'low' }).success).toBe(false);
+    expect(validator.safeParse({ steps: [], risk: 'low' }).success).toBe(false);
+    expect(validator.safeParse({ steps: ['a'], risk: 'extreme' }).success).toBe(false);
+    expect(validator.safeParse({ steps: ['a'], risk: 'low', extra: 1 }).success).toBe(false);
+    expect(validator.safeParse({ steps: ['a'], risk: 'low', estimateHours: -1 }).success).toBe(false);
+  });
+
+  it('should support integers, anyOf and nested objects', () => {
+    const validator = jsonSchemaToZod({
+      type: 'array',
+      items: {
+        anyOf: [
+          { type: 'object', properties: { file: { type: 'string' }, line: { type: 'integer' } }, required: ['file', 'line'] },
+          { type: 'string', pattern: '^none$' },
+        ],
+      },
+    });
+    expect(validator.safeParse([{ file: 'a.js', line: 3 }, 'none']).success).toBe(true);
+    expect(validator.safeParse([{ file: 'a.js', line: 3.5 }]).success).toBe(false);
+  });
+
+  it('should reject non-object schemas and unknown types', () => {
+    expect(() => jsonSchemaToZod('string')).toThrow('response_schema must be a JSON Schema object');
+    expect(() => jsonSchemaToZod({ type: 'date' })).toThrow('Unsupported JSON Schema type');
+  });
+});
+
+describe('extractJsonAnswer', () => {
+  it('should prefer a fenced json block', () => {
+    expect(extractJsonAnswer('Here you go:\n```json\n{"a": 1}\n```\nDone {"b": 2}')).toEqual({ a: 1 });
+  });
+
+  it('should find the first balanced JSON value in prose', () => {
+    expect(extractJsonAnswer('Result: [{"text": "a ] b"}, 2] -- end')).toEqual([{ text: 'a ] b' }, 2]);
+  });
+
+  it('should throw when no JSON is present', () => {
+    expect(() => extractJsonAnswer('no json here')).toThrow('No JSON value found');
+  });
+});
+
+describe('createUnifiedDiff', () => {
+  it('should return an empty string for identical texts', () => {
+    expect(createUnifiedDiff('a\nb\n', 'a\nb\n')).toBe('');
+  });
+
+  it('should split distant changes into separate hunks with context', () => {
+    const before = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`).join('\n') + '\n';
+    const after = before.replace('line 2\n', 'line two\n').replace('line 19\n', '');
+    const diff = createUnifiedDiff(before, after, { oldLabel: 'a/f', newLabel: 'b/f' });
+    expect(diff.split('\n').filter((l) => l.startsWith('@@'))).toEqual(['@@ -1,5 +1,5 @@', '@@ -16,5 +16,4 @@']);
+    expect(diff).toContain('-line 2\n+line two\n');
+  });
+
+  it('should mark a missing trailing newline', () => {
+    const diff = createUnifiedDiff('x\n', 'x');
+    expect(diff).toContain('-x\n+x\n\\ No newline at end of file\n');
+  });
+
+  it('should use /dev/null for created and deleted files', () => {
+    expect(createUnifiedDiff(null, 'new\n', { newLabel: 'b/f' })).toBe('--- /dev/null\n+++ b/f\n@@ -0,0 +1,1 @@\n+new\n');
+    expect(createUnifiedDiff('old\n', null, { oldLabel: 'a/f' })).toBe('--- a/f\n+++ /dev/null\n@@ -1,1 +0,0 @@\n-old\n');
+  });
+});
+
+describe('change review helpers', () => {
+  const gitDiff = [
+    'diff --git a/src/a.js b/src/a.js',
+    'index 1111111..2222222 100644',
+    '--- a/src/a.js',
+    '+++ b/src/a.js',
+    '@@ -1 +1 @@',
+    '-old',
+    '+new',
+    'diff --git a/src/gone.js b/src/gone.js',
+    'deleted file mode 100644',
+    '--- a/src/gone.js',
+    '+++ /dev/null',
+    '@@ -1 +0,0 @@',
+    '-bye',
+    '',
+  ].join('\n');
+
+  it('should split git diff output by file', () => {
+    const files = splitDiffByFile(gitDiff);
+    expect(files.map((f) => f.file)).toEqual(['src/a.js', 'src/gone.js']);
+    expect(files[0].text.startsWith('diff --git a/src/a.js')).toBe(true);
+    expect(files[1].text).toContain('-bye\n');
+  });
+
+  it('should pack files into chunks and truncate oversized files', () => {
+    const files = [
+      { file: 'a', text: 'a'.repeat(600) },
+      { file: 'b', text: 'b'.repeat(300) },
+      { file: 'c', text: 'c'.repeat(5000) },
+    ];
+    const chunks = chunkFileDiffs(files, 1000);
+    expect(chunks.map((c) => c.files)).toEqual([['a', 'b'], ['c']]);
+    expect(chunks[1].text).toContain('[diff truncated: 4000 more bytes of c not shown]');
+  });
+
+  it('should format issues grouped by file', () => {
+    expect(formatReviewIssues([])).toBe('No issues found.');
+    const text = formatReviewIssues([
+      { file: 'a.js', line: 3, severity: 'error', message: 'null deref' },
+      { file: 'b.js', line: null, severity: 'suggestion', message: 'add tests' },
+      { file: 'a.js', line: 9, severity: 'warning', message: 'unused var' },
+    ]);
+    expect(text).toBe('a.js\n  a.js:3 [error] null deref\n  a.js:9 [warning] unused var\n\nb.js\n  b.js [suggestion] add tests');
+  });
+});
+
+describe('PROMPT_CATALOG', () => {
+  const build = (name, args) => PROMPT_CATALOG.find((p) => p.name === name).build(args);
+  // The suggested tool call is the JSON block inside the guidance
+  const toolArgs = (text) => JSON.parse(text.match(/```json\n([\s\S]*?)\n```/)[1]);
+
+  it('should only use string arguments (MCP prompt arguments are strings)', () => {
+    for (const prompt of PROMPT_CATALOG) {
+      for (const schema of Object.values(prompt.argsSchema)) {
+        expect(schema.safeParse('x').success).toBe(true);
+      }
+    }
+  });
+
+  it('should compose a review call for review-file', () => {
+    const text = build('review-file', { file: 'src/app.ts', focus: 'security' });
+    expect(text).toContain('`cursor_agent_analyze_files`');
+    const args = toolArgs(text);
+    expect(args.paths).toEqual(['src/app.ts']);
+    expect(args.prompt).toContain('Focus on: security.');
+  });
+
+  it('should split comma-separated list arguments', () => {
+    const plan = toolArgs(build('plan-refactor', { goal: 'Split server.js', paths: 'server.js, test/', constraints: 'no API changes,keep ESM' }));
+    expect(plan.goal).toBe('Split server.js (scope: server.js, test/)');
+    expect(plan.constraints.slice(0, 2)).toEqual(['no API changes', 'keep ESM']);
+
+    const search = toolArgs(build('find-usages', { symbol: 'foo' }));
+    expect(search.include).toBeUndefined();
+    expect(search.exclude).toEqual(['node_modules/**', 'dist/**']);
+  });
+});
+
+describe('custom tool templates', () => {
+  it('should render placeholders by value type', () => {
+    const text = renderPromptTemplate('v={{ version }} paths={{paths}} opts={{opts}} none={{missing}}', {
+      version: 2,
+      paths: ['a', 'b'],
+      opts: { strict: true },
+    });
+    expect(text).toBe('v=2 paths=a, b opts={"strict":true} none=');
+  });
+
+  it('should build an argument shape with required and optional arguments', () => {
+    const shape = buildCustomToolShape('changelog', {
+      description: 'd',
+      arguments: { version: { type: 'string', description: 'Release tag' }, limit: { type: 'integer' } },
+      required: ['version'],
+      prompt: 'Summarize {{version}}',
+    });
+    expect(shape.version.safeParse('1.0').success).toBe(true);
+    expect(shape.version.safeParse(undefined).success).toBe(false);
+    expect(shape.version.description).toBe('Release tag');
+    expect(shape.limit.safeParse(undefined).success).toBe(true);
+    expect(shape.limit.safeParse(1.5).success).toBe(false);
+  });
+
+  it('should reject clashing names and undeclared placeholders', () => {
+    const base = { description: 'd', prompt: 'p' };
+    expect(() => buildCustomToolShape('cursor_agent_x', base)).toThrow('must match');
+    expect(() => buildCustomToolShape('bad name', base)).toThrow('must match');
+    expect(() => buildCustomToolShape('t', { ...base, arguments: { model: { type: 'string' } } })).toThrow('clashes with a built-in argument');
+    expect(() => buildCustomToolShape('t', { ...base, prompt: 'Use {{x}}' })).toThrow('undeclared placeholder "{{x}}"');
+    expect(() => buildCustomToolShape('t', { ...base, required: ['x'] })).toThrow('requires undeclared argument "x"');
+    expect(() => buildCustomToolShape('t', { ...base, arguments: { x: { type: 'date' } } })).toThrow('argument "x"');
+  });
+});
+
+describe('retry helpers', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should classify failure output', () => {
+    expect(classifyFailureOutput('Error: 429 Too Many Requests')).toBe('rate_limit');
+    expect(classifyFailureOutput('Rate limit exceeded for this API key')).toBe('rate_limit');
+    expect(classifyFailureOutput('Error: Not logged in. Run cursor-agent login')).toBe('auth');
+    expect(classifyFailureOutput('request failed: 401 Unauthorized')).toBe('auth');
+    expect(classifyFailureOutput('fetch failed: getaddrinfo ENOTFOUND api.cursor.sh')).toBe('network');
+    expect(classifyFailureOutput('502 Bad Gateway')).toBe('network');
+    expect(classifyFailureOutput('Unknown option --foo')).toBe('unknown');
+    expect(classifyFailureOutput('')).toBe('unknown');
+  });
+
+  it('should back off exponentially with jitter and a cap', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0);
+    expect([1, 2, 3].map((n) => computeRetryDelay(n, 1000, 30000))).toEqual([500, 1000, 2000]);
+    expect(computeRetryDelay(10, 1000, 30000)).toBe(15000);
+
+    vi.mocked(Math.random).mockReturnValue(0.999999);
+    expect(computeRetryDelay(1, 1000, 30000)).toBe(1000);
+    expect(computeRetryDelay(10, 1000, 30000)).toBe(30000);
+  });
+});
+
+describe('normalizeUsage', () => {
+  it('should accept the common usage shapes', () => {
+    expect(normalizeUsage({ type: 'result', usage: { input_tokens: 120, output_tokens: 30 }, total_cost_usd: 0.002 }))
+      .toEqual({ inputTokens: 120, outputTokens: 30, costUsd: 0.002 });
+    expect(normalizeUsage({ usage: { prompt_tokens: 5, completion_tokens: 7 } })).toEqual({ inputTokens: 5, outputTokens: 7, costUsd: null });
+    expect(normalizeUsage({ inputTokens: 3 })).toEqual({ inputTokens: 3, outputTokens: 0, costUsd: null });
+  });
+
+  it('should return null without token counts', () => {
+    expect(normalizeUsage({ type: 'result', duration_ms: 10 })).toBeNull();
+    expect(normalizeUsage({ usage: { input_tokens: 'many' } })).toBeNull();
+    expect(normalizeUsage(null)).toBeNull();
+  });
+});
+
+describe('compileGlob', () => {
+  it('should match slash-free patterns at any depth', () => {
+    const match = compileGlob('*.ts');
+    expect(match('a.ts')).toBe(true);
+    expect(match('src/lib/a.ts')).toBe(true);
+    expect(match('src/a.tsx')).toBe(false);
+  });
+
+  it('should support **, ?, classes and braces', () => {
+    expect(compileGlob('src/**/*.{js,ts}')('src/a.js')).toBe(true);
+    expect(compileGlob('src/**/*.{js,ts}')('src/x/y/b.ts')).toBe(true);
+    expect(compileGlob('src/**/*.{js,ts}')('lib/src/a.js')).toBe(false);
+    expect(compileGlob('v?.[!0-4]')('v1.7')).toBe(true);
+    expect(compileGlob('v?.[!0-4]')('v1.3')).toBe(false);
+  });
+
+  it('should match everything below a named directory', () => {
+    expect(compileGlob('./src/')('src/deep/file.js')).toBe(true);
+    expect(compileGlob('dist/**')('dist/a/b.js')).toBe(true);
+    expect(compileGlob('src')('srcs/a.js')).toBe(false);
+  });
+
+  it('should treat backslash escapes in the pattern literally', () => {
+    expect(compileGlob('docs/\\*.md')('docs/*.md')).toBe(true);
+    expect(compileGlob('docs/\\*.md')('docs/readme.md')).toBe(false);
+    expect(compileGlob('\\[draft\\]*')('notes/[draft] plan.txt')).toBe(true);
+  });
+});
+
+describe('normalizeSearchGlob', () => {
+  const root = path.resolve('/workspace/repo');
+
+  it('should keep relative globs and resolve ".." inside the workspace', () => {
+    expect(normalizeSearchGlob(' src/**/*.ts ', root)).toBe('src/**/*.ts');
+    expect(normalizeSearchGlob('./src/../lib/*.js', root)).toBe('lib/*.js');
+    expect(normalizeSearchGlob('.', root)).toBe('**');
+    expect(normalizeSearchGlob('docs/\\*.md', root)).toBe('docs/\\*.md');
+  });
+
+  it('should make absolute globs inside the workspace relative', () => {
+    expect(normalizeSearchGlob(path.join(root, 'src', '*.js'), root)).toBe('src/*.js');
+  });
+
+  it('should reject globs that leave the workspace', () => {
+    expect(() => normalizeSearchGlob('/etc/*', root)).toThrow('absolute paths must be inside the workspace');
+    expect(() => normalizeSearchGlob('../other/**', root)).toThrow('".." must not leave the workspace');
+    expect(() => normalizeSearchGlob('src/../../x', root)).toThrow('".." must not leave the workspace');
+    expect(() => normalizeSearchGlob('src/*/../x', root)).toThrow('".." must not leave the workspace');
+    expect(() => normalizeSearchGlob('  ', root)).toThrow('Glob patterns must not be empty');
+  });
+});